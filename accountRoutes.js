@@ -0,0 +1,406 @@
+import express from 'express'
+import archiver from 'archiver'
+import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { requireAuth } from './authMiddleware.js'
+import { SHARE_LINK_COLUMNS, toShareLink } from './beatVisibility.js'
+import { COLLABORATOR_COLUMNS, hasVerifiedEmail, normalizeEmail, respondToInvite } from './collabInvites.js'
+import { collectSessionTakeKeys, deleteS3Objects, extractS3KeyFromUrl, listS3Keys } from './s3Utils.js'
+
+dotenv.config()
+
+const router = express.Router()
+
+const REGION = process.env.AWS_REGION
+const BUCKET = process.env.S3_BUCKET
+
+const s3 = new S3Client({
+  region: REGION,
+  credentials:
+    process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+})
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[accountRoutes] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+// Export download links stay valid for a day.
+const EXPORT_URL_TTL_SECONDS = 24 * 60 * 60
+
+// Audit trail of deleted accounts (no personal data beyond the old id):
+// create table if not exists public.account_deletions (
+//   id uuid primary key default gen_random_uuid(),
+//   user_id uuid not null,
+//   deleted_at timestamptz not null default now(),
+//   retained_beat_ids uuid[] not null default '{}',
+//   removed_s3_keys integer not null default 0
+// );
+
+const rowsOrThrow = ({ data, error }) => {
+  if (error) throw error
+  return data || []
+}
+
+// Collaborator invites sent to the user's (verified) address that no account
+// has picked up yet.
+async function listEmailInvites(user, columns) {
+  const email = hasVerifiedEmail(user) ? normalizeEmail(user.email) : null
+  if (!email) return []
+  return rowsOrThrow(
+    await supabase.from('collaborators').select(columns).eq('email', email).is('user_id', null),
+  )
+}
+
+// Gathers everything we hold about a user, grouped by section.
+async function collectAccountData(user) {
+  const userId = user.id
+  const [
+    profile,
+    beats,
+    collaborators,
+    wallet,
+    credits,
+    creditHistory,
+    tickets,
+    sessions,
+    payouts,
+    imports,
+    shareLinks,
+    following,
+    signatures,
+  ] = await Promise.all([
+    supabase.from('profiles').select('*').eq('id', userId).maybeSingle(),
+    supabase.from('beats').select('*').eq('user_id', userId),
+    supabase.from('collaborators').select('*').eq('user_id', userId),
+    supabase.from('user_wallet').select('*').eq('user_id', userId).maybeSingle(),
+    supabase.from('recording_credits').select('*').eq('user_id', userId).maybeSingle(),
+    supabase
+      .from('recording_credit_history')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false }),
+    supabase.from('support_tickets').select('*').eq('created_by', userId),
+    supabase.from('studio_sessions').select('*').eq('user_id', userId),
+    supabase.from('payouts').select('*').eq('user_id', userId),
+    supabase.from('catalog_imports').select('*').eq('user_id', userId),
+    supabase.from('beat_share_links').select(SHARE_LINK_COLUMNS).eq('user_id', userId),
+    supabase.from('producer_followers').select('producer_id, created_at').eq('follower_id', userId),
+    supabase.from('split_sheet_signatures').select('*').eq('user_id', userId),
+  ])
+  for (const r of [profile, wallet, credits]) {
+    if (r.error) throw r.error
+  }
+
+  const collaboratorRows = rowsOrThrow(collaborators)
+  const collaboratorIds = collaboratorRows.map((c) => c.id)
+  const salesSplits = collaboratorIds.length
+    ? rowsOrThrow(
+        await supabase.from('beat_sales_split').select('*').in('collaborator_id', collaboratorIds),
+      )
+    : []
+
+  return {
+    account: {
+      id: userId,
+      email: user.email,
+      createdAt: user.created_at,
+      metadata: user.user_metadata || {},
+    },
+    profile: profile.data || null,
+    beats: rowsOrThrow(beats),
+    collaborators: collaboratorRows,
+    collaboratorInvites: await listEmailInvites(user, COLLABORATOR_COLUMNS),
+    salesSplits,
+    wallet: wallet.data || null,
+    credits: { balance: credits.data || null, history: rowsOrThrow(creditHistory) },
+    supportTickets: rowsOrThrow(tickets),
+    studioSessions: rowsOrThrow(sessions),
+    payouts: rowsOrThrow(payouts),
+    catalogImports: rowsOrThrow(imports),
+    shareLinks: rowsOrThrow(shareLinks).map(toShareLink),
+    following: rowsOrThrow(following),
+    splitSheetSignatures: rowsOrThrow(signatures),
+  }
+}
+
+// One JSON file per section so the archive is easy to browse.
+function buildExportZip(data) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } })
+    const chunks = []
+    archive.on('data', (chunk) => chunks.push(chunk))
+    archive.on('error', reject)
+    archive.on('end', () => resolve(Buffer.concat(chunks)))
+    for (const [section, value] of Object.entries(data)) {
+      archive.append(JSON.stringify(value, null, 2), { name: `${section}.json` })
+    }
+    archive.append(
+      `RiddimBase data export for ${data.account.email}\nGenerated ${new Date().toISOString()}\n\nEach file holds one section of your account data as JSON.\n`,
+      { name: 'README.txt' },
+    )
+    archive.finalize()
+  })
+}
+
+// POST /api/account/export
+// Query: ?format=json for a single JSON file instead of the default ZIP.
+// Uploads the bundle under exports/<userId>/ and returns a short-lived link.
+router.post('/api/account/export', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    if (!BUCKET || !REGION) return res.status(500).json({ error: 'S3 not configured' })
+
+    const format = req.query?.format === 'json' ? 'json' : 'zip'
+    const data = await collectAccountData(req.user)
+
+    const body =
+      format === 'json' ? Buffer.from(JSON.stringify(data, null, 2)) : await buildExportZip(data)
+    const key = `exports/${req.user.id}/${Date.now()}-riddimbase-export.${format}`
+
+    await s3.send(
+      new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: body,
+        ContentType: format === 'json' ? 'application/json' : 'application/zip',
+        ContentDisposition: `attachment; filename="riddimbase-export.${format}"`,
+      }),
+    )
+
+    const url = await getSignedUrl(s3, new GetObjectCommand({ Bucket: BUCKET, Key: key }), {
+      expiresIn: EXPORT_URL_TTL_SECONDS,
+    })
+    res.json({
+      ok: true,
+      format,
+      url,
+      expiresAt: new Date(Date.now() + EXPORT_URL_TTL_SECONDS * 1000).toISOString(),
+    })
+  } catch (e) {
+    console.error('[accountRoutes] export error', e)
+    res.status(500).json({ error: 'Failed to export account data' })
+  }
+})
+
+// DELETE /api/account
+// Body: { confirm: 'DELETE' }
+// Removes the account and its media. Sales records are kept but anonymized,
+// and beats that have been sold stay (hidden) so issued licenses still resolve.
+router.delete('/api/account', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    if (req.body?.confirm !== 'DELETE') {
+      return res.status(400).json({ error: "Send { confirm: 'DELETE' } to delete your account" })
+    }
+    const userId = req.user.id
+
+    const [{ data: wallet, error: walletErr }, { data: pending, error: pendingErr }] =
+      await Promise.all([
+        supabase.from('user_wallet').select('balance').eq('user_id', userId).maybeSingle(),
+        supabase.from('payouts').select('id').eq('user_id', userId).eq('status', 'pending'),
+      ])
+    if (walletErr || pendingErr) {
+      return res.status(500).json({ error: (walletErr || pendingErr).message })
+    }
+    if (Number(wallet?.balance || 0) > 0 || (pending || []).length) {
+      return res.status(409).json({
+        error: 'Withdraw your wallet balance and wait for pending payouts before deleting your account',
+      })
+    }
+
+    // Beats: drop unsold ones with their media, keep sold ones for their buyers.
+    const beats = rowsOrThrow(
+      await supabase
+        .from('beats')
+        .select('id,audio_url,preview_url,waveform_url,cover_url,stems_url')
+        .eq('user_id', userId),
+    )
+    const beatIds = beats.map((b) => b.id)
+    const soldBeatIds = beatIds.length
+      ? Array.from(
+          new Set(
+            rowsOrThrow(await supabase.from('sales').select('beat_id').in('beat_id', beatIds)).map(
+              (s) => s.beat_id,
+            ),
+          ),
+        )
+      : []
+    const unsoldBeats = beats.filter((b) => !soldBeatIds.includes(b.id))
+
+    const s3Keys = []
+    for (const b of unsoldBeats) {
+      for (const url of [b.audio_url, b.preview_url, b.waveform_url, b.cover_url, b.stems_url]) {
+        const key = extractS3KeyFromUrl(url)
+        if (key) s3Keys.push(key)
+      }
+    }
+
+    if (unsoldBeats.length) {
+      const assets = rowsOrThrow(
+        await supabase
+          .from('beat_assets')
+          .select('s3_key')
+          .in('beat_id', unsoldBeats.map((b) => b.id)),
+      )
+      for (const a of assets) s3Keys.push(a.s3_key)
+    }
+
+    const sessions = rowsOrThrow(
+      await supabase.from('studio_sessions').select('id,state').eq('user_id', userId),
+    )
+    for (const s of sessions) s3Keys.push(...collectSessionTakeKeys(s.state || {}))
+
+    const { data: profileRow } = await supabase
+      .from('profiles')
+      .select('audio_tag_url')
+      .eq('id', userId)
+      .maybeSingle()
+    const tagKey = extractS3KeyFromUrl(profileRow?.audio_tag_url)
+    if (tagKey) s3Keys.push(tagKey)
+
+    // Earlier data exports (POST /api/account/export) and catalog import
+    // archives (POST /beats/imports).
+    if (BUCKET) {
+      for (const prefix of [`exports/${userId}/`, `imports/${userId}/`]) {
+        s3Keys.push(...(await listS3Keys({ s3, bucket: BUCKET, prefix })))
+      }
+    }
+
+    const removedS3Keys = BUCKET ? await deleteS3Objects({ s3, bucket: BUCKET, keys: s3Keys }) : 0
+
+    if (unsoldBeats.length) {
+      const unsoldIds = unsoldBeats.map((b) => b.id)
+      await supabase.from('boosted_beats').delete().in('beat_id', unsoldIds)
+      await supabase.from('collaborators').delete().in('beat_id', unsoldIds)
+      rowsOrThrow(await supabase.from('beats').delete().in('id', unsoldIds).select('id'))
+    }
+    if (soldBeatIds.length) {
+      await supabase.from('boosted_beats').delete().in('beat_id', soldBeatIds)
+      rowsOrThrow(
+        await supabase
+          .from('beats')
+          .update({ hidden: true, user_id: null, producer: 'Deleted producer' })
+          .in('id', soldBeatIds)
+          .select('id'),
+      )
+    }
+
+    // Open invites are declined (their held earnings go back to the beat
+    // owner); invites sent to the address lose it.
+    const inviteColumns = `${COLLABORATOR_COLUMNS}, beat:beats(id, user_id, splits_status)`
+    const emailInvites = await listEmailInvites(req.user, inviteColumns)
+    const linkedInvites = rowsOrThrow(
+      await supabase
+        .from('collaborators')
+        .select(inviteColumns)
+        .eq('user_id', userId)
+        .eq('invite_status', 'pending'),
+    )
+    for (const invite of [...emailInvites, ...linkedInvites]) {
+      if (invite.invite_status === 'pending') await respondToInvite(invite, { accept: false })
+    }
+    if (emailInvites.length) {
+      rowsOrThrow(
+        await supabase
+          .from('collaborators')
+          .update({ email: null })
+          .in('id', emailInvites.map((c) => c.id))
+          .select('id'),
+      )
+    }
+
+    // Purchases and collaborator credits stay for accounting, minus the person.
+    rowsOrThrow(
+      await supabase
+        .from('sales')
+        .update({ buyer_id: null, buyer_email: null })
+        .eq('buyer_id', userId)
+        .select('id'),
+    )
+    rowsOrThrow(
+      await supabase
+        .from('collaborators')
+        .update({ user_id: null, email: null })
+        .eq('user_id', userId)
+        .select('id'),
+    )
+    // Split sheets the user signed stay valid for the other contributors (the
+    // signed PDF is their copy); the signature rows lose the name and device.
+    rowsOrThrow(
+      await supabase
+        .from('split_sheet_signatures')
+        .update({ signed_name: 'Deleted account', ip: null, user_agent: null })
+        .eq('user_id', userId)
+        .select('id'),
+    )
+    rowsOrThrow(
+      await supabase
+        .from('support_tickets')
+        .update({ created_by: null, contact_email: 'deleted', contact_phone: null })
+        .eq('created_by', userId)
+        .select('id'),
+    )
+
+    for (const table of [
+      'studio_sessions',
+      'recording_credit_history',
+      'recording_credits',
+      'user_wallet',
+      'api_keys',
+      'user_two_factor',
+      'user_sessions',
+      'license_downloads',
+      'catalog_imports',
+      'beat_share_links',
+    ]) {
+      const { error } = await supabase.from(table).delete().eq('user_id', userId)
+      if (error) console.error(`[accountRoutes] delete ${table} error`, error)
+    }
+    const { error: followErr } = await supabase
+      .from('producer_followers')
+      .delete()
+      .or(`follower_id.eq.${userId},producer_id.eq.${userId}`)
+    if (followErr) console.error('[accountRoutes] delete producer_followers error', followErr)
+    await supabase.from('profiles').delete().eq('id', userId)
+
+    const { error: deleteErr } = await supabase.auth.admin.deleteUser(userId)
+    if (deleteErr) {
+      console.error('[accountRoutes] auth delete error', deleteErr)
+      return res.status(500).json({ error: 'Failed to delete account' })
+    }
+
+    const { error: auditErr } = await supabase.from('account_deletions').insert({
+      user_id: userId,
+      retained_beat_ids: soldBeatIds,
+      removed_s3_keys: removedS3Keys,
+    })
+    if (auditErr) console.error('[accountRoutes] audit insert error', auditErr)
+
+    res.json({
+      ok: true,
+      deletedBeats: unsoldBeats.length,
+      retainedBeats: soldBeatIds.length,
+      removedFiles: removedS3Keys,
+    })
+  } catch (e) {
+    console.error('[accountRoutes] delete error', e)
+    res.status(500).json({ error: 'Failed to delete account' })
+  }
+})
+
+export default router
@@ -0,0 +1,140 @@
+import crypto from 'crypto'
+import express from 'express'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  hashApiKey,
+  requireAuth,
+} from './authMiddleware.js'
+import { getUserRole } from './permissions.js'
+
+dotenv.config()
+
+const router = express.Router()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[apiKeyRoutes] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+const MAX_ACTIVE_KEYS = 10
+
+const toApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.prefix,
+  scopes: row.scopes || [],
+  lastUsedAt: row.last_used_at,
+  createdAt: row.created_at,
+})
+
+// Key management is only for producers (and admins acting as one), and
+// always requires a real session — an API key cannot mint more keys.
+const assertProducer = async (req, res) => {
+  const role = await getUserRole(req.user)
+  if (role === 'producer' || role === 'admin') return true
+  res.status(403).json({ error: 'Only producer accounts can create API keys' })
+  return false
+}
+
+// List the caller's active API keys (secrets are never returned again).
+router.get('/api/keys', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('id, name, prefix, scopes, last_used_at, created_at')
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false })
+    if (error) return res.status(500).json({ error: error.message })
+    res.json({ ok: true, keys: (data || []).map(toApiKey), availableScopes: API_KEY_SCOPES })
+  } catch (e) {
+    console.error('[apiKeyRoutes] list error', e)
+    res.status(500).json({ error: 'Failed to load API keys' })
+  }
+})
+
+// Mint a new API key. The plaintext key is only ever in this response.
+// Body: { name, scopes: ['catalog:read' | 'catalog:upload' | 'sales:read'] }
+router.post('/api/keys', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    if (!(await assertProducer(req, res))) return
+
+    const name = String(req.body?.name || '').trim()
+    const scopes = Array.isArray(req.body?.scopes) ? Array.from(new Set(req.body.scopes)) : []
+    if (!name) return res.status(400).json({ error: 'name is required' })
+    if (!scopes.length || scopes.some((s) => !API_KEY_SCOPES.includes(s))) {
+      return res
+        .status(400)
+        .json({ error: `scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` })
+    }
+
+    const { count, error: countErr } = await supabase
+      .from('api_keys')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+    if (countErr) return res.status(500).json({ error: countErr.message })
+    if ((count || 0) >= MAX_ACTIVE_KEYS) {
+      return res
+        .status(400)
+        .json({ error: `You can have at most ${MAX_ACTIVE_KEYS} active API keys` })
+    }
+
+    const prefix = crypto.randomBytes(4).toString('hex')
+    const secret = crypto.randomBytes(24).toString('base64url')
+    const key = `${API_KEY_PREFIX}${prefix}_${secret}`
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        user_id: req.user.id,
+        name,
+        prefix: `${API_KEY_PREFIX}${prefix}`,
+        key_hash: hashApiKey(key),
+        scopes,
+      })
+      .select('id, name, prefix, scopes, last_used_at, created_at')
+      .single()
+    if (error) return res.status(500).json({ error: error.message })
+
+    res.status(201).json({ ok: true, key, apiKey: toApiKey(data) })
+  } catch (e) {
+    console.error('[apiKeyRoutes] create error', e)
+    res.status(500).json({ error: 'Failed to create API key' })
+  }
+})
+
+// Revoke one of the caller's API keys; it stops working immediately.
+router.delete('/api/keys/:id', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle()
+    if (error) return res.status(500).json({ error: error.message })
+    if (!data) return res.status(404).json({ error: 'Not found' })
+    res.json({ ok: true, revokedKeyId: data.id })
+  } catch (e) {
+    console.error('[apiKeyRoutes] revoke error', e)
+    res.status(500).json({ error: 'Failed to revoke API key' })
+  }
+})
+
+export default router
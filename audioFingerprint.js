@@ -0,0 +1,253 @@
+// Duplicate detection for uploads. Every beat's original gets a content hash
+// (sha256, catches byte-identical re-uploads) and a Chromaprint acoustic
+// fingerprint from fpcalc (FPCALC_PATH, default `fpcalc` on PATH; catches
+// re-encodes, trims and retagged copies). A new upload that matches another
+// account's beat is flagged and a duplicate report is opened for moderators.
+import { spawn } from 'child_process'
+import crypto from 'crypto'
+import fs from 'fs'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[audioFingerprint] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+// Fingerprints live in their own table so `select('*')` on beats never drags
+// the arrays along. Chromaprint values are unsigned 32-bit; they are stored
+// reinterpreted as int4 so the GIN index can find candidates by overlap:
+// create table if not exists public.beat_fingerprints (
+//   beat_id uuid primary key references public.beats(id) on delete cascade,
+//   sha256 text not null,
+//   duration numeric,
+//   fingerprint int4[],
+//   created_at timestamptz not null default now(),
+//   updated_at timestamptz not null default now()
+// );
+// create index if not exists beat_fingerprints_sha256_idx on public.beat_fingerprints (sha256);
+// create index if not exists beat_fingerprints_fingerprint_idx on public.beat_fingerprints using gin (fingerprint);
+//
+// One report per (uploaded beat, matched beat). `original_*` is whoever
+// uploaded first; moderators record who actually owns the beat on resolve:
+// create table if not exists public.duplicate_reports (
+//   id uuid primary key default gen_random_uuid(),
+//   beat_id uuid not null references public.beats(id) on delete cascade,
+//   user_id uuid,
+//   matched_beat_id uuid not null references public.beats(id) on delete cascade,
+//   original_beat_id uuid not null,
+//   original_user_id uuid,
+//   match_type text not null,           -- 'exact' | 'acoustic'
+//   similarity numeric not null,
+//   status text not null default 'open', -- 'open' | 'resolved'
+//   resolution text,
+//   rightful_owner_id uuid,
+//   notes text,
+//   resolved_by uuid,
+//   resolved_at timestamptz,
+//   created_at timestamptz not null default now(),
+//   unique (beat_id, matched_beat_id)
+// );
+
+const FPCALC_PATH = process.env.FPCALC_PATH || 'fpcalc'
+// Seconds of audio fingerprinted; the opening two minutes identify a beat.
+const FINGERPRINT_SECONDS = Number(process.env.FINGERPRINT_SECONDS || 120)
+// 0..1; re-encodes of the same audio score above 0.9, unrelated audio ~0.5.
+export const FINGERPRINT_MATCH_THRESHOLD = Number(process.env.FINGERPRINT_MATCH_THRESHOLD || 0.85)
+
+// Chromaprint emits ~8 values per second. Matches are searched with the
+// copy shifted up to ~10s either way (e.g. a trimmed intro).
+const MAX_OFFSET = 80
+const MIN_OVERLAP = 40
+// Values sent to the index lookup; PostgREST puts them in the URL.
+const CANDIDATE_SAMPLE_SIZE = 150
+const MAX_CANDIDATES = 25
+
+export const DUPLICATE_RESOLUTIONS = ['not_duplicate', 'upload_is_copy', 'original_is_copy']
+
+export const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+  })
+
+// Resolves to { duration, fingerprint: int32[] } from `fpcalc -raw -json`.
+export const computeAcousticFingerprint = (filePath) =>
+  new Promise((resolve, reject) => {
+    const fpcalc = spawn(
+      FPCALC_PATH,
+      ['-raw', '-json', '-length', String(FINGERPRINT_SECONDS), filePath],
+      { stdio: ['ignore', 'pipe', 'pipe'] },
+    )
+    let stdout = ''
+    let stderr = ''
+    fpcalc.stdout.on('data', (chunk) => {
+      stdout += chunk.toString()
+    })
+    fpcalc.stderr.on('data', (chunk) => {
+      stderr += chunk.toString()
+    })
+    fpcalc.on('error', reject)
+    fpcalc.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`fpcalc exited with ${code}: ${stderr.trim()}`))
+      try {
+        const parsed = JSON.parse(stdout)
+        if (!Array.isArray(parsed.fingerprint) || !parsed.fingerprint.length) {
+          return reject(new Error('fpcalc returned an empty fingerprint'))
+        }
+        resolve({ duration: parsed.duration ?? null, fingerprint: parsed.fingerprint.map((v) => v | 0) })
+      } catch (err) {
+        reject(err)
+      }
+    })
+  })
+
+// Hash and fingerprint of an audio file. A missing or failing fpcalc only
+// costs the acoustic match, so the fingerprint is null rather than an error.
+export async function fingerprintAudioFile(filePath) {
+  const sha256 = await hashFile(filePath)
+  try {
+    const { duration, fingerprint } = await computeAcousticFingerprint(filePath)
+    return { sha256, duration, fingerprint }
+  } catch (err) {
+    console.warn('[audioFingerprint] acoustic fingerprint failed', err?.message || err)
+    return { sha256, duration: null, fingerprint: null }
+  }
+}
+
+const popcount = (n) => {
+  let v = n - ((n >>> 1) & 0x55555555)
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333)
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24
+}
+
+// Best 0..1 agreement between two fingerprints over the allowed offsets:
+// 1 minus the share of differing bits in the overlapping values.
+export function fingerprintSimilarity(a, b) {
+  let best = 0
+  for (let offset = -MAX_OFFSET; offset <= MAX_OFFSET; offset += 1) {
+    const start = Math.max(0, -offset)
+    const end = Math.min(a.length, b.length - offset)
+    const overlap = end - start
+    if (overlap < MIN_OVERLAP) continue
+    let errors = 0
+    for (let i = start; i < end; i += 1) errors += popcount(a[i] ^ b[i + offset])
+    best = Math.max(best, 1 - errors / (overlap * 32))
+  }
+  return best
+}
+
+// Spread the sample over the whole fingerprint rather than its first seconds.
+const sampleValues = (fingerprint) => {
+  const unique = Array.from(new Set(fingerprint))
+  const step = Math.max(1, unique.length / CANDIDATE_SAMPLE_SIZE)
+  const sample = []
+  for (let i = 0; i < unique.length && sample.length < CANDIDATE_SAMPLE_SIZE; i += step) {
+    sample.push(unique[Math.floor(i)])
+  }
+  return sample
+}
+
+// Other accounts' beats matching the hash or fingerprint, best match first:
+// [{ beat: { id, user_id, created_at }, matchType, similarity }].
+export async function findDuplicateCandidates({ beatId, userId, sha256, fingerprint }) {
+  const columns = 'beat_id, sha256, fingerprint, beats!inner(id, user_id, created_at)'
+  const matches = new Map()
+
+  const { data: exact, error } = await supabase
+    .from('beat_fingerprints')
+    .select(columns)
+    .eq('sha256', sha256)
+    .neq('beat_id', beatId)
+    .limit(MAX_CANDIDATES)
+  if (error) throw error
+  for (const row of exact || []) {
+    matches.set(row.beat_id, { beat: row.beats, matchType: 'exact', similarity: 1 })
+  }
+
+  if (fingerprint?.length) {
+    const { data: candidates, error: candidateErr } = await supabase
+      .from('beat_fingerprints')
+      .select(columns)
+      .overlaps('fingerprint', sampleValues(fingerprint))
+      .neq('beat_id', beatId)
+      .limit(MAX_CANDIDATES)
+    if (candidateErr) throw candidateErr
+    for (const row of candidates || []) {
+      if (matches.has(row.beat_id) || !row.fingerprint?.length) continue
+      const similarity = fingerprintSimilarity(fingerprint, row.fingerprint)
+      if (similarity >= FINGERPRINT_MATCH_THRESHOLD) {
+        matches.set(row.beat_id, {
+          beat: row.beats,
+          matchType: 'acoustic',
+          similarity: Number(similarity.toFixed(4)),
+        })
+      }
+    }
+  }
+
+  // A producer re-uploading their own beat is not a dispute.
+  return Array.from(matches.values())
+    .filter((m) => m.beat.user_id !== userId)
+    .sort((x, y) => y.similarity - x.similarity)
+}
+
+// Stores the fingerprint of `beat` and checks it against the catalog. Each
+// match opens a duplicate report and the beat is flagged, which keeps it
+// out of the marketplace until a moderator resolves the reports.
+// Resolves to the reports opened.
+export async function recordBeatFingerprint(beat, { sha256, duration, fingerprint }) {
+  const { error } = await supabase.from('beat_fingerprints').upsert(
+    {
+      beat_id: beat.id,
+      sha256,
+      duration,
+      fingerprint,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: 'beat_id' },
+  )
+  if (error) throw error
+
+  const matches = await findDuplicateCandidates({
+    beatId: beat.id,
+    userId: beat.user_id,
+    sha256,
+    fingerprint,
+  })
+  if (!matches.length) return []
+
+  const reports = matches.map(({ beat: other, matchType, similarity }) => {
+    const otherIsOlder = new Date(other.created_at) <= new Date(beat.created_at || Date.now())
+    return {
+      beat_id: beat.id,
+      user_id: beat.user_id,
+      matched_beat_id: other.id,
+      original_beat_id: otherIsOlder ? other.id : beat.id,
+      original_user_id: otherIsOlder ? other.user_id : beat.user_id,
+      match_type: matchType,
+      similarity,
+    }
+  })
+  const { data, error: reportErr } = await supabase
+    .from('duplicate_reports')
+    .upsert(reports, { onConflict: 'beat_id,matched_beat_id', ignoreDuplicates: true })
+    .select('*')
+  if (reportErr) throw reportErr
+
+  const { error: flagErr } = await supabase.from('beats').update({ flagged: true }).eq('id', beat.id)
+  if (flagErr) throw flagErr
+  return data || []
+}
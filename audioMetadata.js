@@ -0,0 +1,77 @@
+// Reads technical details and tags out of an uploaded audio file so the beat
+// row reflects the file itself, not just what the client claimed.
+import { parseFile } from 'music-metadata'
+import { uploadError } from './s3Upload.js'
+
+// Columns filled from the file on upload:
+// alter table public.beats
+//   add column if not exists duration_seconds numeric,
+//   add column if not exists sample_rate integer,
+//   add column if not exists bit_depth integer,
+//   add column if not exists channels integer,
+//   add column if not exists bitrate integer,
+//   add column if not exists audio_format text;
+
+// What the container must be for each upload kind. Catches e.g. an MP3
+// renamed to .wav, which browsers happily label audio/wav.
+const EXPECTED_CONTAINERS = {
+  mp3: (format) => format.container === 'MPEG' && /layer 3/i.test(format.codec || ''),
+  wav: (format) => format.container === 'WAVE',
+}
+
+export const MUSICAL_KEY_PATTERN = /^[A-G][#b♯♭]?\s*(m|min|minor|maj|major)?$/i
+
+const toBpm = (value) => {
+  const n = Math.round(Number(value))
+  return Number.isFinite(n) && n >= 40 && n <= 300 ? n : null
+}
+
+// Parses the file at `filePath` uploaded as `kind` ('mp3' | 'wav').
+// Resolves to { technical, tags, artwork } or throws a 422 upload error when
+// the file is unreadable or is not really the format it was uploaded as.
+export async function inspectAudioFile(filePath, kind) {
+  let metadata
+  try {
+    metadata = await parseFile(filePath, { duration: true })
+  } catch (err) {
+    throw uploadError(422, 'corrupt_audio', `The audio file could not be read (${err.message})`)
+  }
+
+  const { format, common } = metadata
+  if (!format.container) {
+    throw uploadError(422, 'corrupt_audio', 'The file is not a recognised audio format')
+  }
+  const matchesKind = EXPECTED_CONTAINERS[kind]
+  if (matchesKind && !matchesKind(format)) {
+    const actual = [format.container, format.codec].filter(Boolean).join(' / ')
+    throw uploadError(
+      422,
+      'mislabeled_audio',
+      `The file was uploaded as ${kind.toUpperCase()} but contains ${actual} audio`,
+    )
+  }
+  if (!format.duration || !format.sampleRate) {
+    throw uploadError(422, 'corrupt_audio', 'The audio file has no playable audio stream')
+  }
+
+  const picture = common.picture?.[0] || null
+  const key = typeof common.key === 'string' ? common.key.trim() : null
+
+  return {
+    technical: {
+      duration_seconds: Number(format.duration.toFixed(3)),
+      sample_rate: format.sampleRate,
+      bit_depth: format.bitsPerSample || null,
+      channels: format.numberOfChannels || null,
+      bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+      audio_format: [format.container, format.codec].filter(Boolean).join(' / ') || null,
+    },
+    tags: {
+      title: common.title?.trim() || null,
+      artist: common.artist?.trim() || null,
+      bpm: toBpm(common.bpm),
+      musicalKey: key && MUSICAL_KEY_PATTERN.test(key) ? key : null,
+    },
+    artwork: picture ? { format: picture.format, data: Buffer.from(picture.data) } : null,
+  }
+}
@@ -0,0 +1,230 @@
+import crypto from 'crypto'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { getActiveBan } from './bans.js'
+import { getTwoFactorRecord, isSessionTwoFactorVerified, twoFactorRequiredBody } from './twoFactor.js'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[authMiddleware] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY; authenticated routes will reject requests')
+}
+
+export const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization || ''
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null
+}
+
+// Read claims from a Supabase access token. Only call this on tokens that
+// have already been validated (e.g. via getUser or a fresh grant).
+export const decodeJwtPayload = (token) => {
+  try {
+    const [, payload] = String(token || '').split('.')
+    if (!payload) return null
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'))
+  } catch {
+    return null
+  }
+}
+
+export async function isSessionRevoked(sessionId) {
+  if (!supabase || !sessionId) return false
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('revoked_at')
+    .eq('id', sessionId)
+    .maybeSingle()
+  if (error) {
+    console.error('[authMiddleware] session lookup error', error)
+    return false
+  }
+  return !!data?.revoked_at
+}
+
+// Body sent back when a banned account tries to log in or use a token.
+export const bannedResponseBody = (ban) => ({
+  error: 'This account has been suspended.',
+  code: 'account_banned',
+  reason: ban.reason,
+  bannedUntil: ban.bannedUntil,
+})
+
+// Resolves the caller from the Bearer token. Returns { user, token, sessionId }
+// on success or { status, body } describing why the request was rejected.
+async function resolveRequestUser(req) {
+  if (!supabase) {
+    return { status: 500, body: { error: 'Supabase not configured on backend' } }
+  }
+
+  const token = getBearerToken(req)
+  if (!token) return { status: 401, body: { error: 'Missing access token.' } }
+
+  const { data, error } = await supabase.auth.getUser(token)
+  if (error || !data?.user) {
+    return { status: 401, body: { error: 'Invalid or expired token.' } }
+  }
+
+  const ban = getActiveBan(data.user)
+  if (ban) return { status: 403, body: bannedResponseBody(ban) }
+
+  const sessionId = decodeJwtPayload(token)?.session_id || null
+  if (await isSessionRevoked(sessionId)) {
+    return { status: 401, body: { error: 'Session has been revoked.' } }
+  }
+
+  // Accounts with 2FA only accept sessions that passed the TOTP step in
+  // /api/auth/login, so a token from a bare password sign-in against
+  // Supabase is not enough.
+  const twoFactor = await getTwoFactorRecord(data.user.id)
+  if (twoFactor?.enabled && !(await isSessionTwoFactorVerified(sessionId))) {
+    return { status: 401, body: twoFactorRequiredBody }
+  }
+
+  return { user: data.user, token, sessionId }
+}
+
+// Express middleware: rejects the request unless it carries a valid Supabase
+// access token. On success sets req.user (the Supabase auth user),
+// req.accessToken and req.sessionId.
+export async function requireAuth(req, res, next) {
+  try {
+    const result = await resolveRequestUser(req)
+    if (!result.user) {
+      return res.status(result.status).json(result.body)
+    }
+    req.user = result.user
+    req.accessToken = result.token
+    req.sessionId = result.sessionId
+    next()
+  } catch (err) {
+    console.error('[authMiddleware] requireAuth error', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+}
+
+// Server-to-server routes (e.g. the payment webhook recording a sale) take
+// the shared SERVICE_API_KEY in an `x-service-key` header instead of a user
+// token. They stay closed while SERVICE_API_KEY is unset.
+const serviceApiKey = process.env.SERVICE_API_KEY || null
+
+export function requireServiceKey(req, res, next) {
+  if (!serviceApiKey) return res.status(503).json({ error: 'Service access is not configured.' })
+  const got = req.header('x-service-key')
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest()
+  if (!got || !crypto.timingSafeEqual(digest(got), digest(serviceApiKey))) {
+    return res.status(401).json({ error: 'Invalid service key.' })
+  }
+  next()
+}
+
+// Like requireAuth, but lets anonymous requests through with req.user = null.
+// A token that is present but invalid is still rejected.
+export async function optionalAuth(req, res, next) {
+  if (!getBearerToken(req)) {
+    req.user = null
+    return next()
+  }
+  return requireAuth(req, res, next)
+}
+
+// Personal API keys ("rb_<prefix>_<secret>") are stored as SHA-256 hashes in:
+// create table if not exists public.api_keys (
+//   id uuid primary key default gen_random_uuid(),
+//   user_id uuid not null,
+//   name text not null,
+//   prefix text not null,
+//   key_hash text not null unique,
+//   scopes text[] not null default '{}',
+//   last_used_at timestamptz,
+//   revoked_at timestamptz,
+//   created_at timestamptz not null default now()
+// );
+export const API_KEY_SCOPES = ['catalog:read', 'catalog:upload', 'sales:read']
+export const API_KEY_PREFIX = 'rb_'
+
+export const hashApiKey = (key) =>
+  crypto.createHash('sha256').update(String(key)).digest('hex')
+
+const getApiKeyFromRequest = (req) => {
+  const headerKey = req.headers['x-api-key']
+  if (headerKey && typeof headerKey === 'string') return headerKey.trim()
+  const bearer = getBearerToken(req)
+  if (bearer && bearer.startsWith(API_KEY_PREFIX)) return bearer
+  return null
+}
+
+async function resolveApiKeyUser(apiKey) {
+  const { data: keyRow, error } = await supabase
+    .from('api_keys')
+    .select('id, user_id, scopes, revoked_at')
+    .eq('key_hash', hashApiKey(apiKey))
+    .maybeSingle()
+  if (error) {
+    console.error('[authMiddleware] api key lookup error', error)
+    return { status: 500, body: { error: 'Internal server error.' } }
+  }
+  if (!keyRow || keyRow.revoked_at) {
+    return { status: 401, body: { error: 'Invalid or revoked API key.' } }
+  }
+
+  const { data, error: userError } = await supabase.auth.admin.getUserById(keyRow.user_id)
+  if (userError || !data?.user) {
+    return { status: 401, body: { error: 'Invalid or revoked API key.' } }
+  }
+  const ban = getActiveBan(data.user)
+  if (ban) return { status: 403, body: bannedResponseBody(ban) }
+
+  const { error: touchError } = await supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', keyRow.id)
+  if (touchError) console.error('[authMiddleware] api key touch error', touchError)
+
+  return { user: data.user, apiKey: { id: keyRow.id, scopes: keyRow.scopes || [] } }
+}
+
+// Route guard for endpoints producers may script against: accepts either a
+// session Bearer token (full access) or a personal API key carrying `scope`,
+// sent as `x-api-key` or `Authorization: Bearer rb_...`. Sets req.user and
+// req.apiKey ({ id, scopes } or null for session callers).
+export function requireApiAccess(scope) {
+  return async (req, res, next) => {
+    try {
+      const apiKey = getApiKeyFromRequest(req)
+      if (!apiKey) {
+        req.apiKey = null
+        return requireAuth(req, res, next)
+      }
+      if (!supabase) {
+        return res.status(500).json({ error: 'Supabase not configured on backend' })
+      }
+
+      const result = await resolveApiKeyUser(apiKey)
+      if (!result.user) {
+        return res.status(result.status).json(result.body)
+      }
+      if (!result.apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+          error: `This API key is missing the '${scope}' scope.`,
+          missingScope: scope,
+        })
+      }
+      req.user = result.user
+      req.apiKey = result.apiKey
+      req.accessToken = null
+      req.sessionId = null
+      next()
+    } catch (err) {
+      console.error('[authMiddleware] requireApiAccess error', err)
+      res.status(500).json({ error: 'Internal server error.' })
+    }
+  }
+}
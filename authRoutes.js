@@ -1,6 +1,39 @@
+import crypto from 'crypto'
 import express from 'express'
 import nodemailer from 'nodemailer'
 import { createClient } from '@supabase/supabase-js'
+import {
+  WEB_BASE_URL,
+  buildAccountLockedEmail,
+  buildPasswordResetEmail,
+  buildVerifyEmail,
+} from './emailTemplates.js'
+import {
+  bannedResponseBody,
+  decodeJwtPayload,
+  isSessionRevoked,
+  requireAuth,
+} from './authMiddleware.js'
+import { getActiveBan } from './bans.js'
+import { linkInvitesToUser } from './collabInvites.js'
+import {
+  TWO_FACTOR_POLICY,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  getTwoFactorRecord,
+  hashRecoveryCode,
+  markSessionTwoFactorVerified,
+  verifySecondFactor,
+  verifyTotp,
+} from './twoFactor.js'
+import { requirePermission } from './permissions.js'
+import {
+  createLoginLockout,
+  createMemoryStore,
+  createRateLimiter,
+  getRequestIp,
+} from './rateLimit.js'
 
 const router = express.Router()
 
@@ -8,7 +41,9 @@ const SMTP_HOST = process.env.SMTP_HOST
 const SMTP_PORT = process.env.SMTP_PORT
 const SMTP_USER = process.env.SMTP_USER
 const SMTP_PASS = process.env.SMTP_PASS
-const WEB_BASE_URL = process.env.WEB_BASE_URL || 'https://www.riddimbase.app'
+// When enabled, signup sends a confirmation link and login is refused until
+// the email address has been verified.
+const REQUIRE_EMAIL_CONFIRMATION = process.env.REQUIRE_EMAIL_CONFIRMATION === 'true'
 
 let mailTransporter = null
 if (SMTP_HOST && SMTP_USER && SMTP_PASS) {
@@ -92,6 +127,40 @@ function buildWelcomeEmail({ toEmail, displayName }) {
   return { subject, text, html }
 }
 
+// Links point at the web app, which posts the token_hash back to the
+// matching /api/auth route below.
+const buildAuthActionUrl = (path, tokenHash, type) =>
+  `${WEB_BASE_URL}${path}?token_hash=${encodeURIComponent(tokenHash)}&type=${type}`
+
+async function sendAuthEmail(toEmail, emailConfig) {
+  if (!mailTransporter) {
+    console.warn('[auth] SMTP not configured; skipping email to', toEmail)
+    return false
+  }
+  await mailTransporter.sendMail({
+    from: `RiddimBase <${SMTP_USER}>`,
+    to: toEmail,
+    subject: emailConfig.subject,
+    text: emailConfig.text,
+    html: emailConfig.html,
+  })
+  return true
+}
+
+async function sendWelcomeEmail(user) {
+  try {
+    if (mailTransporter && user?.email) {
+      const emailConfig = buildWelcomeEmail({
+        toEmail: user.email,
+        displayName: user.user_metadata?.fullName,
+      })
+      await sendAuthEmail(user.email, emailConfig)
+    }
+  } catch (mailErr) {
+    console.error('[auth] welcome email send error:', mailErr)
+  }
+}
+
 const sanitizeUser = (user) => {
   if (!user) return null
   return {
@@ -102,8 +171,155 @@ const sanitizeUser = (user) => {
   }
 }
 
+// Password and refresh-token grants store the resulting session on the client
+// that performed them. Use a throwaway client for those so the shared
+// service-role client above never starts sending a user's JWT.
+const createSessionClient = () =>
+  createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+  })
+
+const buildSessionResponse = (data) => ({
+  user: sanitizeUser(data.user),
+  access_token: data.session?.access_token,
+  refresh_token: data.session?.refresh_token,
+  expires_in: data.session?.expires_in,
+})
+
+// Supabase does not expose a user's sessions through the admin API, so we
+// keep our own ledger keyed by the `session_id` claim:
+// create table if not exists public.user_sessions (
+//   id uuid primary key,
+//   user_id uuid not null,
+//   user_agent text,
+//   ip text,
+//   created_at timestamptz not null default now(),
+//   last_refreshed_at timestamptz,
+//   mfa_verified_at timestamptz,
+//   revoked_at timestamptz
+// );
+async function recordSession(req, session, { refreshed = false } = {}) {
+  const claims = decodeJwtPayload(session?.access_token)
+  if (!claims?.session_id || !claims?.sub) return null
+  const nowIso = new Date().toISOString()
+  const row = {
+    id: claims.session_id,
+    user_id: claims.sub,
+    user_agent: req.headers['user-agent'] || null,
+    ip: getRequestIp(req),
+  }
+  if (refreshed) row.last_refreshed_at = nowIso
+  const { error } = await supabase
+    .from('user_sessions')
+    .upsert(row, { onConflict: 'id' })
+  if (error) console.error('[auth] recordSession error:', error)
+  return claims.session_id
+}
+
+// Throttling for credential endpoints. The in-memory store is per process;
+// swap in a shared store with the same interface when running several
+// instances (see rateLimit.js).
+const rateLimitStore = createMemoryStore()
+const loginLockout = createLoginLockout({ store: rateLimitStore })
+
+const normalizeEmailKey = (req) =>
+  req.body?.email ? String(req.body.email).trim().toLowerCase() : null
+
+const loginIpLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'login-ip',
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyGenerator: getRequestIp,
+  message: 'Too many login attempts from this network. Please try again later.',
+})
+const loginEmailLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'login-email',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: normalizeEmailKey,
+  message: 'Too many login attempts for this account. Please try again later.',
+})
+const signupIpLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'signup-ip',
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  keyGenerator: getRequestIp,
+  message: 'Too many signups from this network. Please try again later.',
+})
+const signupEmailLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'signup-email',
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: normalizeEmailKey,
+})
+
+const passwordResetLimiter = createRateLimiter({
+  store: rateLimitStore,
+  name: 'forgot-password-email',
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: normalizeEmailKey,
+  message: 'Too many reset requests for this account. Please try again later.',
+})
+
+const lockedResponseBody = (lock) => ({
+  error: 'Too many failed attempts. Sign-in is temporarily locked for this account.',
+  code: 'account_locked',
+  lockedUntil: lock.lockedUntil,
+})
+
+// Lockouts are tracked for any email typed into the login form, so the alert
+// only goes out when a recovery link can be generated, i.e. the account exists.
+async function sendLockoutAlert(lock) {
+  try {
+    const { data, error } = await supabase.auth.admin.generateLink({
+      type: 'recovery',
+      email: lock.email,
+    })
+    if (error || !data?.user?.email) return
+    const emailConfig = buildAccountLockedEmail({
+      toEmail: data.user.email,
+      lockedUntil: lock.lockedUntil,
+      ip: lock.ip,
+      actionUrl: buildAuthActionUrl('/reset-password', data.properties.hashed_token, 'recovery'),
+    })
+    await sendAuthEmail(data.user.email, emailConfig)
+  } catch (mailErr) {
+    console.error('[auth] lockout alert send error:', mailErr)
+  }
+}
+
+// Logins that passed the password check but still owe a TOTP code, keyed by
+// the one-time mfa_token handed to the client. The Supabase session never
+// leaves the server until the second factor succeeds.
+const pendingTwoFactorLogins = new Map()
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000
+const TWO_FACTOR_MAX_ATTEMPTS = 5
+
+async function discardPendingLogin(mfaToken) {
+  const pending = pendingTwoFactorLogins.get(mfaToken)
+  pendingTwoFactorLogins.delete(mfaToken)
+  if (!pending?.data?.session?.access_token) return
+  try {
+    await supabase.auth.admin.signOut(pending.data.session.access_token, 'local')
+  } catch (err) {
+    console.error('[auth] discard pending login error:', err)
+  }
+}
+
+function sweepPendingLogins() {
+  const now = Date.now()
+  for (const [token, pending] of pendingTwoFactorLogins) {
+    if (pending.expiresAt <= now) discardPendingLogin(token)
+  }
+}
+
 // POST /api/auth/signup
-router.post('/api/auth/signup', async (req, res) => {
+router.post('/api/auth/signup', signupIpLimiter, signupEmailLimiter, async (req, res) => {
   try {
     if (!supabase) {
       return res.status(500).json({ error: 'Supabase not configured on backend' })
@@ -115,10 +331,50 @@ router.post('/api/auth/signup', async (req, res) => {
         .json({ error: 'Email and password are required.' })
     }
 
+    if (REQUIRE_EMAIL_CONFIRMATION) {
+      // generateLink creates the user unconfirmed and hands back the token
+      // instead of letting Supabase send its own unbranded email.
+      const { data, error } = await supabase.auth.admin.generateLink({
+        type: 'signup',
+        email,
+        password,
+        options: { data: { fullName: fullName || '' } },
+      })
+
+      if (error) {
+        console.error('[auth] signup error:', error)
+        return res.status(400).json({ error: error.message })
+      }
+
+      try {
+        const emailConfig = buildVerifyEmail({
+          toEmail: data.user.email,
+          displayName: fullName,
+          actionUrl: buildAuthActionUrl(
+            '/verify-email',
+            data.properties.hashed_token,
+            'signup',
+          ),
+        })
+        await sendAuthEmail(data.user.email, emailConfig)
+      } catch (mailErr) {
+        console.error('[auth] verification email send error:', mailErr)
+      }
+
+      return res.status(201).json({
+        message: 'Check your email to confirm your account.',
+        requiresConfirmation: true,
+        user: sanitizeUser(data.user),
+      })
+    }
+
+    // Confirmed for sign-in only: the address was never checked, so it is
+    // flagged for anything that trusts it (see hasVerifiedEmail).
     const { data, error } = await supabase.auth.admin.createUser({
       email,
       password,
       email_confirm: true,
+      app_metadata: { email_unverified: true },
       user_metadata: {
         fullName: fullName || '',
       },
@@ -129,24 +385,7 @@ router.post('/api/auth/signup', async (req, res) => {
       return res.status(400).json({ error: error.message })
     }
 
-    try {
-      if (mailTransporter && data.user?.email) {
-        const emailConfig = buildWelcomeEmail({
-          toEmail: data.user.email,
-          displayName: fullName,
-        })
-
-        await mailTransporter.sendMail({
-          from: `RiddimBase <${SMTP_USER}>`,
-          to: data.user.email,
-          subject: emailConfig.subject,
-          text: emailConfig.text,
-          html: emailConfig.html,
-        })
-      }
-    } catch (mailErr) {
-      console.error('[auth] welcome email send error:', mailErr)
-    }
+    await sendWelcomeEmail(data.user)
 
     return res.status(201).json({
       message: 'User created successfully.',
@@ -159,7 +398,7 @@ router.post('/api/auth/signup', async (req, res) => {
 })
 
 // POST /api/auth/login
-router.post('/api/auth/login', async (req, res) => {
+router.post('/api/auth/login', loginIpLimiter, loginEmailLimiter, async (req, res) => {
   try {
     if (!supabase) {
       return res.status(500).json({ error: 'Supabase not configured on backend' })
@@ -171,55 +410,595 @@ router.post('/api/auth/login', async (req, res) => {
         .json({ error: 'Email and password are required.' })
     }
 
-    const { data, error } = await supabase.auth.signInWithPassword({
+    const existingLock = await loginLockout.getLock(email)
+    if (existingLock) {
+      return res.status(429).json(lockedResponseBody(existingLock))
+    }
+
+    const { data, error } = await createSessionClient().auth.signInWithPassword({
       email,
       password,
     })
 
     if (error) {
       console.error('[auth] login error:', error)
+      if (error.code === 'invalid_credentials' || error.message === 'Invalid login credentials') {
+        const lock = await loginLockout.recordFailure(email, { ip: getRequestIp(req) })
+        if (lock) {
+          // Notify the owner once per lockout, not once per rejected attempt.
+          sendLockoutAlert(lock)
+          return res.status(429).json(lockedResponseBody(lock))
+        }
+      }
       return res.status(401).json({ error: error.message })
     }
 
+    await loginLockout.recordSuccess(email)
+
+    const ban = getActiveBan(data.user)
+    if (ban) {
+      await supabase.auth.admin.signOut(data.session.access_token, 'local')
+      return res.status(403).json(bannedResponseBody(ban))
+    }
+
+    if (REQUIRE_EMAIL_CONFIRMATION && !data.user?.email_confirmed_at) {
+      await supabase.auth.admin.signOut(data.session.access_token, 'local')
+      return res.status(403).json({
+        error: 'Please confirm your email before logging in.',
+        code: 'email_not_confirmed',
+      })
+    }
+
+    const twoFactor = await getTwoFactorRecord(data.user.id)
+    if (twoFactor?.enabled) {
+      sweepPendingLogins()
+      const mfaToken = crypto.randomBytes(32).toString('hex')
+      pendingTwoFactorLogins.set(mfaToken, {
+        data,
+        attempts: 0,
+        expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS,
+      })
+      return res.json({
+        user: sanitizeUser(data.user),
+        mfa_required: true,
+        mfa_token: mfaToken,
+      })
+    }
+
+    await recordSession(req, data.session)
+
+    return res.json(buildSessionResponse(data))
+  } catch (err) {
+    console.error('[auth] login route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// POST /api/auth/login/2fa
+// Body: { mfa_token, code } or { mfa_token, recovery_code }. Second step of
+// login for accounts with two-factor authentication enabled.
+router.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured on backend' })
+    }
+    const { mfa_token, code, recovery_code } = req.body || {}
+    if (!mfa_token || (!code && !recovery_code)) {
+      return res
+        .status(400)
+        .json({ error: 'mfa_token and a code or recovery_code are required.' })
+    }
+
+    const pending = pendingTwoFactorLogins.get(mfa_token)
+    if (!pending || pending.expiresAt <= Date.now()) {
+      if (pending) await discardPendingLogin(mfa_token)
+      return res.status(401).json({ error: 'Login expired. Please sign in again.' })
+    }
+
+    const record = await getTwoFactorRecord(pending.data.user.id)
+    const result = await verifySecondFactor(record, {
+      code,
+      recoveryCode: recovery_code,
+    })
+    if (!result.ok) {
+      pending.attempts += 1
+      if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        await discardPendingLogin(mfa_token)
+        return res
+          .status(401)
+          .json({ error: 'Too many invalid codes. Please sign in again.' })
+      }
+      return res.status(401).json({ error: 'Invalid authentication code.' })
+    }
+
+    pendingTwoFactorLogins.delete(mfa_token)
+    const sessionId = await recordSession(req, pending.data.session)
+    await markSessionTwoFactorVerified(sessionId)
+
     return res.json({
-      user: sanitizeUser(data.user),
-      access_token: data.session?.access_token,
-      refresh_token: data.session?.refresh_token,
-      expires_in: data.session?.expires_in,
+      ...buildSessionResponse(pending.data),
+      recovery_codes_remaining: result.recoveryCodesRemaining,
     })
   } catch (err) {
-    console.error('[auth] login route error:', err)
+    console.error('[auth] login 2fa route error:', err)
     res.status(500).json({ error: 'Internal server error.' })
   }
 })
 
-// GET /api/auth/me
-router.get('/api/auth/me', async (req, res) => {
+// POST /api/auth/forgot-password
+// Body: { email }. Always answers 200 so the endpoint can't be used to probe
+// which emails have accounts.
+router.post('/api/auth/forgot-password', loginIpLimiter, passwordResetLimiter, async (req, res) => {
   try {
     if (!supabase) {
       return res.status(500).json({ error: 'Supabase not configured on backend' })
     }
-    const authHeader = req.headers.authorization || ''
-    const token = authHeader.startsWith('Bearer ')
-      ? authHeader.slice(7)
-      : null
+    const { email } = req.body || {}
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required.' })
+    }
+
+    const { data, error } = await supabase.auth.admin.generateLink({
+      type: 'recovery',
+      email,
+    })
 
-    if (!token) {
-      return res.status(401).json({ error: 'Missing access token.' })
+    if (error) {
+      console.warn('[auth] forgot-password generateLink error:', error.message)
+    } else {
+      try {
+        const emailConfig = buildPasswordResetEmail({
+          toEmail: data.user.email,
+          displayName: data.user.user_metadata?.fullName,
+          actionUrl: buildAuthActionUrl(
+            '/reset-password',
+            data.properties.hashed_token,
+            'recovery',
+          ),
+        })
+        await sendAuthEmail(data.user.email, emailConfig)
+      } catch (mailErr) {
+        console.error('[auth] reset email send error:', mailErr)
+      }
     }
 
-    const { data, error } = await supabase.auth.getUser(token)
+    return res.json({
+      message: 'If an account exists for that email, a reset link is on its way.',
+    })
+  } catch (err) {
+    console.error('[auth] forgot-password route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// POST /api/auth/reset-password
+// Body: { token_hash, password }. Sets the new password and signs the user
+// out of every existing session.
+router.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured on backend' })
+    }
+    const { token_hash, password } = req.body || {}
+    if (!token_hash || !password) {
+      return res
+        .status(400)
+        .json({ error: 'token_hash and password are required.' })
+    }
+
+    const { data, error } = await createSessionClient().auth.verifyOtp({
+      token_hash,
+      type: 'recovery',
+    })
     if (error || !data?.user) {
-      console.error('[auth] getUser error:', error)
-      return res.status(401).json({ error: 'Invalid or expired token.' })
+      console.error('[auth] reset verifyOtp error:', error)
+      return res.status(400).json({ error: 'Reset link is invalid or has expired.' })
     }
 
-    res.json({ user: sanitizeUser(data.user) })
+    const { data: updated, error: updateError } =
+      await supabase.auth.admin.updateUserById(data.user.id, { password })
+    if (updateError) {
+      console.error('[auth] reset updateUser error:', updateError)
+      return res.status(400).json({ error: updateError.message })
+    }
+
+    if (data.session?.access_token) {
+      await supabase.auth.admin.signOut(data.session.access_token, 'global')
+    }
+    await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', data.user.id)
+      .is('revoked_at', null)
+
+    return res.json({
+      message: 'Password updated. Please log in with your new password.',
+      user: sanitizeUser(updated?.user || data.user),
+    })
+  } catch (err) {
+    console.error('[auth] reset-password route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// POST /api/auth/verify-email
+// Body: { token_hash, type? }. Confirms the address and logs the user in.
+router.post('/api/auth/verify-email', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured on backend' })
+    }
+    const { token_hash, type = 'signup' } = req.body || {}
+    if (!token_hash) {
+      return res.status(400).json({ error: 'token_hash is required.' })
+    }
+    if (!['signup', 'email'].includes(type)) {
+      return res.status(400).json({ error: 'Unsupported verification type.' })
+    }
+
+    const { data, error } = await createSessionClient().auth.verifyOtp({
+      token_hash,
+      type,
+    })
+    if (error || !data?.user) {
+      console.error('[auth] verify-email error:', error)
+      return res
+        .status(400)
+        .json({ error: 'Verification link is invalid or has expired.' })
+    }
+
+    await sendWelcomeEmail(data.user)
+    await linkInvitesToUser(data.user)
+    if (data.session) await recordSession(req, data.session)
+
+    return res.json({
+      message: 'Email confirmed.',
+      ...buildSessionResponse(data),
+    })
+  } catch (err) {
+    console.error('[auth] verify-email route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// GET /api/auth/me
+router.get('/api/auth/me', requireAuth, async (req, res) => {
+  try {
+    res.json({ user: sanitizeUser(req.user) })
   } catch (err) {
     console.error('[auth] me route error:', err)
     res.status(500).json({ error: 'Internal server error.' })
   }
 })
 
+// POST /api/auth/refresh
+// Body: { refresh_token }. Supabase rotates the refresh token on every use,
+// so clients must store the one returned here.
+router.post('/api/auth/refresh', async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured on backend' })
+    }
+    const { refresh_token } = req.body || {}
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'refresh_token is required.' })
+    }
+
+    const client = createSessionClient()
+    const { data, error } = await client.auth.refreshSession({ refresh_token })
+    if (error || !data?.session) {
+      console.error('[auth] refresh error:', error)
+      return res.status(401).json({ error: 'Invalid or expired refresh token.' })
+    }
+
+    const sessionId = decodeJwtPayload(data.session.access_token)?.session_id
+    if (await isSessionRevoked(sessionId)) {
+      await supabase.auth.admin.signOut(data.session.access_token, 'local')
+      return res.status(401).json({ error: 'Session has been revoked.' })
+    }
+
+    const ban = getActiveBan(data.user)
+    if (ban) {
+      await supabase.auth.admin.signOut(data.session.access_token, 'local')
+      return res.status(403).json(bannedResponseBody(ban))
+    }
+
+    await recordSession(req, data.session, { refreshed: true })
+
+    return res.json(buildSessionResponse(data))
+  } catch (err) {
+    console.error('[auth] refresh route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// POST /api/auth/logout
+// Body: { scope?: 'local' | 'global' | 'others' }
+// 'local' ends the calling session, 'global' signs out everywhere and
+// 'others' keeps the calling session but ends every other one.
+router.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured on backend' })
+    }
+    const scope = req.body?.scope || 'local'
+    if (!['local', 'global', 'others'].includes(scope)) {
+      return res.status(400).json({ error: 'scope must be local, global or others.' })
+    }
+
+    const { error } = await supabase.auth.admin.signOut(req.accessToken, scope)
+    if (error) {
+      console.error('[auth] signOut error:', error)
+      return res.status(500).json({ error: 'Failed to sign out.' })
+    }
+
+    if (scope === 'global' || req.sessionId) {
+      let query = supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', req.user.id)
+        .is('revoked_at', null)
+      if (scope === 'local') query = query.eq('id', req.sessionId)
+      if (scope === 'others') query = query.neq('id', req.sessionId)
+      const { error: revokeError } = await query
+      if (revokeError) console.error('[auth] logout revoke error:', revokeError)
+    }
+
+    return res.json({ ok: true, scope, user: sanitizeUser(req.user) })
+  } catch (err) {
+    console.error('[auth] logout route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// GET /api/auth/sessions
+// Lists the caller's active sessions, flagging the one making the request.
+router.get('/api/auth/sessions', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured on backend' })
+    }
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('id, user_agent, ip, created_at, last_refreshed_at')
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: false })
+    if (error) {
+      console.error('[auth] sessions list error:', error)
+      return res.status(500).json({ error: 'Failed to load sessions.' })
+    }
+
+    const sessions = (data || []).map((row) => ({
+      id: row.id,
+      userAgent: row.user_agent,
+      ip: row.ip,
+      createdAt: row.created_at,
+      lastRefreshedAt: row.last_refreshed_at,
+      current: row.id === req.sessionId,
+    }))
+
+    res.json({ user: sanitizeUser(req.user), sessions })
+  } catch (err) {
+    console.error('[auth] sessions route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// DELETE /api/auth/sessions/:id
+// Revokes one of the caller's sessions. Its refresh token stops working and
+// requireAuth rejects any access token already issued for it.
+router.delete('/api/auth/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Supabase not configured on backend' })
+    }
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .is('revoked_at', null)
+      .select('id')
+      .maybeSingle()
+    if (error) {
+      console.error('[auth] session revoke error:', error)
+      return res.status(500).json({ error: 'Failed to revoke session.' })
+    }
+    if (!data) return res.status(404).json({ error: 'Session not found.' })
+
+    if (data.id === req.sessionId) {
+      await supabase.auth.admin.signOut(req.accessToken, 'local')
+    }
+
+    res.json({ ok: true, revokedSessionId: data.id, user: sanitizeUser(req.user) })
+  } catch (err) {
+    console.error('[auth] session revoke route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// GET /admin/security/lockouts
+// Accounts currently locked out after repeated failed logins.
+router.get('/admin/security/lockouts', requirePermission('users:read'), async (req, res) => {
+  try {
+    const locks = await loginLockout.listLocks()
+    locks.sort((a, b) => (a.lockedAt < b.lockedAt ? 1 : -1))
+    res.json({ lockouts: locks })
+  } catch (err) {
+    console.error('[auth] lockouts list route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// DELETE /admin/security/lockouts/:email
+// Lifts a lockout early and resets the account's failure history.
+router.delete('/admin/security/lockouts/:email', requirePermission('users:manage'), async (req, res) => {
+  try {
+    await loginLockout.unlock(req.params.email)
+    res.json({ ok: true, email: String(req.params.email).trim().toLowerCase() })
+  } catch (err) {
+    console.error('[auth] unlock route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// GET /api/auth/2fa
+// Two-factor status for the caller, plus whether policy requires it.
+router.get('/api/auth/2fa', requireAuth, async (req, res) => {
+  try {
+    const record = await getTwoFactorRecord(req.user.id)
+    res.json({
+      enabled: !!record?.enabled,
+      recoveryCodesRemaining: record?.enabled
+        ? (record.recovery_code_hashes || []).length
+        : 0,
+      requiredFor: TWO_FACTOR_POLICY,
+    })
+  } catch (err) {
+    console.error('[auth] 2fa status route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// POST /api/auth/2fa/enroll
+// Starts enrollment: returns a new secret, its otpauth:// URI (for QR codes)
+// and recovery codes. Nothing is enforced until /2fa/confirm succeeds.
+router.post('/api/auth/2fa/enroll', requireAuth, async (req, res) => {
+  try {
+    const existing = await getTwoFactorRecord(req.user.id)
+    if (existing?.enabled) {
+      return res
+        .status(409)
+        .json({ error: 'Two-factor authentication is already enabled.' })
+    }
+
+    const secret = generateTotpSecret()
+    const recoveryCodes = generateRecoveryCodes()
+    const { error } = await supabase.from('user_two_factor').upsert(
+      {
+        user_id: req.user.id,
+        secret,
+        enabled: false,
+        recovery_code_hashes: recoveryCodes.map(hashRecoveryCode),
+        last_used_step: null,
+        created_at: new Date().toISOString(),
+        confirmed_at: null,
+      },
+      { onConflict: 'user_id' },
+    )
+    if (error) {
+      console.error('[auth] 2fa enroll error:', error)
+      return res.status(500).json({ error: 'Failed to start enrollment.' })
+    }
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: req.user.email }),
+      recoveryCodes,
+    })
+  } catch (err) {
+    console.error('[auth] 2fa enroll route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// POST /api/auth/2fa/confirm
+// Body: { code }. Turns 2FA on once the authenticator app produces a valid
+// code; the current session counts as verified.
+router.post('/api/auth/2fa/confirm', requireAuth, async (req, res) => {
+  try {
+    const record = await getTwoFactorRecord(req.user.id)
+    if (!record) {
+      return res.status(400).json({ error: 'Start enrollment first.' })
+    }
+    if (record.enabled) {
+      return res
+        .status(409)
+        .json({ error: 'Two-factor authentication is already enabled.' })
+    }
+
+    const step = verifyTotp(record.secret, req.body?.code)
+    if (step == null) {
+      return res.status(400).json({ error: 'Invalid authentication code.' })
+    }
+
+    const { error } = await supabase
+      .from('user_two_factor')
+      .update({
+        enabled: true,
+        confirmed_at: new Date().toISOString(),
+        last_used_step: step,
+      })
+      .eq('user_id', req.user.id)
+    if (error) {
+      console.error('[auth] 2fa confirm error:', error)
+      return res.status(500).json({ error: 'Failed to enable two-factor authentication.' })
+    }
+    await markSessionTwoFactorVerified(req.sessionId)
+
+    res.json({ ok: true, enabled: true, user: sanitizeUser(req.user) })
+  } catch (err) {
+    console.error('[auth] 2fa confirm route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// POST /api/auth/2fa/recovery-codes
+// Body: { code }. Replaces all recovery codes with a fresh set.
+router.post('/api/auth/2fa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    const record = await getTwoFactorRecord(req.user.id)
+    const result = await verifySecondFactor(record, { code: req.body?.code })
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid authentication code.' })
+    }
+
+    const recoveryCodes = generateRecoveryCodes()
+    const { error } = await supabase
+      .from('user_two_factor')
+      .update({ recovery_code_hashes: recoveryCodes.map(hashRecoveryCode) })
+      .eq('user_id', req.user.id)
+    if (error) {
+      console.error('[auth] 2fa recovery codes error:', error)
+      return res.status(500).json({ error: 'Failed to regenerate recovery codes.' })
+    }
+
+    res.json({ recoveryCodes })
+  } catch (err) {
+    console.error('[auth] 2fa recovery codes route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
+// POST /api/auth/2fa/disable
+// Body: { code } or { recovery_code }.
+router.post('/api/auth/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const record = await getTwoFactorRecord(req.user.id)
+    const result = await verifySecondFactor(record, {
+      code: req.body?.code,
+      recoveryCode: req.body?.recovery_code,
+    })
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid authentication code.' })
+    }
+
+    const { error } = await supabase
+      .from('user_two_factor')
+      .delete()
+      .eq('user_id', req.user.id)
+    if (error) {
+      console.error('[auth] 2fa disable error:', error)
+      return res.status(500).json({ error: 'Failed to disable two-factor authentication.' })
+    }
+
+    res.json({ ok: true, enabled: false, user: sanitizeUser(req.user) })
+  } catch (err) {
+    console.error('[auth] 2fa disable route error:', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+})
+
 export default router
 
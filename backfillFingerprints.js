@@ -0,0 +1,110 @@
+// Fingerprints beats uploaded before duplicate detection existed, oldest
+// first, so when two existing beats match the earlier upload counts as the
+// original and the later one is flagged.
+// Usage: npm run backfill:fingerprints -- [--limit 100]
+import fs from 'fs'
+import { S3Client } from '@aws-sdk/client-s3'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { fingerprintAudioFile, recordBeatFingerprint } from './audioFingerprint.js'
+import { downloadS3ObjectToTemp, extractS3KeyFromUrl, isMissingS3Object } from './s3Utils.js'
+
+dotenv.config()
+
+const REGION = process.env.AWS_REGION
+const BUCKET = process.env.S3_BUCKET
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+if (!REGION || !BUCKET || !supabaseUrl || !supabaseServiceKey) {
+  console.error('[backfillFingerprints] AWS_REGION, S3_BUCKET, SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required')
+  process.exit(1)
+}
+
+const s3 = new S3Client({
+  region: REGION,
+  credentials:
+    process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+})
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey, {
+  auth: { persistSession: false },
+})
+
+const BATCH_SIZE = 25
+const limitArg = process.argv.indexOf('--limit')
+const limit = limitArg !== -1 ? Number(process.argv[limitArg + 1]) || Infinity : Infinity
+
+async function run() {
+  let processed = 0
+  let fingerprinted = 0
+  let flagged = 0
+  // Beats that fail are remembered so the next batch doesn't pick them again.
+  const failedIds = []
+  // Beats whose audio object isn't in S3_BUCKET; if that's every beat of the
+  // first batch the keys or the bucket are wrong, so stop instead of failing
+  // the whole catalog.
+  let missing = 0
+
+  while (processed < limit) {
+    let query = supabase
+      .from('beats')
+      .select('id, user_id, created_at, audio_url, beat_fingerprints(beat_id)')
+      .is('beat_fingerprints', null)
+      .not('audio_url', 'is', null)
+      .order('created_at', { ascending: true })
+      .limit(BATCH_SIZE)
+    if (failedIds.length) query = query.not('id', 'in', `(${failedIds.join(',')})`)
+    const { data: beats, error } = await query
+    if (error) throw error
+    if (!beats?.length) break
+
+    for (const beat of beats) {
+      if (processed >= limit) break
+      processed += 1
+      const audioKey = extractS3KeyFromUrl(beat.audio_url)
+      if (!audioKey) {
+        console.warn(`[backfillFingerprints] beat ${beat.id}: audio_url is not one of our S3 objects`)
+        failedIds.push(beat.id)
+        continue
+      }
+      let tempPath = null
+      try {
+        tempPath = await downloadS3ObjectToTemp({ s3, bucket: BUCKET, key: audioKey })
+        const reports = await recordBeatFingerprint(beat, await fingerprintAudioFile(tempPath))
+        fingerprinted += 1
+        if (reports.length) {
+          flagged += 1
+          console.log(`[backfillFingerprints] beat ${beat.id}: flagged, matches ${reports.length} beat(s)`)
+        }
+      } catch (err) {
+        if (isMissingS3Object(err)) {
+          missing += 1
+          console.error(`[backfillFingerprints] beat ${beat.id}: ${audioKey} not found in ${BUCKET}`)
+        } else {
+          console.error(`[backfillFingerprints] beat ${beat.id} failed`, err?.message || err)
+        }
+        failedIds.push(beat.id)
+      } finally {
+        if (tempPath) await fs.promises.unlink(tempPath).catch(() => {})
+      }
+    }
+    if (!fingerprinted && missing >= Math.min(BATCH_SIZE, processed)) {
+      throw new Error(`none of the first ${missing} audio objects exist in ${BUCKET}; check S3_BUCKET and AWS_REGION`)
+    }
+  }
+
+  console.log(
+    `[backfillFingerprints] done: ${fingerprinted} fingerprinted, ${flagged} flagged, ${failedIds.length} failed (${missing} missing in S3)`,
+  )
+}
+
+run().catch((err) => {
+  console.error('[backfillFingerprints] fatal error', err)
+  process.exit(1)
+})
@@ -0,0 +1,125 @@
+// Moves originals uploaded before previews existed out of the public beats/
+// prefix into the private originals/ prefix. Beats without a preview get the
+// tagged one rendered first, so the marketplace keeps something to stream.
+// Usage: npm run backfill:originals -- [--limit 100]
+import fs from 'fs'
+import { CopyObjectCommand, S3Client } from '@aws-sdk/client-s3'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { publicUrlFor, storePreview } from './beatProcessing.js'
+import { deleteS3Objects, downloadS3ObjectToTemp, extractS3KeyFromUrl } from './s3Utils.js'
+
+dotenv.config()
+
+const REGION = process.env.AWS_REGION
+const BUCKET = process.env.S3_BUCKET
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+if (!REGION || !BUCKET || !supabaseUrl || !supabaseServiceKey) {
+  console.error('[backfillOriginals] AWS_REGION, S3_BUCKET, SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required')
+  process.exit(1)
+}
+
+const s3 = new S3Client({
+  region: REGION,
+  credentials:
+    process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+})
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey, {
+  auth: { persistSession: false },
+})
+
+const LEGACY_PREFIX = 'beats/'
+const BATCH_SIZE = 25
+const limitArg = process.argv.indexOf('--limit')
+const limit = limitArg !== -1 ? Number(process.argv[limitArg + 1]) || Infinity : Infinity
+
+const copySource = (key) => `${BUCKET}/${key.split('/').map(encodeURIComponent).join('/')}`
+
+// Copies the original to originals/, renders a preview when the beat has
+// none, points the beat (and its asset row) at the new key and only then
+// deletes the public copy. Resolves to the new key.
+async function moveOriginal(beat, oldKey) {
+  const newKey = `originals/${oldKey.slice(LEGACY_PREFIX.length)}`
+  await s3.send(new CopyObjectCommand({ Bucket: BUCKET, CopySource: copySource(oldKey), Key: newKey }))
+
+  const patch = { audio_url: publicUrlFor(newKey) }
+  if (!beat.preview_url) {
+    const tempPath = await downloadS3ObjectToTemp({ s3, bucket: BUCKET, key: newKey })
+    try {
+      const previewKey = await storePreview({
+        audio: { tempPath, key: newKey },
+        durationSeconds: beat.duration_seconds,
+        userId: beat.user_id,
+      })
+      patch.preview_url = publicUrlFor(previewKey)
+    } finally {
+      await fs.promises.unlink(tempPath).catch(() => {})
+    }
+  }
+
+  const { error } = await supabase.from('beats').update(patch).eq('id', beat.id)
+  if (error) throw error
+  const { error: assetErr } = await supabase
+    .from('beat_assets')
+    .update({ s3_key: newKey, url: patch.audio_url, updated_at: new Date().toISOString() })
+    .eq('beat_id', beat.id)
+    .eq('s3_key', oldKey)
+  if (assetErr) throw assetErr
+
+  await deleteS3Objects({ s3, bucket: BUCKET, keys: [oldKey] })
+  return newKey
+}
+
+async function run() {
+  let processed = 0
+  let moved = 0
+  // Beats that fail are remembered so the next batch doesn't pick them again.
+  const failedIds = []
+
+  while (processed < limit) {
+    let query = supabase
+      .from('beats')
+      .select('id, user_id, audio_url, preview_url, duration_seconds')
+      .like('audio_url', `%.amazonaws.com/${LEGACY_PREFIX}%`)
+      .order('created_at', { ascending: true })
+      .limit(BATCH_SIZE)
+    if (failedIds.length) query = query.not('id', 'in', `(${failedIds.join(',')})`)
+    const { data: beats, error } = await query
+    if (error) throw error
+    if (!beats?.length) break
+
+    for (const beat of beats) {
+      if (processed >= limit) break
+      processed += 1
+      const oldKey = extractS3KeyFromUrl(beat.audio_url)
+      if (!oldKey?.startsWith(LEGACY_PREFIX)) {
+        console.warn(`[backfillOriginals] beat ${beat.id}: audio_url is not under ${LEGACY_PREFIX}`)
+        failedIds.push(beat.id)
+        continue
+      }
+      try {
+        const newKey = await moveOriginal(beat, oldKey)
+        moved += 1
+        console.log(`[backfillOriginals] beat ${beat.id}: ${oldKey} -> ${newKey}`)
+      } catch (err) {
+        console.error(`[backfillOriginals] beat ${beat.id} failed`, err?.message || err)
+        failedIds.push(beat.id)
+      }
+    }
+  }
+
+  console.log(`[backfillOriginals] done: ${moved} moved, ${failedIds.length} failed`)
+}
+
+run().catch((err) => {
+  console.error('[backfillOriginals] fatal error', err)
+  process.exit(1)
+})
@@ -0,0 +1,111 @@
+// Generates waveform peaks for beats uploaded before waveforms existed.
+// Usage: npm run backfill:waveforms -- [--limit 100]
+import { S3Client } from '@aws-sdk/client-s3'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { extractS3KeyFromUrl, isMissingS3Object } from './s3Utils.js'
+import { generateWaveformFromS3 } from './waveform.js'
+
+dotenv.config()
+
+const REGION = process.env.AWS_REGION
+const BUCKET = process.env.S3_BUCKET
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+if (!REGION || !BUCKET || !supabaseUrl || !supabaseServiceKey) {
+  console.error('[backfillWaveforms] AWS_REGION, S3_BUCKET, SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required')
+  process.exit(1)
+}
+
+const s3 = new S3Client({
+  region: REGION,
+  credentials:
+    process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+})
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey, {
+  auth: { persistSession: false },
+})
+
+const BATCH_SIZE = 25
+const limitArg = process.argv.indexOf('--limit')
+const limit = limitArg !== -1 ? Number(process.argv[limitArg + 1]) || Infinity : Infinity
+
+async function run() {
+  let processed = 0
+  let generated = 0
+  // Beats that fail are remembered so the next batch doesn't pick them again.
+  const failedIds = []
+  // Beats whose audio object isn't in S3_BUCKET; if that's every beat of the
+  // first batch the keys or the bucket are wrong, so stop instead of failing
+  // the whole catalog.
+  let missing = 0
+
+  while (processed < limit) {
+    let query = supabase
+      .from('beats')
+      .select('id, audio_url, preview_url, duration_seconds')
+      .is('waveform_url', null)
+      .not('audio_url', 'is', null)
+      .order('created_at', { ascending: true })
+      .limit(BATCH_SIZE)
+    if (failedIds.length) query = query.not('id', 'in', `(${failedIds.join(',')})`)
+    const { data: beats, error } = await query
+    if (error) throw error
+    if (!beats?.length) break
+
+    for (const beat of beats) {
+      if (processed >= limit) break
+      processed += 1
+      const audioKey = extractS3KeyFromUrl(beat.audio_url)
+      if (!audioKey) {
+        console.warn(`[backfillWaveforms] beat ${beat.id}: audio_url is not one of our S3 objects`)
+        failedIds.push(beat.id)
+        continue
+      }
+      try {
+        const waveformKey = await generateWaveformFromS3({
+          s3,
+          bucket: BUCKET,
+          audioKey,
+          // Newer beats keep the original private; the waveform goes with the preview.
+          storeNextTo: extractS3KeyFromUrl(beat.preview_url) || audioKey,
+          durationSeconds: beat.duration_seconds,
+        })
+        const { error: updateErr } = await supabase
+          .from('beats')
+          .update({ waveform_url: `https://${BUCKET}.s3.${REGION}.amazonaws.com/${waveformKey}` })
+          .eq('id', beat.id)
+        if (updateErr) throw updateErr
+        generated += 1
+        console.log(`[backfillWaveforms] beat ${beat.id}: ${waveformKey}`)
+      } catch (err) {
+        if (isMissingS3Object(err)) {
+          missing += 1
+          console.error(`[backfillWaveforms] beat ${beat.id}: ${audioKey} not found in ${BUCKET}`)
+        } else {
+          console.error(`[backfillWaveforms] beat ${beat.id} failed`, err?.message || err)
+        }
+        failedIds.push(beat.id)
+      }
+    }
+    if (!generated && missing >= Math.min(BATCH_SIZE, processed)) {
+      throw new Error(`none of the first ${missing} audio objects exist in ${BUCKET}; check S3_BUCKET and AWS_REGION`)
+    }
+  }
+
+  console.log(
+    `[backfillWaveforms] done: ${generated} generated, ${failedIds.length} failed (${missing} missing in S3)`,
+  )
+}
+
+run().catch((err) => {
+  console.error('[backfillWaveforms] fatal error', err)
+  process.exit(1)
+})
@@ -0,0 +1,61 @@
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[bans] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY; banned users will not be filtered from listings')
+}
+
+// Ban state is mirrored into user_metadata (banned, ban_reason, banned_until)
+// so it can be checked from the auth user alone, and every ban/unban is
+// recorded for the admin panel in:
+// create table if not exists public.user_bans (
+//   id uuid primary key default gen_random_uuid(),
+//   user_id uuid not null,
+//   reason text,
+//   banned_by uuid,
+//   expires_at timestamptz,
+//   lifted_at timestamptz,
+//   lifted_by uuid,
+//   created_at timestamptz not null default now()
+// );
+
+// Returns { reason, bannedUntil } when the user is currently banned, else
+// null. Temporary bans stop applying once banned_until has passed.
+export function getActiveBan(user) {
+  const meta = user?.user_metadata || {}
+  if (!meta.banned) return null
+  if (meta.banned_until && new Date(meta.banned_until).getTime() <= Date.now()) {
+    return null
+  }
+  return {
+    reason: meta.ban_reason || null,
+    bannedUntil: meta.banned_until || null,
+  }
+}
+
+// Ids of every user with an unexpired, unlifted ban; used to hide their
+// beats from public listings.
+export async function listBannedUserIds() {
+  if (!supabase) return []
+  const nowIso = new Date().toISOString()
+  const { data, error } = await supabase
+    .from('user_bans')
+    .select('user_id')
+    .is('lifted_at', null)
+    .or(`expires_at.is.null,expires_at.gt.${nowIso}`)
+  if (error) {
+    console.error('[bans] listBannedUserIds error', error)
+    return []
+  }
+  return Array.from(new Set((data || []).map((row) => row.user_id)))
+}
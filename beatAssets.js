@@ -0,0 +1,197 @@
+// Typed files a beat owns (mp3, wav, stems, trackouts, cover, preview) and
+// which license tiers they make deliverable.
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { LICENSE_DELIVERABLES, normalizeLicenseTier } from './licenseTerms.js'
+import { extractS3KeyFromUrl } from './s3Utils.js'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[beatAssets] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+// One row per beat and type; uploading a type again replaces it:
+// create table if not exists public.beat_assets (
+//   id uuid primary key default gen_random_uuid(),
+//   beat_id uuid not null references public.beats(id) on delete cascade,
+//   type text not null,
+//   s3_key text not null,
+//   url text not null,
+//   size_bytes bigint,
+//   content_type text,
+//   created_at timestamptz not null default now(),
+//   updated_at timestamptz not null default now(),
+//   unique (beat_id, type)
+// );
+// alter table public.beats add column if not exists available_licenses text[] not null default '{}';
+
+// `uploadKinds` are the s3Upload.js kinds accepted for the type; preview is
+// rendered by the server and never uploaded directly. Only public types
+// expose their URL to non-owners.
+export const BEAT_ASSET_TYPES = {
+  mp3: { uploadKinds: ['mp3'], public: false },
+  wav: { uploadKinds: ['wav'], public: false },
+  stems: { uploadKinds: ['stems'], public: false },
+  trackouts: { uploadKinds: ['stems'], public: false },
+  cover: { uploadKinds: ['cover'], public: true },
+  preview: { uploadKinds: [], public: true },
+}
+
+// Which asset types satisfy each deliverable format from LICENSE_DELIVERABLES.
+const FORMAT_SOURCES = {
+  mp3: ['mp3'],
+  wav: ['wav'],
+  stems: ['stems', 'trackouts'],
+}
+
+export async function listBeatAssets(beatId) {
+  const { data, error } = await supabase
+    .from('beat_assets')
+    .select('*')
+    .eq('beat_id', beatId)
+    .order('created_at', { ascending: true })
+  if (error) throw error
+  return data || []
+}
+
+// Beats uploaded before beat_assets existed only have the legacy columns;
+// treat those as assets so delivery keeps working for them.
+function withLegacyAssets(beat, assets) {
+  const byType = Object.fromEntries(assets.map((a) => [a.type, a]))
+  const legacy = (type, url) => {
+    const key = extractS3KeyFromUrl(url)
+    if (key && !byType[type]) byType[type] = { type, s3_key: key, url, legacy: true }
+  }
+  const audioKey = extractS3KeyFromUrl(beat?.audio_url) || ''
+  if (audioKey.toLowerCase().endsWith('.mp3')) legacy('mp3', beat.audio_url)
+  if (audioKey.toLowerCase().endsWith('.wav')) legacy('wav', beat.audio_url)
+  legacy('stems', beat?.stems_url)
+  legacy('cover', beat?.cover_url)
+  legacy('preview', beat?.preview_url)
+  return byType
+}
+
+// { mp3: key, wav: key, stems: key } for the formats this beat can deliver.
+export function deliverableKeys(beat, assets) {
+  const byType = withLegacyAssets(beat, assets)
+  const keys = {}
+  for (const [format, sources] of Object.entries(FORMAT_SOURCES)) {
+    const source = sources.find((type) => byType[type])
+    if (source) keys[format] = byType[source].s3_key
+  }
+  return keys
+}
+
+// Formats promised by the license `tiers` that the beat has no file for.
+export function missingSoldFormats(beat, assets, tiers) {
+  const keys = deliverableKeys(beat, assets)
+  const formats = new Set(tiers.flatMap((tier) => LICENSE_DELIVERABLES[tier] || []))
+  return Array.from(formats).filter((format) => !keys[format])
+}
+
+// License tiers whose every promised format is present.
+export function deliverableLicenses(beat, assets) {
+  const keys = deliverableKeys(beat, assets)
+  return Object.keys(LICENSE_DELIVERABLES).filter((tier) =>
+    LICENSE_DELIVERABLES[tier].every((format) => keys[format]),
+  )
+}
+
+// Asset list safe to show anyone: private files are listed by type only.
+export function describeAssets(beat, assets, { includePrivate = false } = {}) {
+  return Object.values(withLegacyAssets(beat, assets)).map((a) => ({
+    type: a.type,
+    url: includePrivate || BEAT_ASSET_TYPES[a.type]?.public ? a.url : null,
+    sizeBytes: a.size_bytes ?? null,
+    contentType: a.content_type ?? null,
+    updatedAt: a.updated_at ?? null,
+  }))
+}
+
+// Records (or replaces) one asset. Resolves to the S3 key it replaced, if
+// any, so the caller can delete the old object.
+export async function saveBeatAsset({ beatId, type, key, url, size, contentType }) {
+  const { data: existing, error: existingErr } = await supabase
+    .from('beat_assets')
+    .select('s3_key')
+    .eq('beat_id', beatId)
+    .eq('type', type)
+    .maybeSingle()
+  if (existingErr) throw existingErr
+
+  const { error } = await supabase.from('beat_assets').upsert(
+    {
+      beat_id: beatId,
+      type,
+      s3_key: key,
+      url,
+      size_bytes: size ?? null,
+      content_type: contentType || null,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: 'beat_id,type' },
+  )
+  if (error) throw error
+  return existing && existing.s3_key !== key ? existing.s3_key : null
+}
+
+export async function removeBeatAsset(beatId, type) {
+  const { data, error } = await supabase
+    .from('beat_assets')
+    .delete()
+    .eq('beat_id', beatId)
+    .eq('type', type)
+    .select('s3_key')
+    .maybeSingle()
+  if (error) throw error
+  return data?.s3_key || null
+}
+
+// Recomputes beats.available_licenses after the asset set changed.
+export async function refreshAvailableLicenses(beat) {
+  const assets = await listBeatAssets(beat.id)
+  const available = deliverableLicenses(beat, assets)
+  const { error } = await supabase
+    .from('beats')
+    .update({ available_licenses: available })
+    .eq('id', beat.id)
+  if (error) throw error
+  return available
+}
+
+// Every S3 object a beat owns, for cleanup when it is deleted: the keys
+// stored in beat_assets plus whatever the legacy URL columns point at.
+export function collectBeatS3Keys(beat, assets) {
+  const keys = assets.map((a) => a.s3_key).filter(Boolean)
+  for (const url of [beat.audio_url, beat.preview_url, beat.waveform_url, beat.cover_url, beat.stems_url]) {
+    const key = extractS3KeyFromUrl(url)
+    if (key) keys.push(key)
+  }
+  return Array.from(new Set(keys))
+}
+
+// How a beat has sold so far. Section 6 of the producer agreement: beats
+// sold with Exclusive Rights can't be removed or re-uploaded, and earlier
+// sales stay valid after a removal. `beat.sold_exclusive` is set when the
+// Exclusive sale is claimed (exclusiveRights.js). `tiers` are the license
+// tiers sold, whose files buyers can still download.
+export async function getBeatSalesSummary(beat) {
+  const { data, error } = await supabase.from('sales').select('id,license').eq('beat_id', beat.id)
+  if (error) throw error
+  const sales = data || []
+  return {
+    salesCount: sales.length,
+    tiers: Array.from(new Set(sales.map((s) => normalizeLicenseTier(s.license)).filter(Boolean))),
+    exclusiveSold:
+      Boolean(beat.sold_exclusive) || sales.some((s) => normalizeLicenseTier(s.license) === 'Exclusive'),
+  }
+}
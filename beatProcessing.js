@@ -0,0 +1,159 @@
+// The processing every new original goes through, whether it arrives via
+// /beats/upload-beat, an audio replacement or a bulk import: metadata checks,
+// the tagged preview, waveform peaks and duplicate detection.
+import fs from 'fs'
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { inspectAudioFile } from './audioMetadata.js'
+import { fingerprintAudioFile, recordBeatFingerprint } from './audioFingerprint.js'
+import { computeWaveformPeaks, storeWaveform } from './waveform.js'
+import { PREVIEW_SETTINGS, previewKeyFor, renderPreview } from './preview.js'
+import { deleteS3Objects, downloadS3ObjectToTemp, extractS3KeyFromUrl } from './s3Utils.js'
+import { removeTempFiles, uploadError } from './s3Upload.js'
+
+dotenv.config()
+
+const REGION = process.env.AWS_REGION
+const BUCKET = process.env.S3_BUCKET
+
+const s3 = new S3Client({
+  region: REGION,
+  credentials:
+    process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+})
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[beatProcessing] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+export const publicUrlFor = (key) => `https://${BUCKET}.s3.${REGION}.amazonaws.com/${key}`
+
+const ARTWORK_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' }
+
+// Stores artwork embedded in the audio tags as the beat cover.
+export const storeEmbeddedArtwork = async (artwork, audioKey) => {
+  const ext = ARTWORK_EXTENSIONS[artwork.format]
+  if (!ext) return null
+  const base = audioKey.split('/').pop().replace(/\.[^.]+$/, '')
+  const key = `covers/${Date.now()}-${base}-artwork.${ext}`
+  await s3.send(
+    new PutObjectCommand({ Bucket: BUCKET, Key: key, Body: artwork.data, ContentType: artwork.format }),
+  )
+  return key
+}
+
+// The producer's own tag (profiles.audio_tag_url), else the platform default.
+// Resolves to a temp file path or null when there is no tag to overlay. A
+// tag that can't be fetched falls back to the default (and then to no tag)
+// rather than failing the upload.
+// alter table public.profiles add column if not exists audio_tag_url text;
+const downloadProducerTag = async (userId) => {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('audio_tag_url')
+    .eq('id', userId)
+    .maybeSingle()
+  if (error) console.error('[beatProcessing] audio tag lookup error', error)
+  const keys = [extractS3KeyFromUrl(data?.audio_tag_url), PREVIEW_SETTINGS.defaultTagKey].filter(Boolean)
+  for (const key of new Set(keys)) {
+    try {
+      return await downloadS3ObjectToTemp({ s3, bucket: BUCKET, key })
+    } catch (err) {
+      console.warn('[beatProcessing] audio tag download failed', key, err?.message || err)
+    }
+  }
+  return null
+}
+
+// Renders and stores the public preview of an uploaded original; resolves to its key.
+// alter table public.beats add column if not exists preview_url text;
+export const storePreview = async ({ audio, durationSeconds, userId }) => {
+  const tagPath = await downloadProducerTag(userId)
+  let previewPath = null
+  try {
+    previewPath = await renderPreview({ sourcePath: audio.tempPath, tagPath, durationSeconds })
+    const { size } = await fs.promises.stat(previewPath)
+    const key = previewKeyFor(audio.key)
+    await s3.send(
+      new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: fs.createReadStream(previewPath),
+        ContentLength: size,
+        ContentType: 'audio/mpeg',
+      }),
+    )
+    return key
+  } finally {
+    await removeTempFiles([{ tempPath: tagPath }, { tempPath: previewPath }])
+  }
+}
+
+// Everything derived from an uploaded original: its metadata (rejecting
+// corrupt or mislabeled files), the tagged preview, the waveform peaks and
+// the fingerprint for duplicate detection.
+// Keys of objects it stores are pushed onto `storedKeys` for cleanup.
+// Throws upload errors (with .status) the route should answer as-is.
+export const processBeatAudio = async ({ audio, userId, storedKeys }) => {
+  const { technical, tags, artwork } = await inspectAudioFile(audio.tempPath, audio.kind)
+
+  // Without a preview there is nothing public to stream, so this one is fatal.
+  let previewKey
+  try {
+    previewKey = await storePreview({ audio, durationSeconds: technical.duration_seconds, userId })
+    storedKeys.push(previewKey)
+  } catch (err) {
+    console.error('[beatProcessing] preview generation failed', err)
+    throw uploadError(500, 'preview_failed', 'Failed to generate the preview for this beat')
+  }
+
+  // A failed waveform shouldn't block the upload; backfillWaveforms.js
+  // picks up beats left without one.
+  let waveformKey = null
+  try {
+    const waveform = await computeWaveformPeaks(audio.tempPath, {
+      durationSeconds: technical.duration_seconds,
+    })
+    waveformKey = await storeWaveform({ s3, bucket: BUCKET, audioKey: previewKey, waveform })
+    storedKeys.push(waveformKey)
+  } catch (err) {
+    console.warn('[beatProcessing] waveform generation failed', err?.message || err)
+  }
+
+  // Compared against the catalog once the beat row exists (checkForDuplicates).
+  const fingerprint = await fingerprintAudioFile(audio.tempPath)
+
+  return { technical, tags, artwork, previewKey, waveformKey, fingerprint }
+}
+
+// Stores the beat's fingerprint and flags it when it matches another
+// account's beat (see audioFingerprint.js). A failure here doesn't undo an
+// otherwise good upload; backfillFingerprints.js picks up beats without one.
+// Resolves to true when the beat was sent to review.
+export const checkForDuplicates = async (beat, fingerprint) => {
+  try {
+    const reports = await recordBeatFingerprint(beat, fingerprint)
+    if (reports.length) beat.flagged = true
+    return reports.length > 0
+  } catch (err) {
+    console.error('[beatProcessing] duplicate check failed', err)
+    return false
+  }
+}
+
+// Best-effort removal of objects we stored for a request that then failed.
+export const discardUploads = (keys) => deleteS3Objects({ s3, bucket: BUCKET, keys })
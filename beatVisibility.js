@@ -0,0 +1,293 @@
+// Who can see a beat before (and after) it is released:
+//   private    only the producer
+//   unlisted   producer plus anyone holding a share link
+//   scheduled  like unlisted until release_at, then public (see the
+//              release scheduler below)
+//   public     the marketplace
+// Unpublishing (beats.published) and moderation still apply on top of this.
+import crypto from 'crypto'
+import { promisify } from 'util'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import nodemailer from 'nodemailer'
+import { WEB_BASE_URL, buildBeatReleaseEmail } from './emailTemplates.js'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[beatVisibility] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+let mailTransporter = null
+if (process.env.SMTP_HOST && process.env.SMTP_USER) {
+  mailTransporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: false,
+    auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+  })
+}
+
+// Re-run the beats_catalog view definition (catalogSearch.js) afterwards so
+// the view picks up the columns:
+// alter table public.beats add column if not exists visibility text not null default 'public';
+// alter table public.beats add column if not exists release_at timestamptz;
+// alter table public.beats add column if not exists notify_followers boolean not null default false;
+// create index if not exists beats_scheduled_release_idx on public.beats (release_at)
+//   where visibility = 'scheduled';
+//
+// Only a hash of the token is stored; the link itself is shown once:
+// create table if not exists public.beat_share_links (
+//   id uuid primary key default gen_random_uuid(),
+//   beat_id uuid not null references public.beats(id) on delete cascade,
+//   user_id uuid not null,
+//   token_hash text not null unique,
+//   label text,
+//   password_hash text,
+//   expires_at timestamptz not null,
+//   revoked_at timestamptz,
+//   view_count integer not null default 0,
+//   last_viewed_at timestamptz,
+//   created_at timestamptz not null default now()
+// );
+// create index if not exists beat_share_links_beat_idx on public.beat_share_links (beat_id);
+//
+// Written by the follow button:
+// create table if not exists public.producer_followers (
+//   producer_id uuid not null,
+//   follower_id uuid not null,
+//   created_at timestamptz not null default now(),
+//   primary key (producer_id, follower_id)
+// );
+
+export const BEAT_VISIBILITIES = ['private', 'unlisted', 'scheduled', 'public']
+
+export const SHARE_LINK_DEFAULT_DAYS = Number(process.env.SHARE_LINK_DEFAULT_DAYS || 7)
+export const SHARE_LINK_MAX_DAYS = 90
+export const SHARE_PASSWORD_MIN_LENGTH = 8
+export const SHARE_LINK_COLUMNS =
+  'id, beat_id, label, password_hash, expires_at, revoked_at, view_count, last_viewed_at, created_at'
+
+const RELEASE_SCHEDULER_INTERVAL_MS = Number(process.env.RELEASE_SCHEDULER_INTERVAL_SECONDS || 60) * 1000
+const RELEASE_BATCH_SIZE = 50
+const FOLLOWER_PAGE_SIZE = 500
+
+const parseFlag = (v) => (typeof v === 'string' ? v === 'true' : v === true)
+
+// Parses { visibility, release_at, notify_followers } from a request body
+// into a beats patch. Resolves to { patch } or { error }.
+export function parseVisibilityInput(input = {}) {
+  const { visibility } = input
+  if (!BEAT_VISIBILITIES.includes(visibility)) {
+    return { error: `visibility must be one of: ${BEAT_VISIBILITIES.join(', ')}` }
+  }
+  const patch = { visibility, release_at: null }
+  if (visibility === 'scheduled') {
+    const releaseAt = new Date(input.release_at || NaN)
+    if (Number.isNaN(releaseAt.getTime())) {
+      return { error: 'release_at (ISO timestamp) is required for scheduled beats' }
+    }
+    if (releaseAt.getTime() <= Date.now()) return { error: 'release_at must be in the future' }
+    patch.release_at = releaseAt.toISOString()
+  }
+  if (input.notify_followers !== undefined) patch.notify_followers = parseFlag(input.notify_followers)
+  return { patch }
+}
+
+// Share links only work while the beat is not private; public beats keep
+// working links so nothing breaks for artists once the beat drops.
+export const isShareable = (beat) =>
+  !!beat &&
+  beat.visibility !== 'private' &&
+  !beat.hidden &&
+  !beat.flagged &&
+  beat.published !== false &&
+  !beat.deleted_at &&
+  !beat.sold_exclusive
+
+export const hashShareToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex')
+
+export const shareLinkUrl = (token) => `${WEB_BASE_URL}/shared/${token}`
+
+const scrypt = promisify(crypto.scrypt)
+
+// `salt:key`, both hex.
+export async function hashSharePassword(password) {
+  const salt = crypto.randomBytes(16)
+  const key = await scrypt(String(password), salt, 32)
+  return `${salt.toString('hex')}:${key.toString('hex')}`
+}
+
+export async function checkSharePassword(password, stored) {
+  const [salt, expected] = String(stored || '').split(':')
+  if (!salt || !expected || !password) return false
+  const key = await scrypt(String(password), Buffer.from(salt, 'hex'), 32)
+  const expectedKey = Buffer.from(expected, 'hex')
+  return expectedKey.length === key.length && crypto.timingSafeEqual(key, expectedKey)
+}
+
+// Resolves to { token, row } for a new link on `beat`, or { status, error }.
+// expiresInDays defaults to SHARE_LINK_DEFAULT_DAYS.
+export async function createShareLink(beat, { label, password, expiresInDays } = {}) {
+  const days = expiresInDays == null || expiresInDays === '' ? SHARE_LINK_DEFAULT_DAYS : Number(expiresInDays)
+  if (!Number.isFinite(days) || days <= 0 || days > SHARE_LINK_MAX_DAYS) {
+    return { status: 400, error: `expires_in_days must be between 1 and ${SHARE_LINK_MAX_DAYS}` }
+  }
+  if (password != null && password !== '' && String(password).length < SHARE_PASSWORD_MIN_LENGTH) {
+    return { status: 400, error: `password must be at least ${SHARE_PASSWORD_MIN_LENGTH} characters` }
+  }
+  const token = crypto.randomBytes(24).toString('base64url')
+  const { data, error } = await supabase
+    .from('beat_share_links')
+    .insert({
+      beat_id: beat.id,
+      user_id: beat.user_id,
+      token_hash: hashShareToken(token),
+      label: label ? String(label).trim().slice(0, 120) : null,
+      password_hash: password ? await hashSharePassword(password) : null,
+      expires_at: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+    })
+    .select(SHARE_LINK_COLUMNS)
+    .single()
+  if (error) return { status: 400, error: error.message }
+  return { token, row: data }
+}
+
+// The owner's view of a link; the password hash never leaves the server.
+export const toShareLink = ({ password_hash, ...row }) => ({
+  ...row,
+  has_password: !!password_hash,
+  active: !row.revoked_at && new Date(row.expires_at).getTime() > Date.now(),
+})
+
+// Looks up the link behind `token` and the beat it opens. Resolves to
+// { link, beat } or { status, error }; expired, revoked and private links all
+// answer 404 so a token reveals nothing about the beat.
+export async function resolveShareLink(token) {
+  const notFound = { status: 404, error: 'This link is invalid or has expired' }
+  if (!token) return notFound
+  const { data: link, error } = await supabase
+    .from('beat_share_links')
+    .select('*, beat:beats(id, user_id, visibility, hidden, flagged, published, deleted_at, sold_exclusive)')
+    .eq('token_hash', hashShareToken(token))
+    .maybeSingle()
+  if (error) return { status: 500, error: error.message }
+  if (!link || link.revoked_at || new Date(link.expires_at).getTime() <= Date.now()) return notFound
+  if (!isShareable(link.beat)) return notFound
+  return { link, beat: link.beat }
+}
+
+export async function recordShareLinkView(link) {
+  const { error } = await supabase
+    .from('beat_share_links')
+    .update({ view_count: (link.view_count || 0) + 1, last_viewed_at: new Date().toISOString() })
+    .eq('id', link.id)
+  if (error) console.warn('[beatVisibility] share link view count failed', error.message)
+}
+
+async function notifyFollowers(beat) {
+  if (!mailTransporter) return 0
+  let sent = 0
+  for (let from = 0; ; from += FOLLOWER_PAGE_SIZE) {
+    const { data: followers, error } = await supabase
+      .from('producer_followers')
+      .select('follower_id')
+      .eq('producer_id', beat.user_id)
+      .order('created_at', { ascending: true })
+      .range(from, from + FOLLOWER_PAGE_SIZE - 1)
+    if (error) throw error
+    for (const { follower_id: followerId } of followers || []) {
+      try {
+        const { data } = await supabase.auth.admin.getUserById(followerId)
+        const follower = data?.user
+        if (!follower?.email) continue
+        const { subject, text, html } = buildBeatReleaseEmail({
+          toEmail: follower.email,
+          displayName: follower.user_metadata?.display_name || null,
+          producerName: beat.producer,
+          beatTitle: beat.title,
+          actionUrl: `${WEB_BASE_URL}/beat/${beat.id}`,
+        })
+        await mailTransporter.sendMail({
+          from: process.env.EMAIL_FROM || 'no-reply@riddimbasesound.com',
+          to: follower.email,
+          subject,
+          text,
+          html,
+        })
+        sent += 1
+      } catch (err) {
+        console.warn('[beatVisibility] release email failed', followerId, err?.message || err)
+      }
+    }
+    if (!followers || followers.length < FOLLOWER_PAGE_SIZE) return sent
+  }
+}
+
+// Flips scheduled beats whose release_at has passed to public. The update is
+// conditional on the beat still being scheduled, so when several instances
+// run the scheduler each beat is released (and announced) exactly once.
+// Resolves to the number of beats released.
+export async function releaseScheduledBeats() {
+  let released = 0
+  for (;;) {
+    const { data: due, error } = await supabase
+      .from('beats')
+      .select('id')
+      .eq('visibility', 'scheduled')
+      .lte('release_at', new Date().toISOString())
+      .order('release_at', { ascending: true })
+      .limit(RELEASE_BATCH_SIZE)
+    if (error) throw error
+    if (!due?.length) return released
+
+    for (const { id } of due) {
+      const { data: beat, error: releaseErr } = await supabase
+        .from('beats')
+        .update({ visibility: 'public' })
+        .eq('id', id)
+        .eq('visibility', 'scheduled')
+        .select('id, user_id, title, producer, notify_followers, hidden, flagged, published, deleted_at')
+        .maybeSingle()
+      if (releaseErr) throw releaseErr
+      if (!beat) continue
+      released += 1
+      const live = !beat.hidden && !beat.flagged && beat.published !== false && !beat.deleted_at
+      if (beat.notify_followers && live) await notifyFollowers(beat)
+    }
+    if (due.length < RELEASE_BATCH_SIZE) return released
+  }
+}
+
+let schedulerTimer = null
+let schedulerRunning = false
+
+const runScheduler = async () => {
+  if (schedulerRunning) return
+  schedulerRunning = true
+  try {
+    await releaseScheduledBeats()
+  } catch (err) {
+    console.error('[beatVisibility] release scheduler error', err)
+  } finally {
+    schedulerRunning = false
+  }
+}
+
+// Checks for due releases on boot and then every
+// RELEASE_SCHEDULER_INTERVAL_SECONDS (default 60).
+export function startReleaseScheduler() {
+  if (!supabase || schedulerTimer) return
+  runScheduler()
+  schedulerTimer = setInterval(runScheduler, RELEASE_SCHEDULER_INTERVAL_MS)
+  schedulerTimer.unref?.()
+}
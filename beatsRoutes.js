@@ -1,16 +1,80 @@
+import path from 'path'
 import express from 'express'
 import multer from 'multer'
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3'
+import {
+  S3Client,
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CreateMultipartUploadCommand,
+  HeadObjectCommand,
+  ListPartsCommand,
+  UploadPartCommand,
+} from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
+import { optionalAuth, requireApiAccess } from './authMiddleware.js'
+import { inspectAudioFile } from './audioMetadata.js'
+import { listBannedUserIds } from './bans.js'
+import { IMPORT_JOB_COLUMNS, createImportJob, parseManifest } from './catalogImport.js'
+import {
+  CATALOG_COLUMNS,
+  FACET_ROW_LIMIT,
+  applyCatalogFilters,
+  applyCatalogPage,
+  applyCatalogVisibility,
+  buildCatalogPage,
+  parseCatalogQuery,
+} from './catalogSearch.js'
+import {
+  BEAT_ASSET_TYPES,
+  collectBeatS3Keys,
+  describeAssets,
+  getBeatSalesSummary,
+  listBeatAssets,
+  missingSoldFormats,
+  refreshAvailableLicenses,
+  removeBeatAsset,
+  saveBeatAsset,
+} from './beatAssets.js'
+import {
+  checkForDuplicates,
+  discardUploads,
+  processBeatAudio,
+  publicUrlFor,
+  storeEmbeddedArtwork,
+} from './beatProcessing.js'
+import {
+  SHARE_LINK_COLUMNS,
+  checkSharePassword,
+  createShareLink,
+  parseVisibilityInput,
+  recordShareLinkView,
+  resolveShareLink,
+  shareLinkUrl,
+  toShareLink,
+} from './beatVisibility.js'
+import { createMemoryStore, createRateLimiter } from './rateLimit.js'
+import { extractS3KeyFromUrl } from './s3Utils.js'
+import { TAXONOMY_FIELDS, countTermFacets, loadTaxonomy, resolveBeatTerms } from './taxonomy.js'
+import {
+  S3_PART_SIZE,
+  UPLOAD_KINDS,
+  createS3StreamStorage,
+  describeKinds,
+  detectUploadKind,
+  finishUploadProgress,
+  getUploadProgress,
+  removeTempFiles,
+  runUpload,
+  safeFileName,
+  trackUploadProgress,
+} from './s3Upload.js'
 
 dotenv.config()
 
 const router = express.Router()
 
-// Multer in-memory storage for single file uploads
-const upload = multer({ storage: multer.memoryStorage() })
-
 // AWS S3 client (uses same env vars as main server)
 const REGION = process.env.AWS_REGION
 const BUCKET = process.env.S3_BUCKET
@@ -26,6 +90,52 @@ const s3 = new S3Client({
       : undefined,
 })
 
+// Files stream straight to S3 as they arrive; see s3Upload.js for limits.
+const BEAT_UPLOAD_FIELDS = { file: ['mp3', 'wav'], cover: ['cover'], stems: ['stems'] }
+
+const upload = multer({
+  storage: createS3StreamStorage({
+    s3,
+    bucket: BUCKET,
+    region: REGION,
+    fields: BEAT_UPLOAD_FIELDS,
+    // The audio is also spooled to disk so its tags can be read after upload.
+    spoolFields: ['file'],
+    keyFor: (req, file, kind) =>
+      `${UPLOAD_KINDS[kind].prefix}/${Date.now()}-${safeFileName(file.originalname)}`,
+  }),
+  limits: {
+    files: Object.keys(BEAT_UPLOAD_FIELDS).length,
+    fileSize: Math.max(...Object.values(UPLOAD_KINDS).map((k) => k.maxBytes)),
+  },
+})
+
+// Producer audio tags are private and namespaced per user.
+const tagUpload = multer({
+  storage: createS3StreamStorage({
+    s3,
+    bucket: BUCKET,
+    region: REGION,
+    fields: { tag: ['tag'] },
+    spoolFields: ['tag'],
+    keyFor: (req, file) => `tags/${req.user.id}/${Date.now()}-${safeFileName(file.originalname)}`,
+  }),
+  limits: { files: 1, fileSize: UPLOAD_KINDS.tag.maxBytes },
+})
+
+// Bulk import archives, namespaced like resumable uploads so a finished
+// resumable upload of kind `import` can be used instead.
+const importUpload = multer({
+  storage: createS3StreamStorage({
+    s3,
+    bucket: BUCKET,
+    region: REGION,
+    fields: { archive: ['import'] },
+    keyFor: (req, file) => `imports/${req.user.id}/${Date.now()}-${safeFileName(file.originalname)}`,
+  }),
+  limits: { files: 1, fileSize: UPLOAD_KINDS.import.maxBytes },
+})
+
 // Supabase service client for server-side inserts
 const supabaseUrl = process.env.SUPABASE_URL
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
@@ -41,96 +151,1183 @@ if (supabaseUrl && supabaseServiceKey) {
   )
 }
 
-// POST /beats/upload-beat
-// Expects multipart/form-data with:
-//  - file: audio file (required)
-//  - user_id or producer_id: UUID of the uploader
-//  - title, genre, bpm, description, price (optional metadata)
-router.post('/upload-beat', upload.single('file'), async (req, res) => {
+// GET /beats
+// Public catalog search. Query (all optional):
+//   q            full-text search over title, producer and description
+//   key          comma-separated list
+//   genre, subgenre, mood, instrument, tag
+//                comma-separated taxonomy terms (any spelling of a term works)
+//   bpm_min, bpm_max, price_min, price_max, free_download=true|false
+//   license      only beats deliverable under this tier (e.g. Unlimited)
+//   sort         newest | popular | price_asc | price_desc | boosted
+//   limit, cursor (pass back nextCursor for the following page)
+//   facets=true  also count the taxonomy terms of all matching beats
+router.get('/', async (req, res) => {
   try {
     if (!supabase) {
       return res
         .status(500)
         .json({ error: 'Supabase not configured on backend' })
     }
-    if (!BUCKET || !REGION) {
+    const taxonomy = await loadTaxonomy()
+    const { params, error: parseError } = parseCatalogQuery(req.query, taxonomy)
+    if (parseError) return res.status(400).json({ error: parseError })
+    const bannedUserIds = await listBannedUserIds()
+
+    let query = supabase.from('beats_catalog').select(CATALOG_COLUMNS)
+    query = applyCatalogVisibility(query, { bannedUserIds })
+    query = applyCatalogFilters(query, params)
+    const { data, error } = await applyCatalogPage(query, params)
+    if (error) {
+      console.error('[beatsRoutes] catalog search error', error)
+      return res.status(400).json({ error: error.message })
+    }
+
+    let facets
+    if (params.facets) {
+      let facetQuery = supabase.from('beats_catalog').select('terms')
+      facetQuery = applyCatalogFilters(applyCatalogVisibility(facetQuery, { bannedUserIds }), params)
+      const { data: facetRows, error: facetErr } = await facetQuery.limit(FACET_ROW_LIMIT)
+      if (facetErr) {
+        console.error('[beatsRoutes] catalog facets error', facetErr)
+        return res.status(400).json({ error: facetErr.message })
+      }
+      facets = countTermFacets(taxonomy, facetRows)
+    }
+    res.json({ ok: true, ...buildCatalogPage(data || [], params), ...(facets ? { facets } : {}) })
+  } catch (err) {
+    console.error('[beatsRoutes] catalog search error', err)
+    res.status(500).json({ error: 'Server error searching beats' })
+  }
+})
+
+// GET /beats/mine
+// The caller's own catalog, newest first. Accepts API keys with catalog:read.
+router.get('/mine', requireApiAccess('catalog:read'), async (req, res) => {
+  try {
+    if (!supabase) {
       return res
         .status(500)
-        .json({ error: 'S3 bucket or region not configured' })
-    }
-
-    const {
-      user_id,
-      producer_id,
-      title,
-      genre,
-      bpm,
-      description,
-      price,
-      producer,
-      collaborator,
-      musical_key,
-      free_download,
-    } =
-      req.body || {}
+        .json({ error: 'Supabase not configured on backend' })
+    }
+    const { data, error } = await supabase
+      .from('beats')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+    if (error) {
+      console.error('[beatsRoutes] list own beats error', error)
+      return res.status(400).json({ error: error.message })
+    }
+    return res.json({ beats: data || [] })
+  } catch (err) {
+    console.error('[beatsRoutes] list own beats error', err)
+    res.status(500).json({ error: 'Server error loading beats' })
+  }
+})
+
+// Multer runs before the handler, so refuse early rather than stream into nowhere.
+const requireStorage = (req, res, next) => {
+  if (!supabase) {
+    return res
+      .status(500)
+      .json({ error: 'Supabase not configured on backend' })
+  }
+  if (!BUCKET || !REGION) {
+    return res
+      .status(500)
+      .json({ error: 'S3 bucket or region not configured' })
+  }
+  next()
+}
+
+// Taxonomy fields from a request body; empty multipart fields count as not sent.
+const taxonomyInput = (body = {}) =>
+  Object.fromEntries(
+    Object.keys(TAXONOMY_FIELDS)
+      .filter((field) => body[field] !== undefined && body[field] !== '')
+      .map((field) => [field, body[field]]),
+  )
+
+// Resumable uploads are namespaced per user so one account can never
+// complete or attach another account's object. The kind is part of the key
+// (originals/<userId>/wav-...) because mp3 and wav share a prefix.
+const resumableKeyPrefix = (userId, kind) => `${UPLOAD_KINDS[kind].prefix}/${userId}/${kind}-`
+const ownsResumableKey = (userId, key) =>
+  typeof key === 'string' &&
+  Object.keys(UPLOAD_KINDS).some((kind) => key.startsWith(resumableKeyPrefix(userId, kind)))
+
+// Checks a key handed back from a completed resumable upload.
+// Resolves to { key, kind, size, contentType } or { status, error }.
+const verifyResumableUpload = async (userId, key, kinds) => {
+  const kind = kinds.find((k) => String(key || '').startsWith(resumableKeyPrefix(userId, k)))
+  if (!kind) return { status: 403, error: 'That upload does not belong to you' }
+  try {
+    const head = await s3.send(new HeadObjectCommand({ Bucket: BUCKET, Key: key }))
+    return { key, kind, size: head.ContentLength, contentType: head.ContentType }
+  } catch {
+    return { status: 400, error: 'That key does not refer to a completed upload' }
+  }
+}
+
+// POST /beats/upload-beat
+// Requires a Bearer token or an API key with catalog:upload; the beat is
+// owned by the authenticated user.
+// Expects multipart/form-data with (text fields first, then files):
+//  - file: mp3 or wav audio (required)
+//  - cover: jpg/png/webp cover image (optional)
+//  - stems: zip of stems (optional), or stems_key from a finished resumable upload
+//  - title, bpm, description, price (optional metadata)
+//  - genre, subgenre, moods, instruments, tags (optional; comma-separated,
+//    mapped onto the taxonomy; an unknown genre is kept as free text plus a
+//    tag, unknown subgenres/moods/instruments are rejected with 400)
+//  - visibility, release_at, notify_followers (optional, default public;
+//    see PUT /beats/:id/visibility)
+// The audio is parsed on the server: duration, sample rate, bit depth,
+// channels and bitrate are stored on the beat, missing title/BPM/key are
+// filled from its tags, embedded artwork becomes the cover when none is sent,
+// and corrupt or mislabeled files are rejected with 422.
+// The original is kept under the private originals/ prefix (audio_url); the
+// marketplace streams preview_url, a lower-bitrate MP3 with the producer's
+// tag mixed in (see preview.js). Waveform peaks are stored as JSON next to
+// the preview and linked via waveform_url.
+// Uploads matching another account's beat are flagged for moderator review
+// (underReview: true in the response).
+// Send an X-Upload-Id header to follow progress on GET /beats/upload-progress/:id.
+router.post(
+  '/upload-beat',
+  requireApiAccess('catalog:upload'),
+  requireStorage,
+  trackUploadProgress,
+  runUpload(upload.fields([{ name: 'file' }, { name: 'cover' }, { name: 'stems' }])),
+  async (req, res) => {
+    const audio = req.files?.file?.[0]
+    const cover = req.files?.cover?.[0]
+    const stems = req.files?.stems?.[0]
+    const storedKeys = [audio, cover, stems].filter(Boolean).map((f) => f.key)
+    const fail = async (status, error) => {
+      await discardUploads(storedKeys)
+      finishUploadProgress(req, { error })
+      return res.status(status).json({ error })
+    }
+
+    try {
+      const {
+        title,
+        bpm,
+        description,
+        price,
+        producer,
+        collaborator,
+        musical_key,
+        free_download,
+        stems_key,
+      } =
+        req.body || {}
+
+      if (!audio) {
+        return fail(400, 'No audio file uploaded.')
+      }
+      const { patch: termsPatch, error: termsError } = resolveBeatTerms(
+        await loadTaxonomy(),
+        taxonomyInput(req.body),
+      )
+      if (termsError) return fail(400, termsError)
+      let visibilityPatch = null
+      if (req.body?.visibility) {
+        const parsed = parseVisibilityInput(req.body)
+        if (parsed.error) return fail(400, parsed.error)
+        visibilityPatch = parsed.patch
+      }
+
+      let processed
+      try {
+        processed = await processBeatAudio({ audio, userId: req.user.id, storedKeys })
+      } catch (err) {
+        if (err.status) return fail(err.status, err.message)
+        throw err
+      }
+      const { technical, tags, artwork, previewKey, waveformKey, fingerprint } = processed
+
+      let coverAsset = cover
+        ? { key: cover.key, size: cover.size, contentType: cover.mimetype }
+        : null
+      if (!coverAsset && artwork) {
+        const artworkKey = await storeEmbeddedArtwork(artwork, audio.key)
+        if (artworkKey) {
+          storedKeys.push(artworkKey)
+          coverAsset = { key: artworkKey, size: artwork.data.length, contentType: artwork.format }
+        }
+      }
+
+      let stemsAsset = stems
+        ? { key: stems.key, size: stems.size, contentType: stems.mimetype }
+        : null
+      if (!stems && stems_key) {
+        const resumable = await verifyResumableUpload(req.user.id, stems_key, ['stems'])
+        if (resumable.error) return fail(resumable.status, resumable.error)
+        stemsAsset = resumable
+      }
+
+      // Insert beat row into Supabase "beats" table
+      const { data, error } = await supabase
+        .from('beats')
+        .insert({
+          user_id: req.user.id,
+          title: title || tags.title || 'Untitled Beat',
+          producer: producer || null,
+          collaborator: collaborator || null,
+          musical_key: musical_key || tags.musicalKey || null,
+          genre: termsPatch?.genre ?? null,
+          terms: termsPatch?.terms || [],
+          bpm: bpm ? Number(bpm) : tags.bpm,
+          description: description || null,
+          price: price ? Number(price) : null,
+          audio_url: audio.location,
+          preview_url: publicUrlFor(previewKey),
+          cover_url: coverAsset ? publicUrlFor(coverAsset.key) : null,
+          stems_url: stemsAsset ? publicUrlFor(stemsAsset.key) : null,
+          waveform_url: waveformKey ? publicUrlFor(waveformKey) : null,
+          ...technical,
+          free_download:
+            typeof free_download === 'string'
+              ? free_download === 'true'
+              : free_download === true,
+          ...visibilityPatch,
+        })
+        .select('*')
+        .single()
+
+      if (error) {
+        console.error('[beatsRoutes] Supabase insert error', error)
+        return fail(400, error.message)
+      }
+
+      const assets = [
+        { type: audio.kind, key: audio.key, size: audio.size, contentType: audio.mimetype },
+        { type: 'preview', key: previewKey, contentType: 'audio/mpeg' },
+        coverAsset && { type: 'cover', ...coverAsset },
+        stemsAsset && { type: 'stems', ...stemsAsset },
+      ].filter(Boolean)
+      try {
+        for (const asset of assets) {
+          await saveBeatAsset({ beatId: data.id, url: publicUrlFor(asset.key), ...asset })
+        }
+        data.available_licenses = await refreshAvailableLicenses(data)
+      } catch (err) {
+        console.error('[beatsRoutes] beat asset insert error', err)
+        await supabase.from('beats').delete().eq('id', data.id)
+        return fail(500, 'Failed to record beat files')
+      }
+
+      const underReview = await checkForDuplicates(data, fingerprint)
+
+      finishUploadProgress(req)
+      return res.json({
+        message: underReview
+          ? 'Beat uploaded. It matches a beat already on RiddimBase and will be listed once a moderator has reviewed it.'
+          : 'Beat uploaded successfully',
+        beat: data,
+        underReview,
+      })
+    } catch (err) {
+      console.error('[beatsRoutes] upload error', err)
+      await discardUploads(storedKeys)
+      finishUploadProgress(req, { error: 'Server error uploading beat' })
+      res.status(500).json({ error: 'Server error uploading beat' })
+    } finally {
+      await removeTempFiles([audio])
+    }
+  },
+)
+
+// POST /beats/audio-tag
+// multipart/form-data with `tag`: a short mp3/wav voice tag that is mixed
+// into the previews of the caller's future uploads.
+router.post(
+  '/audio-tag',
+  requireApiAccess('catalog:upload'),
+  requireStorage,
+  runUpload(tagUpload.single('tag')),
+  async (req, res) => {
+    const tag = req.file
+    try {
+      if (!tag) return res.status(400).json({ error: 'No tag file uploaded.' })
+      try {
+        await inspectAudioFile(tag.tempPath, path.extname(tag.originalname).slice(1).toLowerCase())
+      } catch (err) {
+        await discardUploads([tag.key])
+        if (err.status) return res.status(err.status).json({ error: err.message })
+        throw err
+      }
+
+      const { data: previous } = await supabase
+        .from('profiles')
+        .select('audio_tag_url')
+        .eq('id', req.user.id)
+        .maybeSingle()
+      const { error } = await supabase
+        .from('profiles')
+        .update({ audio_tag_url: tag.location })
+        .eq('id', req.user.id)
+      if (error) {
+        await discardUploads([tag.key])
+        return res.status(400).json({ error: error.message })
+      }
+      const previousKey = extractS3KeyFromUrl(previous?.audio_tag_url)
+      if (previousKey && previousKey !== tag.key) await discardUploads([previousKey])
+
+      res.json({ ok: true, audioTagUrl: tag.location })
+    } catch (err) {
+      console.error('[beatsRoutes] audio tag upload error', err)
+      res.status(500).json({ error: 'Server error saving audio tag' })
+    } finally {
+      await removeTempFiles([tag])
+    }
+  },
+)
+
+// Loads :id into req.beat and makes sure the caller owns it.
+const requireOwnBeat = async (req, res, next) => {
+  try {
+    const { data: beat, error } = await supabase
+      .from('beats')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (error) return res.status(400).json({ error: error.message })
+    if (!beat) return res.status(404).json({ error: 'Beat not found' })
+    if (beat.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not allowed to modify this beat' })
+    }
+    req.beat = beat
+    next()
+  } catch (err) {
+    console.error('[beatsRoutes] load beat error', err)
+    res.status(500).json({ error: 'Server error loading beat' })
+  }
+}
+
+// The asset row saved for the main upload carries audio_url (and its key);
+// that type is managed with the beat's main audio.
+const isMainAudioAsset = (beat, asset) =>
+  !!asset &&
+  !!beat.audio_url &&
+  (asset.url === beat.audio_url || asset.s3_key === extractS3KeyFromUrl(beat.audio_url))
+
+// Legacy columns kept in step with the asset table for older clients.
+const LEGACY_ASSET_COLUMNS = { cover: 'cover_url', stems: 'stems_url' }
+
+const assetUpload = multer({
+  storage: createS3StreamStorage({
+    s3,
+    bucket: BUCKET,
+    region: REGION,
+    fields: (req, file) =>
+      file.fieldname === 'file' ? BEAT_ASSET_TYPES[req.params.type]?.uploadKinds : null,
+    // Audio is spooled so it can be checked for corruption / mislabeling.
+    spoolFields: (req) => ['mp3', 'wav'].includes(req.params.type),
+    keyFor: (req, file, kind) =>
+      `${UPLOAD_KINDS[kind].prefix}/${Date.now()}-${safeFileName(file.originalname)}`,
+  }),
+  limits: {
+    files: 1,
+    fileSize: Math.max(...Object.values(UPLOAD_KINDS).map((k) => k.maxBytes)),
+  },
+})
+
+const requireUploadableAssetType = (req, res, next) => {
+  if (!BEAT_ASSET_TYPES[req.params.type]?.uploadKinds.length) {
+    const uploadable = Object.keys(BEAT_ASSET_TYPES).filter((t) => BEAT_ASSET_TYPES[t].uploadKinds.length)
+    return res.status(400).json({ error: `type must be one of: ${uploadable.join(', ')}` })
+  }
+  next()
+}
+
+// GET /beats/:id/assets
+// Asset types present and the license tiers they make deliverable. Only
+// public files (cover, preview) carry URLs. Beats that are not live in the
+// catalog (private, unlisted, scheduled, moderated, deleted) answer 404 to
+// everyone but their owner.
+router.get('/:id/assets', optionalAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured on backend' })
+    const { data: beat, error } = await supabase
+      .from('beats')
+      .select('id,user_id,audio_url,preview_url,cover_url,stems_url,available_licenses')
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (error) return res.status(400).json({ error: error.message })
+    if (!beat) return res.status(404).json({ error: 'Beat not found' })
+    if (beat.user_id !== req.user?.id) {
+      const bannedUserIds = await listBannedUserIds()
+      const { data: live, error: liveErr } = await applyCatalogVisibility(
+        supabase.from('beats').select('id').eq('id', beat.id),
+        { bannedUserIds },
+      ).maybeSingle()
+      if (liveErr) return res.status(400).json({ error: liveErr.message })
+      if (!live) return res.status(404).json({ error: 'Beat not found' })
+    }
+    const assets = await listBeatAssets(beat.id)
+    res.json({
+      ok: true,
+      assets: describeAssets(beat, assets),
+      availableLicenses: beat.available_licenses || [],
+    })
+  } catch (err) {
+    console.error('[beatsRoutes] list assets error', err)
+    res.status(500).json({ error: 'Server error loading beat assets' })
+  }
+})
+
+// Section 6 of the producer agreement: an Exclusive-sold beat belongs to its
+// buyer and can't be removed, replaced or put back on sale.
+const refuseExclusiveSold = async (req, res, next) => {
+  try {
+    const summary = await getBeatSalesSummary(req.beat)
+    req.beatSales = summary
+    if (summary.exclusiveSold) {
+      return res.status(409).json({
+        error: 'This beat was sold with Exclusive Rights and can no longer be changed or removed (producer agreement, section 6).',
+        code: 'exclusive_sold',
+      })
+    }
+    next()
+  } catch (err) {
+    console.error('[beatsRoutes] sales lookup error', err)
+    res.status(500).json({ error: 'Server error loading beat sales' })
+  }
+}
+
+// POST /beats/:id/assets/:type   (type: mp3 | wav | stems | trackouts | cover)
+// multipart/form-data with `file`, or JSON { upload_key } from a finished
+// resumable upload. Replaces any existing asset of that type.
+router.post(
+  '/:id/assets/:type',
+  requireApiAccess('catalog:upload'),
+  requireStorage,
+  requireUploadableAssetType,
+  requireOwnBeat,
+  refuseExclusiveSold,
+  runUpload(assetUpload.single('file')),
+  async (req, res) => {
+    const { beat } = req
+    const { type } = req.params
     const file = req.file
+    try {
+      let asset = file ? { key: file.key, size: file.size, contentType: file.mimetype } : null
+      if (!asset && req.body?.upload_key) {
+        const resumable = await verifyResumableUpload(
+          req.user.id,
+          req.body.upload_key,
+          BEAT_ASSET_TYPES[type].uploadKinds,
+        )
+        if (resumable.error) return res.status(resumable.status).json({ error: resumable.error })
+        asset = resumable
+      }
+      if (!asset) return res.status(400).json({ error: 'Send a file or an upload_key' })
 
-    if (!file) {
-      return res.status(400).json({ error: 'No audio file uploaded.' })
+      if (file?.tempPath) {
+        try {
+          await inspectAudioFile(file.tempPath, type)
+        } catch (err) {
+          await discardUploads([file.key])
+          if (err.status) return res.status(err.status).json({ error: err.message })
+          throw err
+        }
+      }
+
+      const existing = (await listBeatAssets(beat.id)).find((a) => a.type === type)
+      if (isMainAudioAsset(beat, existing)) {
+        if (file) await discardUploads([file.key])
+        return res
+          .status(409)
+          .json({ error: "This file is the beat's main audio; replace it with PUT /beats/:id/audio" })
+      }
+
+      const url = publicUrlFor(asset.key)
+      const replacedKey = await saveBeatAsset({ beatId: beat.id, type, url, ...asset })
+      if (LEGACY_ASSET_COLUMNS[type]) {
+        await supabase.from('beats').update({ [LEGACY_ASSET_COLUMNS[type]]: url }).eq('id', beat.id)
+      }
+      if (replacedKey) await discardUploads([replacedKey])
+
+      const availableLicenses = await refreshAvailableLicenses({
+        ...beat,
+        ...(LEGACY_ASSET_COLUMNS[type] ? { [LEGACY_ASSET_COLUMNS[type]]: url } : {}),
+      })
+      res.json({ ok: true, type, url: BEAT_ASSET_TYPES[type].public ? url : null, availableLicenses })
+    } catch (err) {
+      console.error('[beatsRoutes] asset upload error', err)
+      if (file) await discardUploads([file.key])
+      res.status(500).json({ error: 'Server error saving beat asset' })
+    } finally {
+      await removeTempFiles([file])
     }
+  },
+)
 
-    // Upload audio bytes directly to S3
-    const safeName = file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_')
-    const key = `beats/${Date.now()}-${safeName}`
+// DELETE /beats/:id/assets/:type
+// Removes an optional asset (the main audio and preview stay). A file that
+// licenses already sold deliver can be replaced but not removed.
+router.delete('/:id/assets/:type', requireApiAccess('catalog:upload'), requireStorage, requireOwnBeat, refuseExclusiveSold, async (req, res) => {
+  try {
+    const { beat } = req
+    const { type } = req.params
+    if (type === 'preview') return res.status(409).json({ error: 'The preview is managed by the server' })
 
-    const putCommand = new PutObjectCommand({
-      Bucket: BUCKET,
-      Key: key,
-      Body: file.buffer,
-      ContentType: file.mimetype,
-      // ACL intentionally omitted: bucket uses Object Ownership "Bucket owner enforced"
-      // and does not allow ACLs. Public access should be handled via bucket policy.
+    const assets = await listBeatAssets(beat.id)
+    const existing = assets.find((a) => a.type === type)
+    if (!existing) return res.status(404).json({ error: 'Asset not found' })
+    if (isMainAudioAsset(beat, existing)) {
+      return res.status(409).json({ error: "This file is the beat's main audio and can't be removed" })
+    }
+    const soldTiers = req.beatSales.tiers
+    const missingNow = missingSoldFormats(beat, assets, soldTiers)
+    const lost = missingSoldFormats(
+      LEGACY_ASSET_COLUMNS[type] ? { ...beat, [LEGACY_ASSET_COLUMNS[type]]: null } : beat,
+      assets.filter((a) => a.type !== type),
+      soldTiers,
+    ).filter((format) => !missingNow.includes(format))
+    if (lost.length) {
+      return res.status(409).json({
+        error: `Buyers of this beat are owed the ${lost.join(', ')} file; upload a replacement instead of removing it.`,
+        code: 'format_sold',
+      })
+    }
+
+    const key = await removeBeatAsset(beat.id, type)
+    if (LEGACY_ASSET_COLUMNS[type]) {
+      await supabase.from('beats').update({ [LEGACY_ASSET_COLUMNS[type]]: null }).eq('id', beat.id)
+    }
+    if (key) await discardUploads([key])
+
+    const availableLicenses = await refreshAvailableLicenses({
+      ...beat,
+      ...(LEGACY_ASSET_COLUMNS[type] ? { [LEGACY_ASSET_COLUMNS[type]]: null } : {}),
     })
+    res.json({ ok: true, availableLicenses })
+  } catch (err) {
+    console.error('[beatsRoutes] asset delete error', err)
+    res.status(500).json({ error: 'Server error removing beat asset' })
+  }
+})
 
-    await s3.send(putCommand)
+// Metadata a producer can edit, with how each value is parsed. A parser
+// returning undefined rejects the value.
+const EDITABLE_BEAT_FIELDS = {
+  title: (v) => String(v ?? '').trim() || undefined,
+  producer: (v) => (v ? String(v).trim() : null),
+  collaborator: (v) => (v ? String(v).trim() : null),
+  musical_key: (v) => (v ? String(v).trim() : null),
+  description: (v) => (v ? String(v) : null),
+  bpm: (v) => {
+    if (v === null || v === '') return null
+    const n = Number(v)
+    return Number.isFinite(n) && n > 0 && n < 1000 ? n : undefined
+  },
+  price: (v) => {
+    if (v === null || v === '') return null
+    const n = Number(v)
+    return Number.isFinite(n) && n >= 0 ? n : undefined
+  },
+  free_download: (v) => (typeof v === 'string' ? v === 'true' : v === true),
+}
 
-    const audioUrl = `https://${BUCKET}.s3.${REGION}.amazonaws.com/${key}`
+// PATCH /beats/:id
+// Body: any of { title, producer, collaborator, musical_key, bpm,
+// description, price, free_download } and the taxonomy fields { genre,
+// subgenre, moods, instruments, tags }; a taxonomy field replaces that
+// kind's terms (null clears them) and leaves the others alone.
+router.patch('/:id', requireApiAccess('catalog:upload'), requireStorage, requireOwnBeat, async (req, res) => {
+  try {
+    const patch = {}
+    for (const [field, parse] of Object.entries(EDITABLE_BEAT_FIELDS)) {
+      if (!(field in (req.body || {}))) continue
+      const value = parse(req.body[field])
+      if (value === undefined) return res.status(400).json({ error: `Invalid value for ${field}` })
+      patch[field] = value
+    }
+    const { patch: termsPatch, error: termsError } = resolveBeatTerms(
+      await loadTaxonomy(),
+      req.body || {},
+      req.beat.terms,
+    )
+    if (termsError) return res.status(400).json({ error: termsError })
+    Object.assign(patch, termsPatch)
+    if (!Object.keys(patch).length) {
+      const fields = [...Object.keys(EDITABLE_BEAT_FIELDS), ...Object.keys(TAXONOMY_FIELDS)]
+      return res.status(400).json({ error: `Send at least one of: ${fields.join(', ')}` })
+    }
 
-    // Insert beat row into Supabase "beats" table
     const { data, error } = await supabase
       .from('beats')
-      .insert({
-        user_id: user_id || producer_id || null,
-        title: title || 'Untitled Beat',
-        producer: producer || null,
-        collaborator: collaborator || null,
-        musical_key: musical_key || null,
-        genre: genre || null,
-        bpm: bpm ? Number(bpm) : null,
-        description: description || null,
-        price: price ? Number(price) : null,
-        audio_url: audioUrl,
-        cover_url: null,
-        free_download:
-          typeof free_download === 'string'
-            ? free_download === 'true'
-            : free_download === true,
-      })
+      .update(patch)
+      .eq('id', req.beat.id)
+      .select('*')
+      .single()
+    if (error) return res.status(400).json({ error: error.message })
+    res.json({ ok: true, beat: data })
+  } catch (err) {
+    console.error('[beatsRoutes] update beat error', err)
+    res.status(500).json({ error: 'Server error updating beat' })
+  }
+})
+
+// PUT /beats/:id/audio
+// multipart/form-data with `file` (mp3 or wav): replaces the main audio, e.g.
+// with a new mixdown. The preview and waveform are regenerated and the old
+// objects removed. Metadata from the new file's tags is not applied.
+router.put(
+  '/:id/audio',
+  requireApiAccess('catalog:upload'),
+  requireStorage,
+  requireOwnBeat,
+  refuseExclusiveSold,
+  trackUploadProgress,
+  runUpload(upload.single('file')),
+  async (req, res) => {
+    const { beat } = req
+    const audio = req.file
+    const storedKeys = audio ? [audio.key] : []
+    const fail = async (status, error) => {
+      await discardUploads(storedKeys)
+      finishUploadProgress(req, { error })
+      return res.status(status).json({ error })
+    }
+
+    try {
+      if (!audio) return fail(400, 'No audio file uploaded.')
+      if (!['mp3', 'wav'].includes(audio.kind)) return fail(415, 'The main audio must be mp3 or wav')
+
+      let processed
+      try {
+        processed = await processBeatAudio({ audio, userId: req.user.id, storedKeys })
+      } catch (err) {
+        if (err.status) return fail(err.status, err.message)
+        throw err
+      }
+      const { technical, previewKey, waveformKey, fingerprint } = processed
+
+      // Keys stored in beat_assets; beats from before it only have the URLs.
+      const assets = await listBeatAssets(beat.id)
+      const oldMainAsset = assets.find((a) => isMainAudioAsset(beat, a))
+      const oldPreviewAsset = assets.find((a) => a.type === 'preview')
+      const oldKeys = [
+        oldMainAsset?.s3_key || extractS3KeyFromUrl(beat.audio_url),
+        oldPreviewAsset?.s3_key || extractS3KeyFromUrl(beat.preview_url),
+        extractS3KeyFromUrl(beat.waveform_url),
+      ].filter(Boolean)
+
+      const { data, error } = await supabase
+        .from('beats')
+        .update({
+          audio_url: audio.location,
+          preview_url: publicUrlFor(previewKey),
+          waveform_url: waveformKey ? publicUrlFor(waveformKey) : null,
+          ...technical,
+        })
+        .eq('id', beat.id)
+        .select('*')
+        .single()
+      if (error) return fail(400, error.message)
+
+      // Switching formats (e.g. wav -> mp3) drops the old format's asset so
+      // buyers aren't delivered the previous mixdown.
+      if (oldMainAsset && oldMainAsset.type !== audio.kind) {
+        oldKeys.push(await removeBeatAsset(beat.id, oldMainAsset.type))
+      }
+      const replaced = [
+        await saveBeatAsset({
+          beatId: beat.id,
+          type: audio.kind,
+          key: audio.key,
+          url: audio.location,
+          size: audio.size,
+          contentType: audio.mimetype,
+        }),
+        await saveBeatAsset({
+          beatId: beat.id,
+          type: 'preview',
+          key: previewKey,
+          url: publicUrlFor(previewKey),
+          contentType: 'audio/mpeg',
+        }),
+      ]
+      const newKeys = [audio.key, previewKey, waveformKey]
+      await discardUploads([...oldKeys, ...replaced].filter((key) => key && !newKeys.includes(key)))
+      data.available_licenses = await refreshAvailableLicenses(data)
+      const underReview = await checkForDuplicates(data, fingerprint)
+
+      finishUploadProgress(req)
+      res.json({ ok: true, beat: data, underReview })
+    } catch (err) {
+      console.error('[beatsRoutes] replace audio error', err)
+      await discardUploads(storedKeys)
+      finishUploadProgress(req, { error: 'Server error replacing audio' })
+      res.status(500).json({ error: 'Server error replacing audio' })
+    } finally {
+      await removeTempFiles([audio])
+    }
+  },
+)
+
+// Unpublished beats stay in the producer's catalog but leave the marketplace.
+// alter table public.beats add column if not exists published boolean not null default true;
+const setPublished = (published) => async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('beats')
+      .update({ published })
+      .eq('id', req.beat.id)
       .select('*')
       .single()
+    if (error) return res.status(400).json({ error: error.message })
+    res.json({ ok: true, beat: data })
+  } catch (err) {
+    console.error('[beatsRoutes] publish toggle error', err)
+    res.status(500).json({ error: 'Server error updating beat' })
+  }
+}
 
-    if (error) {
-      console.error('[beatsRoutes] Supabase insert error', error)
-      return res.status(400).json({ error: error.message })
+// POST /beats/:id/unpublish
+router.post('/:id/unpublish', requireApiAccess('catalog:upload'), requireStorage, requireOwnBeat, setPublished(false))
+
+// POST /beats/:id/publish
+router.post(
+  '/:id/publish',
+  requireApiAccess('catalog:upload'),
+  requireStorage,
+  requireOwnBeat,
+  refuseExclusiveSold,
+  setPublished(true),
+)
+
+// PUT /beats/:id/visibility
+// Body: { visibility: private | unlisted | scheduled | public, release_at?,
+// notify_followers? }. Scheduled beats need a future release_at and go
+// public on their own then; with notify_followers the producer's followers
+// are emailed on release.
+router.put(
+  '/:id/visibility',
+  requireApiAccess('catalog:upload'),
+  requireStorage,
+  requireOwnBeat,
+  refuseExclusiveSold,
+  async (req, res) => {
+    try {
+      const { patch, error: parseError } = parseVisibilityInput(req.body || {})
+      if (parseError) return res.status(400).json({ error: parseError })
+      const { data, error } = await supabase
+        .from('beats')
+        .update(patch)
+        .eq('id', req.beat.id)
+        .select('*')
+        .single()
+      if (error) return res.status(400).json({ error: error.message })
+      res.json({ ok: true, beat: data })
+    } catch (err) {
+      console.error('[beatsRoutes] visibility update error', err)
+      res.status(500).json({ error: 'Server error updating beat' })
+    }
+  },
+)
+
+// GET /beats/:id/share-links
+router.get('/:id/share-links', requireApiAccess('catalog:upload'), requireStorage, requireOwnBeat, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('beat_share_links')
+      .select(SHARE_LINK_COLUMNS)
+      .eq('beat_id', req.beat.id)
+      .order('created_at', { ascending: false })
+    if (error) return res.status(400).json({ error: error.message })
+    res.json({ ok: true, links: (data || []).map(toShareLink) })
+  } catch (err) {
+    console.error('[beatsRoutes] list share links error', err)
+    res.status(500).json({ error: 'Server error loading share links' })
+  }
+})
+
+// POST /beats/:id/share-links
+// Body: { label?, expires_in_days? (default 7, max 90), password? }
+// The link works while the beat is unlisted, scheduled or public. Its URL is
+// only returned here; store it, the server keeps just a hash.
+router.post('/:id/share-links', requireApiAccess('catalog:upload'), requireStorage, requireOwnBeat, async (req, res) => {
+  try {
+    if (req.beat.visibility === 'private') {
+      return res.status(409).json({ error: 'Private beats cannot be shared; make the beat unlisted first' })
+    }
+    const { label, expires_in_days: expiresInDays, password } = req.body || {}
+    const created = await createShareLink(req.beat, { label, password, expiresInDays })
+    if (created.error) return res.status(created.status).json({ error: created.error })
+    res.status(201).json({
+      ok: true,
+      url: shareLinkUrl(created.token),
+      token: created.token,
+      link: toShareLink(created.row),
+    })
+  } catch (err) {
+    console.error('[beatsRoutes] create share link error', err)
+    res.status(500).json({ error: 'Server error creating share link' })
+  }
+})
+
+// DELETE /beats/:id/share-links/:linkId
+// Revokes the link; it stops working immediately.
+router.delete(
+  '/:id/share-links/:linkId',
+  requireApiAccess('catalog:upload'),
+  requireStorage,
+  requireOwnBeat,
+  async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from('beat_share_links')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', req.params.linkId)
+        .eq('beat_id', req.beat.id)
+        .is('revoked_at', null)
+        .select(SHARE_LINK_COLUMNS)
+        .maybeSingle()
+      if (error) return res.status(400).json({ error: error.message })
+      if (!data) return res.status(404).json({ error: 'Share link not found' })
+      res.json({ ok: true, link: toShareLink(data) })
+    } catch (err) {
+      console.error('[beatsRoutes] revoke share link error', err)
+      res.status(500).json({ error: 'Server error revoking share link' })
+    }
+  },
+)
+
+// Share link passwords are guessable; throttle per network and link. req.ip
+// only trusts X-Forwarded-For from the proxies configured in index.js.
+const shareLinkLimiter = createRateLimiter({
+  store: createMemoryStore(),
+  name: 'share-link',
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => `${req.ip}:${req.params.token}`,
+  message: 'Too many attempts for this link. Please try again later.',
+})
+
+// GET /beats/shared/:token
+// The beat behind a share link, in the public catalog shape. Password
+// protected links answer 401 (code password_required / wrong_password)
+// until the X-Share-Password header carries the password.
+router.get('/shared/:token', shareLinkLimiter, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured on backend' })
+    const resolved = await resolveShareLink(req.params.token)
+    if (resolved.error) return res.status(resolved.status).json({ error: resolved.error })
+    const { link } = resolved
+
+    if (link.password_hash) {
+      const password = req.get('x-share-password')
+      if (!password) {
+        return res.status(401).json({ error: 'This link is password protected', code: 'password_required' })
+      }
+      if (!(await checkSharePassword(password, link.password_hash))) {
+        return res.status(401).json({ error: 'Wrong password', code: 'wrong_password' })
+      }
+    }
+
+    const bannedUserIds = await listBannedUserIds()
+    if (bannedUserIds.includes(resolved.beat.user_id)) {
+      return res.status(404).json({ error: 'This link is invalid or has expired' })
+    }
+    const { data: beat, error } = await supabase
+      .from('beats_catalog')
+      .select(`${CATALOG_COLUMNS},visibility,release_at`)
+      .eq('id', resolved.beat.id)
+      .maybeSingle()
+    if (error) return res.status(400).json({ error: error.message })
+    if (!beat) return res.status(404).json({ error: 'This link is invalid or has expired' })
+
+    await recordShareLinkView(link)
+    res.json({ ok: true, beat, expiresAt: link.expires_at })
+  } catch (err) {
+    console.error('[beatsRoutes] shared beat error', err)
+    res.status(500).json({ error: 'Server error loading shared beat' })
+  }
+})
+
+// DELETE /beats/:id
+// Beats nobody has bought are deleted with all their S3 objects. Beats with
+// earlier (non-exclusive) sales are retired instead: unpublished and marked
+// deleted, keeping the files those buyers' licenses deliver.
+// alter table public.beats add column if not exists deleted_at timestamptz;
+router.delete('/:id', requireApiAccess('catalog:upload'), requireStorage, requireOwnBeat, refuseExclusiveSold, async (req, res) => {
+  try {
+    const { beat, beatSales } = req
+
+    if (beatSales.salesCount > 0) {
+      const { error } = await supabase
+        .from('beats')
+        .update({ published: false, deleted_at: new Date().toISOString() })
+        .eq('id', beat.id)
+      if (error) return res.status(400).json({ error: error.message })
+      await supabase.from('boosted_beats').delete().eq('beat_id', beat.id)
+      return res.json({ ok: true, deleted: false, retained: true, salesCount: beatSales.salesCount })
+    }
+
+    const keys = collectBeatS3Keys(beat, await listBeatAssets(beat.id))
+    await supabase.from('boosted_beats').delete().eq('beat_id', beat.id)
+    await supabase.from('collaborators').delete().eq('beat_id', beat.id)
+    const { error } = await supabase.from('beats').delete().eq('id', beat.id)
+    if (error) return res.status(400).json({ error: error.message })
+    const removedFiles = await discardUploads(keys)
+
+    res.json({ ok: true, deleted: true, removedFiles })
+  } catch (err) {
+    console.error('[beatsRoutes] delete beat error', err)
+    res.status(500).json({ error: 'Server error deleting beat' })
+  }
+})
+
+// POST /beats/imports
+// Bulk catalog import; see catalogImport.js for the manifest format. Either
+// multipart/form-data with `manifest` (optional, text field first) and
+// `archive` (the ZIP), or JSON { key, manifest? } where key is a finished
+// resumable upload of kind `import`. `manifest` is CSV text or JSON rows;
+// without it the ZIP must contain manifest.csv or manifest.json.
+// Answers 202 with the queued job; follow it on GET /beats/imports/:id.
+router.post(
+  '/imports',
+  requireApiAccess('catalog:upload'),
+  requireStorage,
+  runUpload(importUpload.single('archive')),
+  async (req, res) => {
+    const archive = req.file
+    const refuse = async (status, error) => {
+      if (archive) await discardUploads([archive.key])
+      return res.status(status).json({ error })
+    }
+    try {
+      let archiveKey = archive?.key
+      if (!archiveKey) {
+        if (!req.body?.key) {
+          return refuse(400, 'Send the ZIP as `archive`, or `key` from a finished resumable upload')
+        }
+        const resumable = await verifyResumableUpload(req.user.id, req.body.key, ['import'])
+        if (resumable.error) return refuse(resumable.status, resumable.error)
+        archiveKey = resumable.key
+      }
+
+      let manifest = null
+      if (req.body?.manifest) {
+        const parsed = parseManifest(req.body.manifest)
+        if (parsed.error) return refuse(400, parsed.error)
+        manifest = parsed.rows
+      }
+
+      const { count, error: activeErr } = await supabase
+        .from('catalog_imports')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', req.user.id)
+        .in('status', ['queued', 'running'])
+      if (activeErr) return refuse(400, activeErr.message)
+      if (count) return refuse(409, 'You already have an import in progress')
+
+      const job = await createImportJob({ userId: req.user.id, archiveKey, manifest })
+      res.status(202).json({ ok: true, job })
+    } catch (err) {
+      console.error('[beatsRoutes] start import error', err)
+      await refuse(500, 'Server error starting the import')
+    }
+  },
+)
+
+// GET /beats/imports
+// The caller's recent imports, newest first.
+router.get('/imports', requireApiAccess('catalog:upload'), requireStorage, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('catalog_imports')
+      .select(IMPORT_JOB_COLUMNS)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(20)
+    if (error) return res.status(400).json({ error: error.message })
+    res.json({ ok: true, jobs: data || [] })
+  } catch (err) {
+    console.error('[beatsRoutes] list imports error', err)
+    res.status(500).json({ error: 'Server error loading imports' })
+  }
+})
+
+// GET /beats/imports/:id
+// Progress of one import: rows processed, beats created and per-row errors.
+router.get('/imports/:id', requireApiAccess('catalog:upload'), requireStorage, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('catalog_imports')
+      .select(IMPORT_JOB_COLUMNS)
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle()
+    if (error) return res.status(400).json({ error: error.message })
+    if (!data) return res.status(404).json({ error: 'Import not found' })
+    res.json({ ok: true, job: data })
+  } catch (err) {
+    console.error('[beatsRoutes] import progress error', err)
+    res.status(500).json({ error: 'Server error loading import' })
+  }
+})
+
+// GET /beats/upload-progress/:uploadId
+// Progress of an in-flight /beats/upload-beat request started by the caller.
+router.get('/upload-progress/:uploadId', requireApiAccess('catalog:upload'), (req, res) => {
+  const entry = getUploadProgress(req.params.uploadId, req.user.id)
+  if (!entry) return res.status(404).json({ error: 'Upload not found' })
+  res.json({ ok: true, upload: entry })
+})
+
+// Resumable uploads for large files (stems). The client uploads parts
+// straight to S3 with presigned URLs, can ask which parts already landed
+// after a dropped connection, then completes and passes the key as
+// stems_key to /beats/upload-beat.
+
+// POST /beats/uploads
+// Body: { filename, contentType, size, kind?: 'stems' | 'wav' | 'mp3' | 'cover' | 'import' }
+router.post('/uploads', requireApiAccess('catalog:upload'), requireStorage, async (req, res) => {
+  try {
+    const { filename, contentType, size } = req.body || {}
+    const kind = req.body?.kind || 'stems'
+    if (!filename || !contentType || !size) {
+      return res.status(400).json({ error: 'filename, contentType and size are required' })
+    }
+    if (!UPLOAD_KINDS[kind]) {
+      return res.status(400).json({ error: `kind must be one of: ${Object.keys(UPLOAD_KINDS).join(', ')}` })
+    }
+    if (!detectUploadKind({ originalname: filename, mimetype: contentType }, [kind])) {
+      return res.status(415).json({ error: `File must be ${describeKinds([kind])}` })
+    }
+    if (Number(size) > UPLOAD_KINDS[kind].maxBytes) {
+      return res.status(413).json({ error: `File exceeds the limit for ${describeKinds([kind])}` })
     }
 
-    return res.json({
-      message: 'Beat uploaded successfully',
-      beat: data,
+    const key = `${resumableKeyPrefix(req.user.id, kind)}${Date.now()}-${safeFileName(filename)}`
+    const created = await s3.send(
+      new CreateMultipartUploadCommand({ Bucket: BUCKET, Key: key, ContentType: contentType }),
+    )
+    res.status(201).json({
+      ok: true,
+      uploadId: created.UploadId,
+      key,
+      partSize: S3_PART_SIZE,
+      partCount: Math.ceil(Number(size) / S3_PART_SIZE),
     })
   } catch (err) {
-    console.error('[beatsRoutes] upload error', err)
-    res.status(500).json({ error: 'Server error uploading beat' })
+    console.error('[beatsRoutes] start resumable upload error', err)
+    res.status(500).json({ error: 'Failed to start upload' })
+  }
+})
+
+// POST /beats/uploads/:uploadId/part-urls
+// Body: { key, partNumbers: [1, 2, ...] } -> presigned PUT URL per part
+router.post('/uploads/:uploadId/part-urls', requireApiAccess('catalog:upload'), requireStorage, async (req, res) => {
+  try {
+    const { key, partNumbers } = req.body || {}
+    if (!ownsResumableKey(req.user.id, key)) return res.status(403).json({ error: 'Not your upload' })
+    const numbers = Array.isArray(partNumbers) ? partNumbers.map(Number) : []
+    if (!numbers.length || numbers.some((n) => !Number.isInteger(n) || n < 1 || n > 10000)) {
+      return res.status(400).json({ error: 'partNumbers must be integers between 1 and 10000' })
+    }
+    const urls = {}
+    for (const partNumber of numbers) {
+      urls[partNumber] = await getSignedUrl(
+        s3,
+        new UploadPartCommand({
+          Bucket: BUCKET,
+          Key: key,
+          UploadId: req.params.uploadId,
+          PartNumber: partNumber,
+        }),
+        { expiresIn: 60 * 60 },
+      )
+    }
+    res.json({ ok: true, urls })
+  } catch (err) {
+    console.error('[beatsRoutes] part urls error', err)
+    res.status(500).json({ error: 'Failed to sign upload parts' })
+  }
+})
+
+const listUploadedParts = async (key, uploadId) => {
+  const parts = []
+  let marker
+  do {
+    const page = await s3.send(
+      new ListPartsCommand({ Bucket: BUCKET, Key: key, UploadId: uploadId, PartNumberMarker: marker }),
+    )
+    parts.push(...(page.Parts || []))
+    marker = page.IsTruncated ? page.NextPartNumberMarker : undefined
+  } while (marker)
+  return parts
+}
+
+// GET /beats/uploads/:uploadId/parts?key=...
+// Parts S3 already has, so an interrupted client only re-sends the rest.
+router.get('/uploads/:uploadId/parts', requireApiAccess('catalog:upload'), requireStorage, async (req, res) => {
+  try {
+    const { key } = req.query || {}
+    if (!ownsResumableKey(req.user.id, key)) return res.status(403).json({ error: 'Not your upload' })
+    const parts = await listUploadedParts(key, req.params.uploadId)
+    res.json({
+      ok: true,
+      parts: parts.map((p) => ({ partNumber: p.PartNumber, etag: p.ETag, size: p.Size })),
+    })
+  } catch (err) {
+    if (err?.name === 'NoSuchUpload') return res.status(404).json({ error: 'Upload not found' })
+    console.error('[beatsRoutes] list parts error', err)
+    res.status(500).json({ error: 'Failed to list uploaded parts' })
+  }
+})
+
+// POST /beats/uploads/:uploadId/complete
+// Body: { key }
+router.post('/uploads/:uploadId/complete', requireApiAccess('catalog:upload'), requireStorage, async (req, res) => {
+  try {
+    const { key } = req.body || {}
+    if (!ownsResumableKey(req.user.id, key)) return res.status(403).json({ error: 'Not your upload' })
+    const parts = await listUploadedParts(key, req.params.uploadId)
+    if (!parts.length) return res.status(400).json({ error: 'No parts uploaded yet' })
+
+    const kind = Object.keys(UPLOAD_KINDS).find((k) => key.startsWith(resumableKeyPrefix(req.user.id, k)))
+    const totalBytes = parts.reduce((sum, p) => sum + Number(p.Size || 0), 0)
+    if (totalBytes > UPLOAD_KINDS[kind].maxBytes) {
+      await s3.send(new AbortMultipartUploadCommand({ Bucket: BUCKET, Key: key, UploadId: req.params.uploadId }))
+      return res.status(413).json({ error: `File exceeds the limit for ${describeKinds([kind])}` })
+    }
+
+    await s3.send(
+      new CompleteMultipartUploadCommand({
+        Bucket: BUCKET,
+        Key: key,
+        UploadId: req.params.uploadId,
+        MultipartUpload: { Parts: parts.map((p) => ({ PartNumber: p.PartNumber, ETag: p.ETag })) },
+      }),
+    )
+    res.json({ ok: true, key, url: publicUrlFor(key), size: totalBytes })
+  } catch (err) {
+    if (err?.name === 'NoSuchUpload') return res.status(404).json({ error: 'Upload not found' })
+    console.error('[beatsRoutes] complete upload error', err)
+    res.status(500).json({ error: 'Failed to complete upload' })
+  }
+})
+
+// DELETE /beats/uploads/:uploadId?key=...
+router.delete('/uploads/:uploadId', requireApiAccess('catalog:upload'), requireStorage, async (req, res) => {
+  try {
+    const { key } = req.query || {}
+    if (!ownsResumableKey(req.user.id, key)) return res.status(403).json({ error: 'Not your upload' })
+    await s3.send(new AbortMultipartUploadCommand({ Bucket: BUCKET, Key: key, UploadId: req.params.uploadId }))
+    res.json({ ok: true })
+  } catch (err) {
+    if (err?.name === 'NoSuchUpload') return res.status(404).json({ error: 'Upload not found' })
+    console.error('[beatsRoutes] abort upload error', err)
+    res.status(500).json({ error: 'Failed to abort upload' })
   }
 })
 
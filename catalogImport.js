@@ -0,0 +1,499 @@
+// Bulk catalog import for producers moving from other beat stores. A ZIP of
+// mp3/wav files and a manifest (CSV or JSON, one row per beat) become beats
+// with their collaborators, each processed like a single upload
+// (beatProcessing.js). Jobs run in the background, one at a time per server
+// process; the job row is the progress report.
+//
+// Manifest columns: file (path inside the ZIP, required), title, bpm, key,
+// price, description, free_download, collaborators, and the taxonomy
+// fields genre, subgenre, moods, instruments, tags (see taxonomy.js; lists
+// are comma-separated in CSV; an unknown genre is kept as free text, any
+// other unknown curated term fails the row). In CSV,
+// collaborators is `email-or-user-id:split[:role]` entries separated by `;`,
+// e.g. `jane@example.com:40:co-producer;6f1c...:60`; in JSON it is an array
+// of { email?, user_id?, role?, split_percentage }. As with /collab/set,
+// splits must total 100, collaborators are invited by email and a split
+// sheet is issued for them to sign (splitSheets.js). The manifest is either
+// sent with the request or included in the ZIP as manifest.csv /
+// manifest.json.
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { pipeline } from 'stream/promises'
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { parse as parseCsv } from 'csv-parse/sync'
+import yauzl from 'yauzl'
+import { MUSICAL_KEY_PATTERN } from './audioMetadata.js'
+import { refreshAvailableLicenses, saveBeatAsset } from './beatAssets.js'
+import { saveBeatCollaborators } from './collabInvites.js'
+import {
+  checkForDuplicates,
+  discardUploads,
+  processBeatAudio,
+  publicUrlFor,
+  storeEmbeddedArtwork,
+} from './beatProcessing.js'
+import { downloadS3ObjectToTemp } from './s3Utils.js'
+import { UPLOAD_KINDS, removeTempFiles, safeFileName } from './s3Upload.js'
+import { issueSplitSheet } from './splitSheets.js'
+import { TAXONOMY_FIELDS, loadTaxonomy, resolveBeatTerms } from './taxonomy.js'
+
+dotenv.config()
+
+const REGION = process.env.AWS_REGION
+const BUCKET = process.env.S3_BUCKET
+
+const s3 = new S3Client({
+  region: REGION,
+  credentials:
+    process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+})
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[catalogImport] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+// `errors` holds the rows that were skipped: [{ row, file, error }], with
+// `row` counting manifest rows from 1 (CSV header not included). `error` is
+// set when the job as a whole failed (unreadable ZIP, missing manifest):
+// create table if not exists public.catalog_imports (
+//   id uuid primary key default gen_random_uuid(),
+//   user_id uuid not null,
+//   archive_key text not null,
+//   manifest jsonb,
+//   status text not null default 'queued', -- queued | running | completed | failed
+//   total_rows integer not null default 0,
+//   processed_rows integer not null default 0,
+//   created_count integer not null default 0,
+//   failed_count integer not null default 0,
+//   beat_ids uuid[] not null default '{}',
+//   errors jsonb not null default '[]',
+//   error text,
+//   created_at timestamptz not null default now(),
+//   started_at timestamptz,
+//   finished_at timestamptz,
+//   updated_at timestamptz not null default now()
+// );
+
+export const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 500)
+const MAX_MANIFEST_BYTES = 2 * 1024 * 1024
+const MANIFEST_NAMES = ['manifest.csv', 'manifest.json']
+const AUDIO_KINDS = { '.mp3': 'mp3', '.wav': 'wav' }
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Columns shown by the progress endpoints.
+export const IMPORT_JOB_COLUMNS =
+  'id, status, total_rows, processed_rows, created_count, failed_count, beat_ids, errors, error, created_at, started_at, finished_at'
+
+// Parses a manifest: rows already parsed from a JSON body, or text that is
+// JSON when it looks like JSON and CSV otherwise.
+// Resolves to { rows } or { error }.
+export function parseManifest(input) {
+  const source = Array.isArray(input) ? null : String(input || '').replace(/^\uFEFF/, '').trim()
+  if (source === '') return { error: 'The manifest is empty' }
+  let rows = input
+  try {
+    if (source === null) {
+      // Already rows.
+    } else if (source.startsWith('[') || source.startsWith('{')) {
+      const parsed = JSON.parse(source)
+      rows = Array.isArray(parsed) ? parsed : parsed.beats
+    } else {
+      rows = parseCsv(source, {
+        columns: (header) => header.map((h) => String(h).trim().toLowerCase()),
+        skip_empty_lines: true,
+        trim: true,
+      })
+    }
+  } catch (err) {
+    return { error: `The manifest could not be parsed: ${err.message}` }
+  }
+  if (!Array.isArray(rows) || !rows.length) return { error: 'The manifest has no rows' }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    return { error: `A manifest can have at most ${IMPORT_MAX_ROWS} rows` }
+  }
+  return { rows }
+}
+
+const parseCollaborators = (value) => {
+  if (value == null || value === '') return { collaborators: [] }
+  const list = Array.isArray(value)
+    ? value
+    : String(value)
+        .split(';')
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+          const [who, split, role] = part.split(':').map((v) => v.trim())
+          return UUID_PATTERN.test(who)
+            ? { user_id: who, split_percentage: split, role }
+            : { email: who, split_percentage: split, role }
+        })
+
+  const collaborators = []
+  for (const c of list) {
+    const split = Number(c?.split_percentage ?? c?.split)
+    if (!c || (!c.user_id && !c.email)) return { error: 'each collaborator needs an email or user id' }
+    if (c.email && !String(c.email).includes('@')) return { error: `"${c.email}" is not an email or user id` }
+    if (!Number.isFinite(split) || split <= 0 || split > 100) {
+      return { error: `collaborator ${c.email || c.user_id} needs a split between 0 and 100` }
+    }
+    collaborators.push({
+      user_id: c.user_id || null,
+      email: c.email || null,
+      role: c.role || null,
+      split_percentage: split,
+    })
+  }
+  const total = collaborators.reduce((sum, c) => sum + c.split_percentage, 0)
+  if (collaborators.length && Math.round(total) !== 100) {
+    return { error: 'collaborator split percentages must total 100%' }
+  }
+  return { collaborators }
+}
+
+const optionalNumber = (value) => {
+  if (value == null || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : undefined
+}
+
+// Zip entries are matched by full path, or by a trailing part of it (e.g.
+// `a.mp3` or `beats/a.mp3` for `export/beats/a.mp3`) when that is unique.
+const findEntry = (entries, file) => {
+  const wanted = String(file || '').replace(/\\/g, '/').replace(/^\.?\//, '')
+  if (entries.has(wanted)) return entries.get(wanted)
+  const matches = [...entries.values()].filter((e) => e.fileName.endsWith(`/${wanted}`))
+  return matches.length === 1 ? matches[0] : null
+}
+
+// Checks one manifest row against the ZIP and the taxonomy. Resolves to
+// { item } with the beat fields, or { error } listing everything wrong with it.
+function validateRow(raw, entries, taxonomy) {
+  const problems = []
+  const row = raw && typeof raw === 'object' ? raw : {}
+
+  const entry = row.file ? findEntry(entries, row.file) : null
+  let kind = null
+  if (!row.file) problems.push('file is required')
+  else if (!entry) problems.push(`${row.file} is not in the ZIP`)
+  else {
+    kind = AUDIO_KINDS[path.extname(entry.fileName).toLowerCase()]
+    if (!kind) problems.push('file must be an mp3 or wav')
+    else if (entry.uncompressedSize > UPLOAD_KINDS[kind].maxBytes) {
+      problems.push(`file is larger than ${Math.round(UPLOAD_KINDS[kind].maxBytes / 1024 / 1024)} MB`)
+    }
+  }
+
+  const bpm = optionalNumber(row.bpm)
+  if (bpm === undefined || (bpm != null && (bpm < 40 || bpm > 300))) {
+    problems.push('bpm must be a number between 40 and 300')
+  }
+  const price = optionalNumber(row.price)
+  if (price === undefined || (price != null && price < 0)) problems.push('price must be a positive number')
+  const musicalKey = String(row.key ?? row.musical_key ?? '').trim() || null
+  if (musicalKey && !MUSICAL_KEY_PATTERN.test(musicalKey)) problems.push(`"${musicalKey}" is not a musical key`)
+  const { collaborators, error: collabError } = parseCollaborators(row.collaborators)
+  if (collabError) problems.push(collabError)
+  const termInput = Object.fromEntries(
+    Object.keys(TAXONOMY_FIELDS)
+      .filter((field) => row[field] != null && row[field] !== '')
+      .map((field) => [field, row[field]]),
+  )
+  const { patch: termsPatch, error: termsError } = resolveBeatTerms(taxonomy, termInput)
+  if (termsError) problems.push(termsError)
+
+  if (problems.length) return { error: problems.join('; ') }
+  return {
+    item: {
+      entry,
+      kind,
+      title: String(row.title || '').trim() || null,
+      genre: termsPatch?.genre ?? null,
+      terms: termsPatch?.terms || [],
+      description: String(row.description || '').trim() || null,
+      bpm,
+      price,
+      musicalKey,
+      freeDownload: row.free_download === true || String(row.free_download).toLowerCase() === 'true',
+      collaborators,
+    },
+  }
+}
+
+const readEntryText = async (zip, entry) => {
+  if (entry.uncompressedSize > MAX_MANIFEST_BYTES) throw new Error('The manifest is too large')
+  const chunks = []
+  for await (const chunk of await zip.openReadStreamPromise(entry)) chunks.push(chunk)
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+// Extracts the row's audio, stores it as an original and creates the beat
+// with its assets and collaborators. Anything stored is removed again if a
+// later step fails. Resolves to the beat row.
+async function importRow(job, item, zip) {
+  const { entry, kind } = item
+  const tempPath = path.join(os.tmpdir(), `riddimbase-import-${crypto.randomUUID()}.${kind}`)
+  const storedKeys = []
+  let beatId = null
+  try {
+    await pipeline(await zip.openReadStreamPromise(entry), fs.createWriteStream(tempPath))
+    const { size } = await fs.promises.stat(tempPath)
+    const fileName = path.posix.basename(entry.fileName)
+    const key = `${UPLOAD_KINDS[kind].prefix}/${Date.now()}-${safeFileName(fileName)}`
+    const mimetype = UPLOAD_KINDS[kind].mimeTypes[0]
+    await s3.send(
+      new PutObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        Body: fs.createReadStream(tempPath),
+        ContentLength: size,
+        ContentType: mimetype,
+      }),
+    )
+    storedKeys.push(key)
+
+    const audio = { key, kind, size, mimetype, location: publicUrlFor(key), tempPath }
+    const { technical, tags, artwork, previewKey, waveformKey, fingerprint } = await processBeatAudio({
+      audio,
+      userId: job.user_id,
+      storedKeys,
+    })
+
+    let coverAsset = null
+    if (artwork) {
+      const artworkKey = await storeEmbeddedArtwork(artwork, key)
+      if (artworkKey) {
+        storedKeys.push(artworkKey)
+        coverAsset = { key: artworkKey, size: artwork.data.length, contentType: artwork.format }
+      }
+    }
+
+    const { data: beat, error } = await supabase
+      .from('beats')
+      .insert({
+        user_id: job.user_id,
+        title: item.title || tags.title || fileName.replace(/\.[^.]+$/, ''),
+        musical_key: item.musicalKey || tags.musicalKey || null,
+        genre: item.genre,
+        terms: item.terms,
+        bpm: item.bpm ?? tags.bpm,
+        description: item.description,
+        price: item.price,
+        audio_url: audio.location,
+        preview_url: publicUrlFor(previewKey),
+        cover_url: coverAsset ? publicUrlFor(coverAsset.key) : null,
+        waveform_url: waveformKey ? publicUrlFor(waveformKey) : null,
+        ...technical,
+        free_download: item.freeDownload,
+      })
+      .select('*')
+      .single()
+    if (error) throw error
+    beatId = beat.id
+
+    const assets = [
+      { type: kind, key, size, contentType: mimetype },
+      { type: 'preview', key: previewKey, contentType: 'audio/mpeg' },
+      coverAsset && { type: 'cover', ...coverAsset },
+    ].filter(Boolean)
+    for (const asset of assets) {
+      await saveBeatAsset({ beatId, url: publicUrlFor(asset.key), ...asset })
+    }
+    beat.available_licenses = await refreshAvailableLicenses(beat)
+
+    if (item.collaborators.length) {
+      const { collaborators } = await saveBeatCollaborators(beat, item.collaborators)
+      await issueSplitSheet(beat, collaborators, { createdBy: job.user_id })
+    }
+
+    await checkForDuplicates(beat, fingerprint)
+    return beat
+  } catch (err) {
+    if (beatId) await supabase.from('beats').delete().eq('id', beatId)
+    await discardUploads(storedKeys)
+    throw err
+  } finally {
+    await removeTempFiles([{ tempPath }])
+  }
+}
+
+const updateJob = async (jobId, patch) => {
+  const { error } = await supabase
+    .from('catalog_imports')
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+  if (error) console.error('[catalogImport] job update error', error)
+}
+
+const failJob = (jobId, error) =>
+  updateJob(jobId, { status: 'failed', error, finished_at: new Date().toISOString() })
+
+async function runImportJob(jobId) {
+  // Claimed with a conditional update so a job never runs twice.
+  const { data: job, error } = await supabase
+    .from('catalog_imports')
+    .update({ status: 'running', started_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('status', 'queued')
+    .select('*')
+    .maybeSingle()
+  if (error) throw error
+  if (!job) return
+
+  let archivePath = null
+  let zip = null
+  try {
+    archivePath = await downloadS3ObjectToTemp({ s3, bucket: BUCKET, key: job.archive_key })
+    try {
+      zip = await yauzl.openPromise(archivePath, { lazyEntries: true, autoClose: false })
+    } catch {
+      return await failJob(job.id, 'The upload is not a readable ZIP file')
+    }
+    const entries = new Map()
+    for await (const entry of zip.eachEntry()) {
+      if (!entry.fileName.endsWith('/')) entries.set(entry.fileName, entry)
+    }
+
+    let rows = job.manifest
+    if (!rows) {
+      const manifestEntry = [...entries.values()]
+        .filter((e) => MANIFEST_NAMES.includes(path.posix.basename(e.fileName).toLowerCase()))
+        .sort((a, b) => a.fileName.split('/').length - b.fileName.split('/').length)[0]
+      if (!manifestEntry) {
+        return await failJob(job.id, 'No manifest was sent and the ZIP has no manifest.csv or manifest.json')
+      }
+      const parsed = parseManifest(await readEntryText(zip, manifestEntry))
+      if (parsed.error) {
+        return await failJob(job.id, parsed.error)
+      }
+      rows = parsed.rows
+    }
+
+    const taxonomy = await loadTaxonomy({ fresh: true })
+    const errors = []
+    const items = []
+    rows.forEach((raw, index) => {
+      const { item, error: rowError } = validateRow(raw, entries, taxonomy)
+      if (rowError) errors.push({ row: index + 1, file: raw?.file || null, error: rowError })
+      else items.push({ row: index + 1, item })
+    })
+    const progress = {
+      total_rows: rows.length,
+      processed_rows: errors.length,
+      created_count: 0,
+      failed_count: errors.length,
+      beat_ids: [],
+      errors,
+    }
+    await updateJob(job.id, progress)
+
+    for (const { row, item } of items) {
+      try {
+        const beat = await importRow(job, item, zip)
+        progress.created_count += 1
+        progress.beat_ids.push(beat.id)
+      } catch (err) {
+        if (!err.status) console.error(`[catalogImport] job ${job.id} row ${row} error`, err)
+        progress.failed_count += 1
+        progress.errors.push({
+          row,
+          file: item.entry.fileName,
+          error: err.status ? err.message : 'Server error importing this beat',
+        })
+      }
+      progress.processed_rows += 1
+      await updateJob(job.id, progress)
+    }
+
+    await updateJob(job.id, { status: 'completed', finished_at: new Date().toISOString() })
+  } catch (err) {
+    console.error(`[catalogImport] job ${job.id} failed`, err)
+    await failJob(job.id, 'Server error running the import')
+  } finally {
+    zip?.close()
+    await removeTempFiles([{ tempPath: archivePath }])
+    await discardUploads([job.archive_key])
+  }
+}
+
+const queue = []
+let draining = false
+
+const drainQueue = async () => {
+  if (draining) return
+  draining = true
+  while (queue.length) {
+    const jobId = queue.shift()
+    try {
+      await runImportJob(jobId)
+    } catch (err) {
+      console.error(`[catalogImport] job ${jobId} could not start`, err)
+    }
+  }
+  draining = false
+}
+
+export function enqueueImportJob(jobId) {
+  queue.push(jobId)
+  drainQueue()
+}
+
+// Creates a queued job for an uploaded archive and starts it in the
+// background. `manifest` is the parsed rows, or null to read it from the ZIP.
+export async function createImportJob({ userId, archiveKey, manifest }) {
+  const { data: job, error } = await supabase
+    .from('catalog_imports')
+    .insert({ user_id: userId, archive_key: archiveKey, manifest: manifest || null })
+    .select(IMPORT_JOB_COLUMNS)
+    .single()
+  if (error) throw error
+  enqueueImportJob(job.id)
+  return job
+}
+
+// On startup: fails the jobs a previous process left running (jobs only run
+// in the process that queued them, so none of them is still going), removes
+// their archives and picks the queued ones back up.
+export async function recoverImportJobs() {
+  if (!supabase) return
+  try {
+    const { data: interrupted, error: failErr } = await supabase
+      .from('catalog_imports')
+      .update({
+        status: 'failed',
+        error: 'The import was interrupted; beats listed in beat_ids were created',
+        finished_at: new Date().toISOString(),
+      })
+      .eq('status', 'running')
+      .select('archive_key')
+    if (failErr) throw failErr
+    await discardUploads((interrupted || []).map((job) => job.archive_key))
+
+    const { data, error } = await supabase
+      .from('catalog_imports')
+      .select('id')
+      .eq('status', 'queued')
+      .order('created_at', { ascending: true })
+    if (error) throw error
+    for (const job of data || []) enqueueImportJob(job.id)
+  } catch (err) {
+    console.error('[catalogImport] recovery error', err)
+  }
+}
@@ -0,0 +1,209 @@
+// Query building for the public catalog (GET /beats): filters, sorting and
+// keyset cursors over the beats_catalog view.
+//
+// The view adds the sortable popularity and boost columns to beats and only
+// ever returns non-null sort keys, which keyset pagination relies on:
+// alter table public.beats add column if not exists search_vector tsvector
+//   generated always as (to_tsvector('simple',
+//     coalesce(title, '') || ' ' || coalesce(producer, '') || ' ' || coalesce(description, ''))) stored;
+// create index if not exists beats_search_vector_idx on public.beats using gin (search_vector);
+// create or replace view public.beats_catalog as
+//   select b.*,
+//     coalesce(b.price, 0) as sort_price,
+//     coalesce((select sum(m.value) from public.beat_metrics_daily m
+//               where m.beat_id = b.id and m.metric = 'plays'), 0) as play_count,
+//     coalesce((select max(x.priority_score) from public.boosted_beats x
+//               where x.beat_id = b.id and x.starts_at <= now() and x.expires_at > now()), 0) as boost_priority
+//   from public.beats b;
+import { normalizeLicenseTier } from './licenseTerms.js'
+import { catalogTermFilter } from './taxonomy.js'
+
+// Fields returned to browsers; the private original (audio_url) never is.
+export const CATALOG_COLUMNS = [
+  'id',
+  'user_id',
+  'title',
+  'producer',
+  'collaborator',
+  'genre',
+  'terms',
+  'bpm',
+  'musical_key',
+  'description',
+  'price',
+  'free_download',
+  'cover_url',
+  'preview_url',
+  'waveform_url',
+  'duration_seconds',
+  'available_licenses',
+  'play_count',
+  'boost_priority',
+  'created_at',
+].join(',')
+
+// sort name -> [view column, ascending]; id breaks ties in the same direction.
+export const CATALOG_SORTS = {
+  newest: ['created_at', false],
+  popular: ['play_count', false],
+  price_asc: ['sort_price', true],
+  price_desc: ['sort_price', false],
+  boosted: ['boost_priority', false],
+}
+
+export const DEFAULT_PAGE_SIZE = 24
+export const MAX_PAGE_SIZE = 100
+// Facets are counted over at most this many matching beats (Supabase's
+// default max-rows), which is plenty for the counts shown next to filters.
+export const FACET_ROW_LIMIT = 1000
+
+// Query parameter -> taxonomy kind. Values within one parameter are OR'ed,
+// different parameters AND'ed.
+const TERM_FILTERS = {
+  genre: 'genre',
+  subgenre: 'subgenre',
+  mood: 'mood',
+  instrument: 'instrument',
+  tag: 'tag',
+}
+
+const encodeCursor = (row, column) =>
+  Buffer.from(JSON.stringify({ v: row[column], id: row.id })).toString('base64url')
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    return parsed && parsed.id != null && 'v' in parsed ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+// PostgREST filter values containing reserved characters must be quoted.
+const quote = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) ? n : undefined
+}
+
+const toList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean)
+
+// Validates the query string; taxonomy filter values are mapped onto terms
+// with `taxonomy` (taxonomy.js). Resolves to { params } or { error }.
+export function parseCatalogQuery(query = {}, taxonomy) {
+  const sort = query.sort || 'newest'
+  if (!CATALOG_SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(CATALOG_SORTS).join(', ')}` }
+  }
+
+  const numbers = {}
+  for (const name of ['bpm_min', 'bpm_max', 'price_min', 'price_max', 'limit']) {
+    const n = toNumber(query[name])
+    if (n === undefined) return { error: `${name} must be a number` }
+    numbers[name] = n
+  }
+
+  let cursor = null
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor)
+    if (!cursor) return { error: 'Invalid cursor' }
+  }
+
+  let license = null
+  if (query.license) {
+    license = normalizeLicenseTier(query.license)
+    if (!license) return { error: 'Unknown license tier' }
+  }
+
+  const termFilters = []
+  for (const [param, kind] of Object.entries(TERM_FILTERS)) {
+    const values = toList(query[param])
+    if (values.length) termFilters.push(catalogTermFilter(taxonomy, kind, values))
+  }
+
+  let freeDownload = null
+  if (query.free_download !== undefined && query.free_download !== '') {
+    freeDownload = query.free_download === 'true'
+  }
+
+  return {
+    params: {
+      q: String(query.q || '').trim().slice(0, 200) || null,
+      termFilters,
+      keys: toList(query.key),
+      bpmMin: numbers.bpm_min,
+      bpmMax: numbers.bpm_max,
+      priceMin: numbers.price_min,
+      priceMax: numbers.price_max,
+      freeDownload,
+      license,
+      sort,
+      cursor,
+      facets: query.facets === 'true',
+      limit: Math.min(MAX_PAGE_SIZE, Math.max(1, numbers.limit || DEFAULT_PAGE_SIZE)),
+    },
+  }
+}
+
+// Only beats that are live on the marketplace: public (not private, unlisted
+// or still scheduled), not hidden or flagged by moderation, not unpublished
+// or retired by their producer, not sold with Exclusive Rights, not by a
+// banned producer.
+export function applyCatalogVisibility(query, { bannedUserIds = [] } = {}) {
+  let q = query
+    .eq('visibility', 'public')
+    .not('hidden', 'is', true)
+    .not('flagged', 'is', true)
+    .not('published', 'is', false)
+    .not('sold_exclusive', 'is', true)
+    .is('deleted_at', null)
+  if (bannedUserIds.length) q = q.not('user_id', 'in', `(${bannedUserIds.join(',')})`)
+  return q
+}
+
+export function applyCatalogFilters(query, params) {
+  let q = query
+  if (params.q) q = q.textSearch('search_vector', params.q, { type: 'websearch', config: 'simple' })
+  for (const anyOf of params.termFilters) q = q.overlaps('terms', anyOf)
+  if (params.keys.length) q = q.in('musical_key', params.keys)
+  if (params.bpmMin != null) q = q.gte('bpm', params.bpmMin)
+  if (params.bpmMax != null) q = q.lte('bpm', params.bpmMax)
+  if (params.priceMin != null) q = q.gte('sort_price', params.priceMin)
+  if (params.priceMax != null) q = q.lte('sort_price', params.priceMax)
+  if (params.freeDownload != null) q = q.eq('free_download', params.freeDownload)
+  if (params.license) q = q.contains('available_licenses', [params.license])
+  return q
+}
+
+// Orders the query and, when continuing from a cursor, skips everything up
+// to and including the cursor row. Fetches one extra row to detect a next page.
+export function applyCatalogPage(query, params) {
+  const [column, ascending] = CATALOG_SORTS[params.sort]
+  let q = query
+  if (params.cursor) {
+    const op = ascending ? 'gt' : 'lt'
+    const value = quote(params.cursor.v)
+    q = q.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${quote(params.cursor.id)})`)
+  }
+  return q
+    .order(column, { ascending })
+    .order('id', { ascending })
+    .limit(params.limit + 1)
+}
+
+// Splits the over-fetched rows into the page and the cursor for the next one.
+export function buildCatalogPage(rows, params) {
+  const [column] = CATALOG_SORTS[params.sort]
+  const hasMore = rows.length > params.limit
+  const beats = hasMore ? rows.slice(0, params.limit) : rows
+  return {
+    beats,
+    nextCursor: hasMore ? encodeCursor(beats[beats.length - 1], column) : null,
+  }
+}
@@ -0,0 +1,301 @@
+// Collaborator invitations. Everyone a producer lists on a beat (other than
+// the producer) is emailed an invite and has to accept before their split
+// goes live. Sales made while an invite is pending, or before the beat's first
+// split sheet is signed (splitSheets.js), are recorded as held splits and
+// paid into the collaborator's wallet once both are done; a decline hands the
+// held money (and future shares) back to the beat's owner.
+// Invites sent to an email without an account are linked to the account
+// created with that address.
+import crypto from 'crypto'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import nodemailer from 'nodemailer'
+import { WEB_BASE_URL, buildCollabInviteEmail } from './emailTemplates.js'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[collabInvites] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+let mailTransporter = null
+if (process.env.SMTP_HOST && process.env.SMTP_USER) {
+  mailTransporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: false,
+    auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+  })
+}
+
+// Existing collaborators stay live (accepted); email-only rows were never
+// credited and become pending invites, to be sent with POST /collab/:id/resend:
+// alter table public.collaborators add column if not exists invite_status text not null default 'accepted'; -- pending | accepted | declined
+// alter table public.collaborators add column if not exists invite_token_hash text unique;
+// alter table public.collaborators add column if not exists invited_at timestamptz;
+// alter table public.collaborators add column if not exists responded_at timestamptz;
+// update public.collaborators set invite_status = 'pending' where user_id is null;
+//
+// Split ledger rows of pending collaborators are held until they respond:
+// alter table public.beat_sales_split add column if not exists payout_status text not null default 'credited'; -- credited | held | forfeited
+// alter table public.beat_sales_split add column if not exists released_at timestamptz;
+//
+// Collaborators taken off a beat keep their row (and earnings history); the
+// split versions in splitSheets.js record what they held and when:
+// alter table public.collaborators add column if not exists removed_at timestamptz;
+
+export const COLLABORATOR_COLUMNS =
+  'id, beat_id, user_id, email, role, split_percentage, master_percentage, publishing_percentage, invite_status, invited_at, responded_at, removed_at, created_at'
+
+export const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null)
+
+// Signups without REQUIRE_EMAIL_CONFIRMATION are created already "confirmed"
+// and flagged app_metadata.email_unverified; nobody proved they own that
+// inbox, so invites are not matched to them by address (the emailed invite
+// token still works).
+export const hasVerifiedEmail = (user) =>
+  !!user?.email_confirmed_at && user.app_metadata?.email_unverified !== true
+
+export const hashInviteToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex')
+
+const inviteUrl = (token) => `${WEB_BASE_URL}/collab/invite?token=${encodeURIComponent(token)}`
+
+// Adds `amount` to a user's wallet balance.
+export async function creditWallet(userId, amount) {
+  const { data: wallet } = await supabase
+    .from('user_wallet')
+    .select('user_id,balance')
+    .eq('user_id', userId)
+    .maybeSingle()
+  const newBalance = Number((Number(wallet?.balance || 0) + amount).toFixed(2))
+  const { error } = await supabase
+    .from('user_wallet')
+    .upsert({ user_id: userId, balance: newBalance, updated_at: new Date().toISOString() })
+  if (error) throw error
+  return newBalance
+}
+
+// Moves a collaborator's held splits to `payoutStatus` and pays their total
+// to `userId`. Only rows this call flipped are paid, so responding twice (or
+// concurrently) can't pay twice. Resolves to the amount paid.
+async function settleHeldSplits(collaboratorId, payoutStatus, userId) {
+  const { data: rows, error } = await supabase
+    .from('beat_sales_split')
+    .update({ payout_status: payoutStatus, released_at: new Date().toISOString() })
+    .eq('collaborator_id', collaboratorId)
+    .eq('payout_status', 'held')
+    .select('amount_earned')
+  if (error) throw error
+  const total = Number((rows || []).reduce((sum, r) => sum + Number(r.amount_earned || 0), 0).toFixed(2))
+  if (total > 0 && userId) await creditWallet(userId, total)
+  return total
+}
+
+export const releaseHeldSplits = (collaboratorId, userId) =>
+  settleHeldSplits(collaboratorId, 'credited', userId)
+
+// Emails a (new) invite link for collaborator `row` on `beat`; any earlier
+// link stops working. Resolves to true when an email went out.
+export async function sendInvite(row, beat) {
+  const token = crypto.randomBytes(24).toString('base64url')
+  const { error } = await supabase
+    .from('collaborators')
+    .update({ invite_token_hash: hashInviteToken(token), invited_at: new Date().toISOString() })
+    .eq('id', row.id)
+  if (error) throw error
+
+  let email = row.email
+  if (!email && row.user_id) {
+    const { data } = await supabase.auth.admin.getUserById(row.user_id)
+    email = data?.user?.email || null
+  }
+  if (!email) return false
+  if (!mailTransporter) {
+    console.warn('[collabInvites] SMTP not configured; skipping invite to', email)
+    return false
+  }
+  try {
+    const { subject, text, html } = buildCollabInviteEmail({
+      toEmail: email,
+      inviterName: beat.producer,
+      beatTitle: beat.title,
+      role: row.role,
+      split: row.split_percentage,
+      actionUrl: inviteUrl(token),
+    })
+    await mailTransporter.sendMail({
+      from: process.env.EMAIL_FROM || 'no-reply@riddimbasesound.com',
+      to: email,
+      subject,
+      text,
+      html,
+    })
+    return true
+  } catch (err) {
+    console.warn('[collabInvites] invite email failed', email, err?.message || err)
+    return false
+  }
+}
+
+const collaboratorKey = (c) => (c.user_id ? `user:${c.user_id}` : `email:${normalizeEmail(c.email)}`)
+
+// Saves `collaborators` ([{ user_id?, email?, role, split_percentage,
+// master_percentage?, publishing_percentage? }], already validated) as the
+// proposed terms for `beat`. People already on the beat keep their invite
+// state, new people are invited, and anyone left out is marked removed
+// (pending invitees forfeit their held splits to the owner). Sales follow
+// the beat's active split version, not these rows, until a new version is
+// signed (splitSheets.js).
+// Resolves to { collaborators, invited }.
+export async function saveBeatCollaborators(beat, collaborators) {
+  const { data: existing, error } = await supabase
+    .from('collaborators')
+    .select('id, user_id, email, invite_status, removed_at')
+    .eq('beat_id', beat.id)
+  if (error) throw error
+  const byKey = new Map()
+  for (const row of existing || []) {
+    byKey.set(collaboratorKey(row), row)
+    if (row.user_id && row.email) byKey.set(collaboratorKey({ email: row.email }), row)
+  }
+
+  const kept = new Set()
+  const toInvite = []
+  for (const c of collaborators) {
+    const email = normalizeEmail(c.email)
+    const match = byKey.get(collaboratorKey(c)) || (email && byKey.get(collaboratorKey({ email })))
+    const fields = {
+      role: c.role || null,
+      split_percentage: Number(c.split_percentage),
+      master_percentage: c.master_percentage ?? null,
+      publishing_percentage: c.publishing_percentage ?? null,
+    }
+    if (match && !kept.has(match.id)) {
+      kept.add(match.id)
+      // A producer re-adding someone who declined asks them again.
+      const reinvite = match.invite_status === 'declined'
+      const patch = { ...fields, removed_at: null }
+      const { error: updateErr } = await supabase
+        .from('collaborators')
+        .update(reinvite ? { ...patch, invite_status: 'pending', responded_at: null } : patch)
+        .eq('id', match.id)
+      if (updateErr) throw updateErr
+      if (reinvite) toInvite.push(match.id)
+      continue
+    }
+    const isOwner = c.user_id && c.user_id === beat.user_id
+    const { data: inserted, error: insertErr } = await supabase
+      .from('collaborators')
+      .insert({
+        beat_id: beat.id,
+        user_id: c.user_id || null,
+        email,
+        ...fields,
+        invite_status: isOwner ? 'accepted' : 'pending',
+      })
+      .select('id')
+      .single()
+    if (insertErr) throw insertErr
+    kept.add(inserted.id)
+    if (!isOwner) toInvite.push(inserted.id)
+  }
+
+  for (const row of existing || []) {
+    if (kept.has(row.id) || row.removed_at) continue
+    if (row.invite_status === 'pending') await settleHeldSplits(row.id, 'forfeited', beat.user_id)
+    const { error: removeErr } = await supabase
+      .from('collaborators')
+      .update({ removed_at: new Date().toISOString() })
+      .eq('id', row.id)
+    if (removeErr) throw removeErr
+  }
+
+  const { data: rows, error: listErr } = await supabase
+    .from('collaborators')
+    .select(COLLABORATOR_COLUMNS)
+    .eq('beat_id', beat.id)
+    .is('removed_at', null)
+    .order('created_at', { ascending: true })
+  if (listErr) throw listErr
+  let invited = 0
+  for (const row of rows || []) {
+    if (toInvite.includes(row.id) && (await sendInvite(row, beat))) invited += 1
+  }
+  return { collaborators: rows || [], invited }
+}
+
+// The collaborator row (with its beat) behind an invite token, or null.
+export async function findInviteByToken(token) {
+  if (!token) return null
+  const { data, error } = await supabase
+    .from('collaborators')
+    .select(`${COLLABORATOR_COLUMNS}, beat:beats(id, user_id, title, producer, cover_url, splits_status)`)
+    .eq('invite_token_hash', hashInviteToken(token))
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+// Accepts or declines a pending invite. Accepting links the row to `userId`
+// and pays out the held splits unless the beat's split sheet still awaits
+// signatures (signing pays them then); declining returns them to the beat
+// owner. `invite.beat` needs user_id and splits_status.
+// Resolves to { collaborator, released } or { status, error }.
+export async function respondToInvite(invite, { accept, userId = null }) {
+  if (invite.invite_status !== 'pending') {
+    return { status: 409, error: `This invite was already ${invite.invite_status}` }
+  }
+  if (accept && !userId) return { status: 401, error: 'Sign in to accept this invite' }
+  if (accept && invite.user_id && invite.user_id !== userId) {
+    return { status: 403, error: 'This invite belongs to another account' }
+  }
+
+  const patch = {
+    invite_status: accept ? 'accepted' : 'declined',
+    responded_at: new Date().toISOString(),
+    invite_token_hash: null,
+  }
+  if (accept) patch.user_id = userId
+  const { data, error } = await supabase
+    .from('collaborators')
+    .update(patch)
+    .eq('id', invite.id)
+    .eq('invite_status', 'pending')
+    .select(COLLABORATOR_COLUMNS)
+    .maybeSingle()
+  if (error) return { status: 400, error: error.message }
+  if (!data) return { status: 409, error: 'This invite was already answered' }
+
+  const beatOwner = invite.beat?.user_id
+  let released = 0
+  if (!accept) released = await settleHeldSplits(invite.id, 'forfeited', beatOwner)
+  else if (invite.beat?.splits_status !== 'awaiting_signatures') released = await releaseHeldSplits(invite.id, userId)
+  return { collaborator: data, released }
+}
+
+// Links invites sent to `user`'s email address to the account, once the
+// address is confirmed. The invites stay pending until accepted.
+export async function linkInvitesToUser(user) {
+  const email = hasVerifiedEmail(user) ? normalizeEmail(user.email) : null
+  if (!supabase || !email) return 0
+  const { data, error } = await supabase
+    .from('collaborators')
+    .update({ user_id: user.id })
+    .eq('email', email)
+    .is('user_id', null)
+    .select('id')
+  if (error) {
+    console.error('[collabInvites] link invites error', error)
+    return 0
+  }
+  return data?.length || 0
+}
@@ -1,6 +1,30 @@
 import express from 'express'
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
+import { requireAuth } from './authMiddleware.js'
+import { getRequestIp } from './rateLimit.js'
+import {
+  COLLABORATOR_COLUMNS,
+  findInviteByToken,
+  hasVerifiedEmail,
+  normalizeEmail,
+  respondToInvite,
+  saveBeatCollaborators,
+  sendInvite,
+} from './collabInvites.js'
+import {
+  issueSplitSheet,
+  listSignatures,
+  listSplitVersions,
+  loadCurrentSplitSheet,
+  recordLegacySplit,
+  rejectSplitSheet,
+  renderSplitSheetPdf,
+  requiredSignatureCount,
+  SIGNATURE_PUBLIC_COLUMNS,
+  signSplitSheet,
+  storeSignedPdf,
+} from './splitSheets.js'
 
 dotenv.config()
 
@@ -18,33 +42,360 @@ if (supabaseUrl && supabaseServiceKey) {
   console.warn('[collabRoutes] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
 }
 
-// Upsert collaborators for a beat.
-// Body: { beat_id, collaborators: [{ user_id?, email?, role?, split_percentage }] }
-router.post('/collab/set', async (req, res) => {
+// Upsert collaborators for a beat. Only the beat's owner may change splits.
+// Body: { beat_id, collaborators: [{ user_id?, email?, role?, split_percentage,
+// master_percentage?, publishing_percentage? }] }
+// split_percentage is the share of sales; master and publishing default to
+// it. New collaborators are emailed an invite (see collabInvites.js) and a
+// new split version is issued (splitSheets.js). The version in effect keeps
+// applying to sales until every collaborator has signed the new one and
+// anyone removed has approved; on a beat's first split, earnings are held
+// until then.
+router.post('/collab/set', requireAuth, async (req, res) => {
   try {
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
     const { beat_id, collaborators } = req.body || {}
     if (!beat_id || !Array.isArray(collaborators)) {
       return res.status(400).json({ error: 'beat_id and collaborators are required' })
     }
+    const { data: beat, error: beatErr } = await supabase
+      .from('beats')
+      .select('id,user_id,title,producer')
+      .eq('id', beat_id)
+      .maybeSingle()
+    if (beatErr) return res.status(400).json({ error: beatErr.message })
+    if (!beat) return res.status(404).json({ error: 'Beat not found' })
+    if (beat.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not allowed to manage collaborators for this beat' })
+    }
     const total = collaborators.reduce((sum, c) => sum + Number(c.split_percentage || c.split || 0), 0)
     if (Math.round(total) !== 100) {
       return res.status(400).json({ error: 'Split percentages must total 100%' })
     }
+    if (collaborators.some((c) => !c.user_id && !c.email)) {
+      return res.status(400).json({ error: 'Each collaborator needs a user_id or email' })
+    }
+    const optionalPercentage = (v) => (v === undefined || v === null || v === '' ? null : Number(v))
     const clean = collaborators.map((c) => ({
-      beat_id,
       user_id: c.user_id || null,
       email: c.email || null,
       role: c.role || null,
       split_percentage: Number(c.split_percentage || c.split || 0),
+      master_percentage: optionalPercentage(c.master_percentage),
+      publishing_percentage: optionalPercentage(c.publishing_percentage),
     }))
-    // Delete existing then insert new set
-    await supabase.from('collaborators').delete().eq('beat_id', beat_id)
-    const { data, error } = await supabase.from('collaborators').insert(clean).select('*')
+    for (const field of ['master_percentage', 'publishing_percentage']) {
+      const values = clean.map((c) => c[field] ?? c.split_percentage)
+      if (values.some((v) => !Number.isFinite(v) || v < 0) || Math.round(values.reduce((a, b) => a + b, 0)) !== 100) {
+        return res.status(400).json({ error: `${field} values must total 100%` })
+      }
+    }
+    await recordLegacySplit(beat)
+    const { collaborators: saved, invited } = await saveBeatCollaborators(beat, clean)
+    const splitSheet = await issueSplitSheet(beat, saved, { createdBy: req.user.id })
+    return res.json({ ok: true, collaborators: saved, invited, splitSheet })
+  } catch (e) {
+    console.error('[collabRoutes] set error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// The beat owner's view of its collaborators and their invite state.
+router.get('/collab/beats/:beatId', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const { data: beat, error: beatErr } = await supabase
+      .from('beats')
+      .select('id,user_id')
+      .eq('id', req.params.beatId)
+      .maybeSingle()
+    if (beatErr) return res.status(400).json({ error: beatErr.message })
+    if (!beat) return res.status(404).json({ error: 'Beat not found' })
+    if (beat.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Not allowed to manage collaborators for this beat' })
+    }
+    const { data, error } = await supabase
+      .from('collaborators')
+      .select(COLLABORATOR_COLUMNS)
+      .eq('beat_id', beat.id)
+      .order('created_at', { ascending: true })
     if (error) return res.status(400).json({ error: error.message })
     return res.json({ ok: true, collaborators: data || [] })
   } catch (e) {
-    console.error('[collabRoutes] set error', e)
+    console.error('[collabRoutes] list error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Invites addressed to the caller, by account or by their (verified) email
+// address.
+router.get('/collab/invites', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const email = hasVerifiedEmail(req.user) ? normalizeEmail(req.user.email) : null
+    let query = supabase
+      .from('collaborators')
+      .select(`${COLLABORATOR_COLUMNS}, beat:beats(id, title, producer, cover_url)`)
+      .eq('invite_status', 'pending')
+    query = email ? query.or(`user_id.eq.${req.user.id},email.eq."${email}"`) : query.eq('user_id', req.user.id)
+    const { data, error } = await query.order('invited_at', { ascending: false })
+    if (error) return res.status(400).json({ error: error.message })
+    return res.json({ ok: true, invites: data || [] })
+  } catch (e) {
+    console.error('[collabRoutes] invites error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Invite details for the link in the email; no sign-in needed to look.
+router.get('/collab/invites/:token', async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const invite = await findInviteByToken(req.params.token)
+    if (!invite) return res.status(404).json({ error: 'This invite link is invalid or was replaced' })
+    const { beat, role, split_percentage, invite_status, email } = invite
+    return res.json({
+      ok: true,
+      invite: {
+        beat: beat && { id: beat.id, title: beat.title, producer: beat.producer, cover_url: beat.cover_url },
+        role,
+        split_percentage,
+        invite_status,
+        email,
+      },
+    })
+  } catch (e) {
+    console.error('[collabRoutes] invite lookup error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Accepting needs an account (the split is paid into its wallet); declining
+// works straight from the email link.
+const respondByToken = (accept) => async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const invite = await findInviteByToken(req.params.token)
+    if (!invite) return res.status(404).json({ error: 'This invite link is invalid or was replaced' })
+    const result = await respondToInvite(invite, { accept, userId: req.user?.id || null })
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    return res.json({ ok: true, collaborator: result.collaborator, released: result.released })
+  } catch (e) {
+    console.error('[collabRoutes] respond error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+}
+
+router.post('/collab/invites/:token/accept', requireAuth, respondByToken(true))
+router.post('/collab/invites/:token/decline', respondByToken(false))
+
+// In-app answers for invites listed on GET /collab/invites.
+const respondById = (accept) => async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const { data: invite, error } = await supabase
+      .from('collaborators')
+      .select(`${COLLABORATOR_COLUMNS}, beat:beats(id, user_id, splits_status)`)
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (error) return res.status(400).json({ error: error.message })
+    const email = hasVerifiedEmail(req.user) ? normalizeEmail(req.user.email) : null
+    const addressedToCaller =
+      invite && (invite.user_id === req.user.id || (!invite.user_id && email && invite.email === email))
+    if (!addressedToCaller) return res.status(404).json({ error: 'Invite not found' })
+    const result = await respondToInvite(invite, { accept, userId: req.user.id })
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    return res.json({ ok: true, collaborator: result.collaborator, released: result.released })
+  } catch (e) {
+    console.error('[collabRoutes] respond error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+}
+
+router.post('/collab/:id/accept', requireAuth, respondById(true))
+router.post('/collab/:id/decline', requireAuth, respondById(false))
+
+// Beat owners can send a pending invite again (e.g. after a typo fix or a
+// lost email); the previous link stops working.
+router.post('/collab/:id/resend', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const { data: row, error } = await supabase
+      .from('collaborators')
+      .select(`${COLLABORATOR_COLUMNS}, beat:beats(id, user_id, title, producer)`)
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (error) return res.status(400).json({ error: error.message })
+    if (!row || row.beat?.user_id !== req.user.id) return res.status(404).json({ error: 'Collaborator not found' })
+    if (row.invite_status !== 'pending') {
+      return res.status(409).json({ error: `This invite was already ${row.invite_status}` })
+    }
+    const sent = await sendInvite(row, row.beat)
+    return res.json({ ok: true, sent })
+  } catch (e) {
+    console.error('[collabRoutes] resend error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// Loads the beat for its owner or anyone who is (or was) one of its
+// collaborators. Resolves to { beat, isOwner } or { status, error }.
+async function loadCollabBeatAccess(beatId, userId) {
+  const { data: beat, error } = await supabase
+    .from('beats')
+    .select('id,user_id,title,producer,splits_status')
+    .eq('id', beatId)
+    .maybeSingle()
+  if (error) return { status: 400, error: error.message }
+  if (!beat) return { status: 404, error: 'Beat not found' }
+  const isOwner = beat.user_id === userId
+  if (!isOwner) {
+    const { data: rows, error: rowsErr } = await supabase
+      .from('collaborators')
+      .select('id')
+      .eq('beat_id', beat.id)
+      .eq('user_id', userId)
+      .limit(1)
+    if (rowsErr) return { status: 400, error: rowsErr.message }
+    if (!rows?.length) return { status: 404, error: 'Beat not found' }
+  }
+  return { beat, isOwner }
+}
+
+// As loadCollabBeatAccess, plus the beat's current split sheet.
+// Resolves to { beat, sheet, isOwner } or { status, error }.
+async function loadSplitSheetAccess(beatId, userId) {
+  const access = await loadCollabBeatAccess(beatId, userId)
+  if (access.error) return access
+  const sheet = await loadCurrentSplitSheet(access.beat.id)
+  if (!sheet) return { status: 404, error: 'This beat has no split sheet' }
+  return { ...access, sheet }
+}
+
+// GET /collab/beats/:beatId/split-sheet
+// The current split sheet with who has signed so far.
+router.get('/collab/beats/:beatId/split-sheet', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const access = await loadSplitSheetAccess(req.params.beatId, req.user.id)
+    if (access.error) return res.status(access.status).json({ error: access.error })
+    const { beat, sheet } = access
+    const signatures = await listSignatures(sheet.id)
+    const { signed_pdf_key: signedPdfKey, ...rest } = sheet
+    return res.json({
+      ok: true,
+      splitSheet: { ...rest, has_signed_pdf: !!signedPdfKey },
+      signatures,
+      requiredSignatures: requiredSignatureCount(sheet),
+      splitsStatus: beat.splits_status,
+    })
+  } catch (e) {
+    console.error('[collabRoutes] split sheet error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// GET /collab/beats/:beatId/split-sheet/pdf
+// The PDF: the stored signed copy once everyone has signed, otherwise a
+// draft rendered on the fly.
+router.get('/collab/beats/:beatId/split-sheet/pdf', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const access = await loadSplitSheetAccess(req.params.beatId, req.user.id)
+    if (access.error) return res.status(access.status).json({ error: access.error })
+    const { beat, sheet } = access
+    const signatures = await listSignatures(sheet.id, '*')
+    const pdf = await renderSplitSheetPdf({ beat, sheet, signatures })
+    if (sheet.status === 'signed' && !sheet.signed_pdf_key) {
+      try {
+        await storeSignedPdf(sheet, signatures)
+      } catch (err) {
+        console.error('[collabRoutes] signed split sheet upload error', err)
+      }
+    }
+    const name = `split-sheet-${beat.id}-v${sheet.version}${sheet.status === 'signed' ? '' : '-draft'}.pdf`
+    res.set('Content-Type', 'application/pdf')
+    res.set('Content-Disposition', `attachment; filename="${name}"`)
+    return res.send(pdf)
+  } catch (e) {
+    console.error('[collabRoutes] split sheet pdf error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// POST /collab/beats/:beatId/split-sheet/sign
+// Body: { signed_name, agree: true }. Contributors who accepted their invite
+// sign with their full name, as do collaborators approving their removal;
+// the time, IP address and user agent are logged with the signature. The
+// last signature puts the new split in effect.
+router.post('/collab/beats/:beatId/split-sheet/sign', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const { signed_name, agree } = req.body || {}
+    if (agree !== true) {
+      return res.status(400).json({ error: 'Confirm you agree to the split sheet (agree: true)' })
+    }
+    const access = await loadSplitSheetAccess(req.params.beatId, req.user.id)
+    if (access.error) return res.status(access.status).json({ error: access.error })
+    const result = await signSplitSheet(access.sheet, {
+      userId: req.user.id,
+      signedName: signed_name,
+      ip: getRequestIp(req),
+      userAgent: req.get('user-agent'),
+    })
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    return res.json({
+      ok: true,
+      signature: result.signature,
+      splitSheetStatus: result.sheet.status,
+    })
+  } catch (e) {
+    console.error('[collabRoutes] split sheet sign error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// POST /collab/beats/:beatId/split-sheet/reject
+// Anyone who has to sign a proposed split change can turn it down; the
+// split in effect stays.
+router.post('/collab/beats/:beatId/split-sheet/reject', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const access = await loadSplitSheetAccess(req.params.beatId, req.user.id)
+    if (access.error) return res.status(access.status).json({ error: access.error })
+    const result = await rejectSplitSheet(access.sheet, { userId: req.user.id })
+    if (result.error) return res.status(result.status).json({ error: result.error })
+    return res.json({ ok: true, splitSheetStatus: result.sheet.status })
+  } catch (e) {
+    console.error('[collabRoutes] split sheet reject error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
+// GET /collab/beats/:beatId/split-history
+// Every split version of the beat, newest first: its terms, what changed
+// from the version before, when it was in effect and who signed. Open to the
+// owner and to current and former collaborators; only the owner sees the IP
+// address and user agent logged with each signature.
+router.get('/collab/beats/:beatId/split-history', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const access = await loadCollabBeatAccess(req.params.beatId, req.user.id)
+    if (access.error) return res.status(access.status).json({ error: access.error })
+    const columns = access.isOwner ? `${SIGNATURE_PUBLIC_COLUMNS}, ip, user_agent` : SIGNATURE_PUBLIC_COLUMNS
+    const versions = []
+    for (const { signed_pdf_key: signedPdfKey, ...sheet } of await listSplitVersions(access.beat.id)) {
+      versions.push({
+        ...sheet,
+        in_effect: sheet.status === 'signed' && !!sheet.effective_from && !sheet.effective_to,
+        has_signed_pdf: !!signedPdfKey,
+        required_signatures: requiredSignatureCount(sheet),
+        signatures: await listSignatures(sheet.id, columns),
+      })
+    }
+    return res.json({ ok: true, splitsStatus: access.beat.splits_status, versions })
+  } catch (e) {
+    console.error('[collabRoutes] split history error', e)
     return res.status(500).json({ error: 'Server error' })
   }
 })
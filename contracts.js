@@ -225,3 +225,40 @@ Official Platform Signature
 `.trim()
 }
 
+export function buildSplitSheetAgreement({ date, beatTitle, producerName, version }) {
+  const safeDate = date || new Date().toISOString().slice(0, 10)
+  const title = beatTitle || 'Beat'
+  const producer = producerName || 'Producer'
+
+  return `
+RIDDIMBASE LLC — SPLIT SHEET AGREEMENT
+
+Date: ${safeDate}
+Beat Title: ${title}
+Producer: ${producer}
+Split Sheet Version: ${version || 1}
+
+1. Ownership
+
+The contributors listed on this split sheet agree that they created the beat together and own it in the percentages shown:
+- Master: ownership of the sound recording
+- Publishing: ownership of the underlying composition
+- Sales share: each contributor's share of RiddimBase license sales after platform fees
+
+2. Sales Earnings
+
+RiddimBase LLC pays each contributor's sales share into their RiddimBase wallet. Earnings from sales made before every contributor has signed are held and paid out once this split sheet is fully signed.
+
+3. Registration
+
+Contributors should register their publishing share with their performing rights organisation using the percentages on this split sheet.
+
+4. Changes
+
+These percentages can only be changed by a new version of this split sheet, which replaces this one and must again be signed by every contributor. Sales earnings are held as described in section 2 until it is. Earlier sales are not recalculated.
+
+5. Electronic Signatures
+
+Each contributor signs electronically on RiddimBase. The signer's typed name, account and time of signing are recorded below and form part of this agreement; RiddimBase also keeps the IP address and device of each signature on file.
+`.trim()
+}
@@ -0,0 +1,203 @@
+import path from 'path'
+import express from 'express'
+import { S3Client, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3'
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { requireAuth } from './authMiddleware.js'
+import { deliverableKeys, listBeatAssets } from './beatAssets.js'
+import { LICENSE_DELIVERABLES, normalizeLicenseTier } from './licenseTerms.js'
+import { getRequestIp } from './rateLimit.js'
+import { isMissingS3Object, safeDownloadName } from './s3Utils.js'
+
+dotenv.config()
+
+const router = express.Router()
+
+const REGION = process.env.AWS_REGION
+const BUCKET = process.env.S3_BUCKET
+
+const s3 = new S3Client({
+  region: REGION,
+  credentials:
+    process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+})
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[deliveryRoutes] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+// Presigned links are only good for a few minutes; buyers ask for a new one
+// each time, and each request counts against the license's download limit.
+const DOWNLOAD_URL_TTL_SECONDS = Number(process.env.DOWNLOAD_URL_TTL_SECONDS || 300)
+const DOWNLOAD_LIMIT_PER_LICENSE = Number(process.env.DOWNLOAD_LIMIT_PER_LICENSE || 20)
+
+// A sale is one issued license: sales.buyer_id bought sales.license (tier
+// name) for sales.beat_id. Every link handed out is logged:
+// create table if not exists public.license_downloads (
+//   id uuid primary key default gen_random_uuid(),
+//   sale_id uuid not null,
+//   beat_id uuid not null,
+//   user_id uuid not null,
+//   format text not null,
+//   ip text,
+//   user_agent text,
+//   created_at timestamptz not null default now()
+// );
+
+// Loads the caller's sale with its beat and works out what it entitles them to.
+// Resolves to { sale, beat, tier, deliverables: { format: key } } or { status, error }.
+async function loadPurchase(saleId, userId) {
+  const { data: sale, error } = await supabase
+    .from('sales')
+    .select('*')
+    .eq('id', saleId)
+    .maybeSingle()
+  if (error) throw error
+  if (!sale || sale.buyer_id !== userId) return { status: 404, error: 'Purchase not found' }
+  if (sale.status === 'refunded') return { status: 403, error: 'This purchase was refunded' }
+
+  const tier = normalizeLicenseTier(sale.license)
+  if (!tier) return { status: 409, error: 'This purchase has no recognised license tier' }
+
+  const { data: beat, error: beatErr } = await supabase
+    .from('beats')
+    .select('id,title,audio_url,stems_url,cover_url,preview_url')
+    .eq('id', sale.beat_id)
+    .maybeSingle()
+  if (beatErr) throw beatErr
+  if (!beat) return { status: 404, error: 'The beat for this purchase no longer exists' }
+
+  const available = deliverableKeys(beat, await listBeatAssets(beat.id))
+  const deliverables = {}
+  for (const format of LICENSE_DELIVERABLES[tier]) {
+    if (available[format]) deliverables[format] = available[format]
+  }
+  return { sale, beat, tier, deliverables }
+}
+
+const countDownloads = async (saleId) => {
+  const { count, error } = await supabase
+    .from('license_downloads')
+    .select('id', { count: 'exact', head: true })
+    .eq('sale_id', saleId)
+  if (error) throw error
+  return count || 0
+}
+
+// GET /api/purchases/:saleId/downloads
+// What the license includes, which files exist, and downloads left.
+router.get('/api/purchases/:saleId/downloads', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const purchase = await loadPurchase(req.params.saleId, req.user.id)
+    if (purchase.error) return res.status(purchase.status).json({ error: purchase.error })
+
+    const used = await countDownloads(purchase.sale.id)
+    res.json({
+      ok: true,
+      beat: { id: purchase.beat.id, title: purchase.beat.title },
+      license: purchase.tier,
+      includedFormats: LICENSE_DELIVERABLES[purchase.tier],
+      availableFormats: Object.keys(purchase.deliverables),
+      downloadsUsed: used,
+      downloadsRemaining: Math.max(0, DOWNLOAD_LIMIT_PER_LICENSE - used),
+    })
+  } catch (e) {
+    console.error('[deliveryRoutes] list error', e)
+    res.status(500).json({ error: 'Failed to load downloads' })
+  }
+})
+
+// POST /api/purchases/:saleId/downloads
+// Body: { format: 'mp3' | 'wav' | 'stems' }
+// Returns a presigned GET URL that expires after DOWNLOAD_URL_TTL_SECONDS.
+// The file is checked first, so a missing object doesn't hand out a dead
+// link or use up a download.
+router.post('/api/purchases/:saleId/downloads', requireAuth, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    if (!BUCKET || !REGION) return res.status(500).json({ error: 'S3 not configured' })
+
+    const format = String(req.body?.format || '').toLowerCase()
+    const purchase = await loadPurchase(req.params.saleId, req.user.id)
+    if (purchase.error) return res.status(purchase.status).json({ error: purchase.error })
+    const { sale, beat, tier, deliverables } = purchase
+
+    if (!LICENSE_DELIVERABLES[tier].includes(format)) {
+      return res.status(403).json({
+        error: `The ${tier} license does not include ${format || 'that format'}`,
+        includedFormats: LICENSE_DELIVERABLES[tier],
+      })
+    }
+    if (!deliverables[format]) {
+      return res.status(404).json({ error: `The producer has not provided a ${format} file for this beat` })
+    }
+
+    const used = await countDownloads(sale.id)
+    if (used >= DOWNLOAD_LIMIT_PER_LICENSE) {
+      return res.status(429).json({
+        error: 'Download limit reached for this license. Contact support if you need the files again.',
+        code: 'download_limit_reached',
+      })
+    }
+
+    const key = deliverables[format]
+    try {
+      await s3.send(new HeadObjectCommand({ Bucket: BUCKET, Key: key }))
+    } catch (err) {
+      if (!isMissingS3Object(err)) throw err
+      console.error('[deliveryRoutes] deliverable missing from S3', beat.id, format, key)
+      return res.status(404).json({
+        error: `The ${format} file for this beat is unavailable. Contact support to get your files.`,
+        code: 'file_missing',
+      })
+    }
+
+    const { error: logErr } = await supabase.from('license_downloads').insert({
+      sale_id: sale.id,
+      beat_id: beat.id,
+      user_id: req.user.id,
+      format,
+      ip: getRequestIp(req),
+      user_agent: req.get('user-agent') || null,
+    })
+    if (logErr) return res.status(500).json({ error: logErr.message })
+
+    const filename = `${safeDownloadName(beat.title)} (${tier})${path.extname(key)}`
+    const url = await getSignedUrl(
+      s3,
+      new GetObjectCommand({
+        Bucket: BUCKET,
+        Key: key,
+        ResponseContentDisposition: `attachment; filename="${filename}"`,
+      }),
+      { expiresIn: DOWNLOAD_URL_TTL_SECONDS },
+    )
+    res.json({
+      ok: true,
+      format,
+      url,
+      expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL_SECONDS * 1000).toISOString(),
+      downloadsRemaining: Math.max(0, DOWNLOAD_LIMIT_PER_LICENSE - used - 1),
+    })
+  } catch (e) {
+    console.error('[deliveryRoutes] download error', e)
+    res.status(500).json({ error: 'Failed to create download link' })
+  }
+})
+
+export default router
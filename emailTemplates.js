@@ -0,0 +1,176 @@
+// Branded transactional email builders. Each returns { subject, text, html }
+// ready to hand to nodemailer's sendMail, matching the dark RiddimBase layout
+// used by the welcome and bonus-credit emails.
+
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// Base URL of the web app that every email link points at, without a
+// trailing slash so callers can append paths directly.
+export const WEB_BASE_URL = (process.env.WEB_BASE_URL || 'https://riddimbase.app').replace(/\/+$/, '')
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+function renderLayout({ heading, tagline, paragraphs, ctaText, ctaUrl, note, accent = '#ff7a00' }) {
+  const body = paragraphs
+    .map((p) => `<p style="font-size:15px;line-height:1.6;margin:0 0 10px 0;">${p}</p>`)
+    .join('\n            ')
+
+  return `
+<table width="100%" cellpadding="0" cellspacing="0" style="margin:0;background:#0b0b0b;color:#ffffff;">
+  <tr>
+    <td align="center" style="padding:40px 20px;">
+      <table width="600" cellpadding="0" cellspacing="0" style="background:#121212;border-radius:12px;padding:30px;">
+        <tr>
+          <td align="center">
+            <h1 style="color:${accent};margin:0 0 8px 0;font-size:24px;">${heading}</h1>
+            <p style="font-size:16px;color:#cccccc;margin:0;">
+              ${tagline}
+            </p>
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:20px 0;">
+            ${body}
+          </td>
+        </tr>
+        <tr>
+          <td align="center" style="padding-top:4px;">
+            <a href="${ctaUrl}" style="background:${accent};color:#000;padding:14px 28px;border-radius:8px;text-decoration:none;font-weight:bold;font-size:14px;display:inline-block;">
+              ${ctaText}
+            </a>
+          </td>
+        </tr>
+        <tr>
+          <td align="center" style="padding-top:20px;color:#999;font-size:12px;line-height:1.5;">
+            ${note}
+          </td>
+        </tr>
+        <tr>
+          <td align="center" style="padding-top:30px;color:#777;font-size:12px;">
+            © RiddimBase — Built for the culture
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+  `
+}
+
+export function buildPasswordResetEmail({ toEmail, displayName, actionUrl }) {
+  const safeName = escapeHtml(displayName || toEmail || 'there')
+
+  const subject = 'Reset your RiddimBase password'
+  const text = `Hey ${displayName || toEmail || 'there'}, we received a request to reset your RiddimBase password. Choose a new one here: ${actionUrl} — if you didn't ask for this, you can ignore this email.`
+
+  const html = renderLayout({
+    heading: 'Reset your password 🔑',
+    tagline: 'Let’s get you back in the studio.',
+    paragraphs: [
+      `Hey ${safeName}, we received a request to reset the password on your RiddimBase account.`,
+      'Tap the button below to choose a new one. The link can only be used once and expires soon.',
+    ],
+    ctaText: 'Choose a new password',
+    ctaUrl: actionUrl,
+    note: 'Didn’t request this? You can safely ignore this email — your password will stay the same.',
+  })
+
+  return { subject, text, html }
+}
+
+export function buildVerifyEmail({ toEmail, displayName, actionUrl }) {
+  const safeName = escapeHtml(displayName || toEmail || 'there')
+
+  const subject = 'Confirm your RiddimBase email'
+  const text = `Hey ${displayName || toEmail || 'there'}, confirm your email to finish setting up your RiddimBase account: ${actionUrl}`
+
+  const html = renderLayout({
+    heading: 'Confirm your email ✉️',
+    tagline: 'One quick step before you start uploading and buying beats.',
+    paragraphs: [
+      `Hey ${safeName}, thanks for signing up to RiddimBase.`,
+      'Confirm this is your email address so we can activate your account and keep it secure.',
+    ],
+    ctaText: 'Confirm email',
+    ctaUrl: actionUrl,
+    note: 'If you didn’t create a RiddimBase account, you can ignore this email.',
+  })
+
+  return { subject, text, html }
+}
+
+export function buildAccountLockedEmail({ toEmail, lockedUntil, ip, actionUrl }) {
+  const until = new Date(lockedUntil).toUTCString()
+
+  const subject = 'RiddimBase sign-in temporarily locked'
+  const text = `We locked sign-in to the RiddimBase account for ${toEmail} until ${until} after several failed password attempts${ip ? ` from ${ip}` : ''}. If this wasn't you, reset your password: ${actionUrl}`
+
+  const html = renderLayout({
+    heading: 'Sign-in temporarily locked 🔒',
+    tagline: 'We spotted repeated failed password attempts.',
+    paragraphs: [
+      `Someone tried to sign in to your RiddimBase account (${escapeHtml(toEmail)}) with the wrong password several times${ip ? ` from <strong>${escapeHtml(ip)}</strong>` : ''}.`,
+      `To protect your beats and earnings, sign-in is paused until <strong>${escapeHtml(until)}</strong>.`,
+      'If this was you, just wait and try again. If not, reset your password now.',
+    ],
+    ctaText: 'Reset my password',
+    ctaUrl: actionUrl,
+    note: 'Never share your password or authentication codes with anyone — RiddimBase staff will never ask for them.',
+  })
+
+  return { subject, text, html }
+}
+
+export function buildBeatReleaseEmail({ toEmail, displayName, producerName, beatTitle, actionUrl }) {
+  const safeName = escapeHtml(displayName || toEmail || 'there')
+  const safeProducer = escapeHtml(producerName || 'A producer you follow')
+  const safeTitle = escapeHtml(beatTitle || 'a new beat')
+
+  const subject = `New drop: ${beatTitle || 'a new beat'}${producerName ? ` by ${producerName}` : ''}`
+  const text = `Hey ${displayName || toEmail || 'there'}, ${producerName || 'a producer you follow'} just released ${beatTitle || 'a new beat'} on RiddimBase. Listen now: ${actionUrl}`
+
+  const html = renderLayout({
+    heading: 'New drop 🔥',
+    tagline: `${safeProducer} just released a beat.`,
+    paragraphs: [
+      `Hey ${safeName}, <strong>${safeTitle}</strong> is now live on RiddimBase.`,
+      'Be one of the first to hear it and lock in a license.',
+    ],
+    ctaText: 'Listen now',
+    ctaUrl: actionUrl,
+    note: 'You’re getting this because you follow this producer on RiddimBase.',
+  })
+
+  return { subject, text, html }
+}
+
+export function buildCollabInviteEmail({ toEmail, inviterName, beatTitle, role, split, actionUrl }) {
+  const inviter = inviterName || 'A RiddimBase producer'
+  const title = beatTitle || 'a beat'
+  const share = `${Number(split || 0)}%`
+
+  const subject = `${inviter} added you as a collaborator on ${title}`
+  const text = `Hey ${toEmail || 'there'}, ${inviter} listed you${role ? ` (${role})` : ''} on ${title} with a ${share} split of its sales on RiddimBase. Accept or decline here: ${actionUrl} — earnings are held for you until you accept.`
+
+  const html = renderLayout({
+    heading: 'You’ve got a split 🤝',
+    tagline: `${escapeHtml(inviter)} wants to credit you on a beat.`,
+    paragraphs: [
+      `You’re listed${role ? ` as <strong>${escapeHtml(role)}</strong>` : ''} on <strong>${escapeHtml(title)}</strong> with a <strong>${escapeHtml(share)}</strong> split of every sale.`,
+      'Accept to start receiving your share in your RiddimBase wallet. Anything earned before you accept is held for you and paid out once you do.',
+      'No account yet? Sign up with this email address and the invite will be waiting for you.',
+    ],
+    ctaText: 'Review the invite',
+    ctaUrl: actionUrl,
+    note: 'Don’t know this producer or weren’t part of this beat? Open the invite and decline it.',
+  })
+
+  return { subject, text, html }
+}
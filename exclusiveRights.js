@@ -0,0 +1,76 @@
+// Exclusive Rights can be sold once per beat (LICENSE_TERMS.Exclusive): the
+// sale that claims them retires the beat from the marketplace.
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[exclusiveRights] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+// Re-run the beats_catalog view definition (catalogSearch.js) afterwards so
+// the view picks up the new column:
+// alter table public.beats add column if not exists sold_exclusive boolean not null default false;
+// alter table public.beats add column if not exists exclusive_sale_id text;
+// alter table public.beats add column if not exists exclusive_sold_at timestamptz;
+
+export const EXCLUSIVE_SOLD_ERROR =
+  'Exclusive Rights for this beat have already been sold to another buyer.'
+
+// Ends every boost still running on the beat, the same way pausing does.
+export async function cancelActiveBoosts(beatId) {
+  const now = new Date().toISOString()
+  const { data, error } = await supabase
+    .from('boosted_beats')
+    .update({ expires_at: now })
+    .eq('beat_id', beatId)
+    .gt('expires_at', now)
+    .select('id')
+  if (error) throw error
+  return (data || []).length
+}
+
+// Marks the beat sold-exclusive for `saleId`. The update only matches while
+// sold_exclusive is still false, so of two concurrent Exclusive sales exactly
+// one wins. Claiming again for the same sale is a no-op, so retries are safe.
+// Resolves to { ok, boostsCancelled } or { status, error, code }.
+export async function claimExclusiveRights({ beatId, saleId }) {
+  const { data: claimed, error } = await supabase
+    .from('beats')
+    .update({
+      sold_exclusive: true,
+      exclusive_sale_id: saleId != null ? String(saleId) : null,
+      exclusive_sold_at: new Date().toISOString(),
+    })
+    .eq('id', beatId)
+    .eq('sold_exclusive', false)
+    .select('id')
+    .maybeSingle()
+  if (error) throw error
+
+  if (!claimed) {
+    const { data: beat, error: beatErr } = await supabase
+      .from('beats')
+      .select('id,exclusive_sale_id')
+      .eq('id', beatId)
+      .maybeSingle()
+    if (beatErr) throw beatErr
+    if (!beat) return { status: 404, error: 'Beat not found' }
+    if (saleId != null && beat.exclusive_sale_id === String(saleId)) {
+      return { ok: true, boostsCancelled: 0 }
+    }
+    return { status: 409, error: EXCLUSIVE_SOLD_ERROR, code: 'exclusive_sold' }
+  }
+
+  const boostsCancelled = await cancelActiveBoosts(beatId)
+  return { ok: true, boostsCancelled }
+}
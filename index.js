@@ -6,8 +6,9 @@ import { S3Client, PutObjectCommand, DeleteObjectCommand } from '@aws-sdk/client
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
 import PDFDocument from 'pdfkit'
 import nodemailer from 'nodemailer'
-import { LICENSE_TERMS, DEFAULT_TERMS } from './licenseTerms.js'
+import { LICENSE_TERMS, DEFAULT_TERMS, normalizeLicenseTier } from './licenseTerms.js'
 import { buildBeatLicenseContract, buildProducerAgreement } from './contracts.js'
+import { WEB_BASE_URL, buildPasswordResetEmail } from './emailTemplates.js'
 import { createClient } from '@supabase/supabase-js'
 import authRoutes from './authRoutes.js'
 import settingsRoutes from './settingsRoutes.js'
@@ -15,8 +16,27 @@ import beatsRoutes from './beatsRoutes.js'
 import collabRoutes from './collabRoutes.js'
 import salesRoutes from './salesRoutes.js'
 import payoutRoutes from './payoutRoutes.js'
+import apiKeyRoutes from './apiKeyRoutes.js'
+import accountRoutes from './accountRoutes.js'
+import deliveryRoutes from './deliveryRoutes.js'
+import taxonomyRoutes from './taxonomyRoutes.js'
+import { requireAuth, optionalAuth, requireServiceKey } from './authMiddleware.js'
+import { ROLES, requirePermission } from './permissions.js'
+import { getActiveBan, listBannedUserIds } from './bans.js'
+import { collectSessionTakeKeys, deleteS3Objects } from './s3Utils.js'
+import { collectBeatS3Keys, listBeatAssets } from './beatAssets.js'
+import { claimExclusiveRights } from './exclusiveRights.js'
+import { DUPLICATE_RESOLUTIONS } from './audioFingerprint.js'
+import { recoverImportJobs } from './catalogImport.js'
+import { UPLOAD_KINDS, describeKinds, detectUploadKind, safeFileName } from './s3Upload.js'
+import { startReleaseScheduler } from './beatVisibility.js'
 
 const app = express()
+// Set TRUST_PROXY_HOPS to the number of reverse proxies in front of the API;
+// req.ip (rate limits, lockouts, IP logs) then takes the client address
+// those proxies appended. Unset, X-Forwarded-For is ignored and req.ip is
+// the socket address, since a client could write the header itself.
+app.set('trust proxy', process.env.TRUST_PROXY_HOPS ? Number(process.env.TRUST_PROXY_HOPS) : false)
 app.use(cors())
 app.use(express.json())
 app.use(authRoutes)
@@ -25,6 +45,10 @@ app.use('/beats', beatsRoutes)
 app.use(collabRoutes)
 app.use(salesRoutes)
 app.use(payoutRoutes)
+app.use(apiKeyRoutes)
+app.use(accountRoutes)
+app.use(deliveryRoutes)
+app.use(taxonomyRoutes)
 
 // Supabase service-role client for server-side credit management
 const supabaseUrl = process.env.SUPABASE_URL
@@ -41,7 +65,6 @@ if (supabaseUrl && supabaseServiceKey) {
 
 const REGION = process.env.AWS_REGION
 const BUCKET = process.env.S3_BUCKET
-const WEB_BASE_URL = (process.env.WEB_BASE_URL || 'https://riddimbase.app').replace(/\/$/, '')
 
 if (!REGION || !BUCKET) {
   console.warn('[s3-server] Missing AWS_REGION or S3_BUCKET env vars')
@@ -181,18 +204,30 @@ const ensureCreditsRow = async (userId) => {
   return inserted
 }
 
-const parseUserId = (req) => {
-  const authHeader = req.headers['x-user-id'] || req.headers['x-userid']
-  if (authHeader && typeof authHeader === 'string') return authHeader
-  return null
+// Helper: load a beat and confirm the authenticated caller owns it.
+// Resolves to { beat } or { status, error } for the route to send back.
+const loadOwnedBeat = async (beatId, userId) => {
+  const { data, error } = await supabase
+    .from('beats')
+    .select('id,user_id,sold_exclusive,visibility')
+    .eq('id', beatId)
+    .maybeSingle()
+  if (error) {
+    console.error('[beats] ownership lookup error', error)
+    return { status: 500, error: 'Failed to load beat' }
+  }
+  if (!data) return { status: 404, error: 'Beat not found' }
+  if (data.user_id !== userId) {
+    return { status: 403, error: 'Not allowed to manage this beat' }
+  }
+  return { beat: data }
 }
 
 // GET /credits/balance -> { balance, costPerSession, packs, plans }
-app.get('/credits/balance', async (req, res) => {
+app.get('/credits/balance', requireAuth, async (req, res) => {
   try {
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
-    const userId = parseUserId(req)
-    if (!userId) return res.status(401).json({ error: 'Missing user id' })
+    const userId = req.user.id
 
     const row = await ensureCreditsRow(userId)
     const balance = row?.balance ?? 0
@@ -212,11 +247,10 @@ app.get('/credits/balance', async (req, res) => {
 })
 
 // POST /credits/use { amount? } -> deduct credits when starting a session
-app.post('/credits/use', async (req, res) => {
+app.post('/credits/use', requireAuth, async (req, res) => {
   try {
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
-    const userId = parseUserId(req)
-    if (!userId) return res.status(401).json({ error: 'Missing user id' })
+    const userId = req.user.id
 
     const amount = Number.isFinite(req.body?.amount)
       ? Math.floor(req.body.amount)
@@ -253,13 +287,14 @@ app.post('/credits/use', async (req, res) => {
   }
 })
 
-// POST /credits/add { packId?, credits?, reason?, source?, meta? }
-// Intended to be called after successful payment / purchase webhook.
-app.post('/credits/add', async (req, res) => {
+// POST /credits/add { userId, packId?, credits?, reason?, source?, meta? }
+// Called by the payment / purchase webhook (x-service-key) once a credit
+// purchase has gone through; staff grants use /admin/recording-lab/credits/add.
+app.post('/credits/add', requireServiceKey, async (req, res) => {
   try {
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
-    const userId = req.body?.userId || parseUserId(req)
-    if (!userId) return res.status(401).json({ error: 'Missing user id' })
+    const userId = req.body?.userId
+    if (!userId) return res.status(400).json({ error: 'userId required' })
 
     let creditsToAdd = 0
     let source = req.body?.source || 'purchase'
@@ -308,8 +343,9 @@ app.post('/credits/add', async (req, res) => {
 })
 
 // POST /subscriptions/sync { userId, planId }
-// Called by billing webhook or cron on renewal; resets monthly credits.
-app.post('/subscriptions/sync', async (req, res) => {
+// Called by the billing webhook or cron (x-service-key) on renewal; resets
+// monthly credits.
+app.post('/subscriptions/sync', requireServiceKey, async (req, res) => {
   try {
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
     const userId = req.body?.userId
@@ -353,18 +389,38 @@ app.post('/subscriptions/sync', async (req, res) => {
   }
 })
 
+// Browser uploads that go straight to S3, by `folder`. Beat files use
+// /beats/upload-beat or the resumable /beats/uploads instead.
+const DIRECT_UPLOAD_FOLDERS = { takes: 'take', covers: 'cover' }
+
 // Request a presigned URL for uploading a file
-// Body: { filename: string, contentType: string, folder?: string }
-app.post('/api/upload-url', async (req, res) => {
+// Body: { filename: string, contentType: string, size: number, folder?: 'takes' | 'covers' }
+// The URL only accepts that exact size and content type.
+app.post('/api/upload-url', requireAuth, async (req, res) => {
   try {
-    const { filename, contentType, folder } = req.body || {}
-    if (!filename || !contentType) {
-      return res.status(400).json({ error: 'filename and contentType required' })
-    }
-    const safeName = filename.replace(/[^a-zA-Z0-9._-]/g, '_')
-    const key = `${folder ? folder + '/' : ''}${Date.now()}-${safeName}`
-    const command = new PutObjectCommand({ Bucket: BUCKET, Key: key, ContentType: contentType })
-    const url = await getSignedUrl(s3, command, { expiresIn: 60 })
+    const { filename, contentType, size, folder = 'takes' } = req.body || {}
+    if (!filename || !contentType || !size) {
+      return res.status(400).json({ error: 'filename, contentType and size required' })
+    }
+    const kind = DIRECT_UPLOAD_FOLDERS[folder]
+    if (!kind) {
+      return res.status(400).json({ error: `folder must be one of: ${Object.keys(DIRECT_UPLOAD_FOLDERS).join(', ')}` })
+    }
+    if (!detectUploadKind({ originalname: filename, mimetype: contentType }, [kind])) {
+      return res.status(415).json({ error: `File must be ${describeKinds([kind])}` })
+    }
+    const contentLength = Number(size)
+    if (!Number.isInteger(contentLength) || contentLength <= 0 || contentLength > UPLOAD_KINDS[kind].maxBytes) {
+      return res.status(413).json({ error: `File exceeds the limit for ${describeKinds([kind])}` })
+    }
+    const key = `${UPLOAD_KINDS[kind].prefix}/${req.user.id}/${Date.now()}-${safeFileName(filename)}`
+    const command = new PutObjectCommand({
+      Bucket: BUCKET,
+      Key: key,
+      ContentType: contentType,
+      ContentLength: contentLength,
+    })
+    const url = await getSignedUrl(s3, command, { expiresIn: 60, signableHeaders: new Set(['content-type']) })
     const publicUrl = `https://${BUCKET}.s3.${REGION}.amazonaws.com/${key}`
     res.json({ uploadUrl: url, key, publicUrl })
   } catch (err) {
@@ -373,33 +429,15 @@ app.post('/api/upload-url', async (req, res) => {
   }
 })
 
-// Helper: extract S3 object key from a public URL we generated
-const extractS3KeyFromUrl = (url) => {
-  if (!url || typeof url !== 'string') return null
-  try {
-    const trimmed = url.trim()
-    // Expect pattern like: https://<bucket>.s3.<region>.amazonaws.com/<key>
-    const idx = trimmed.indexOf('.amazonaws.com/')
-    if (idx === -1) return null
-    const pathStart = trimmed.indexOf('/', idx + '.amazonaws.com'.length + 1)
-    if (pathStart === -1 || pathStart >= trimmed.length - 1) return null
-    const key = trimmed.slice(pathStart + 1)
-    return decodeURIComponent(key)
-  } catch {
-    return null
-  }
-}
-
 // POST /studio-sessions/:id/delete
 // Deletes a studio session row and attempts to remove any S3-hosted vocal takes
 // associated with that session's state.
-app.post('/studio-sessions/:id/delete', async (req, res) => {
+app.post('/studio-sessions/:id/delete', requireAuth, async (req, res) => {
   try {
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
     if (!s3 || !BUCKET) return res.status(500).json({ error: 'S3 not configured' })
 
-    const userId = parseUserId(req)
-    if (!userId) return res.status(401).json({ error: 'Missing user id' })
+    const userId = req.user.id
 
     const sessionId = req.params.id
     if (!sessionId) return res.status(400).json({ error: 'Missing session id' })
@@ -419,24 +457,7 @@ app.post('/studio-sessions/:id/delete', async (req, res) => {
       return res.status(403).json({ error: 'Not allowed to delete this session' })
     }
 
-    const state = session.state || {}
-    const urls = []
-    if (Array.isArray(state.vocalTracks)) {
-      for (const t of state.vocalTracks) {
-        const clipUrl = t?.clip?.url
-        if (clipUrl && typeof clipUrl === 'string' && clipUrl.includes('.amazonaws.com/')) {
-          urls.push(clipUrl)
-        }
-      }
-    }
-
-    const keys = Array.from(
-      new Set(
-        urls
-          .map((u) => extractS3KeyFromUrl(u))
-          .filter((k) => !!k),
-      ),
-    )
+    const keys = collectSessionTakeKeys(session.state || {})
 
     const deletedKeys = []
     for (const key of keys) {
@@ -561,11 +582,14 @@ app.get('/api/youtube-feed', async (req, res) => {
 //   amount,
 //   buyerName?,
 //   producerName?,
-//   orderId?
+//   orderId?,
+//   saleId?      // required for Exclusive: the caller's sale of the beat
 // }
-app.post('/api/generate-license', async (req, res) => {
+// For Exclusive the beat title and amount come from the sale, which must
+// itself be an Exclusive sale.
+app.post('/api/generate-license', requireAuth, async (req, res) => {
   try {
-    const {
+    let {
       beatTitle,
       license,
       buyerEmail,
@@ -573,10 +597,41 @@ app.post('/api/generate-license', async (req, res) => {
       buyerName,
       producerName,
       orderId,
+      saleId,
     } = req.body || {}
-    if (!beatTitle || !license || !buyerEmail || !amount) {
+    const exclusive = normalizeLicenseTier(license) === 'Exclusive'
+    if ((!beatTitle && !exclusive) || !license || !buyerEmail || (!amount && !exclusive)) {
       return res.status(400).json({ error: 'Missing fields' })
     }
+    // Only one buyer may hold Exclusive Rights; the certificate is only
+    // issued to the sale that claims them.
+    if (exclusive) {
+      if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+      if (!saleId) return res.status(400).json({ error: 'saleId is required for an Exclusive license' })
+      const { data: sale, error: saleErr } = await supabase
+        .from('sales')
+        .select('id,beat_id,buyer_id,license,amount')
+        .eq('id', saleId)
+        .maybeSingle()
+      if (saleErr) return res.status(400).json({ error: saleErr.message })
+      if (!sale || sale.buyer_id !== req.user.id) {
+        return res.status(404).json({ error: 'Sale not found' })
+      }
+      if (normalizeLicenseTier(sale.license) !== 'Exclusive') {
+        return res.status(403).json({ error: 'This sale is not an Exclusive license', code: 'not_exclusive_sale' })
+      }
+      const { data: beat, error: beatErr } = await supabase
+        .from('beats')
+        .select('id,title')
+        .eq('id', sale.beat_id)
+        .maybeSingle()
+      if (beatErr) return res.status(400).json({ error: beatErr.message })
+      if (!beat) return res.status(404).json({ error: 'The beat for this sale no longer exists' })
+      beatTitle = beat.title || 'Untitled Beat'
+      amount = sale.amount ?? amount
+      const claim = await claimExclusiveRights({ beatId: sale.beat_id, saleId: sale.id })
+      if (claim.error) return res.status(claim.status).json({ error: claim.error, code: claim.code })
+    }
     const licenseId = 'lic_' + Date.now()
     // Create PDF in memory
     const doc = new PDFDocument({ margin: 50 })
@@ -643,7 +698,7 @@ app.post('/api/generate-license', async (req, res) => {
 
 // On-demand Producer Agreement PDF
 // Query/body: { producerName, email }
-app.post('/api/producer-agreement', async (req, res) => {
+app.post('/api/producer-agreement', requireAuth, async (req, res) => {
   try {
     const { producerName, email } = req.body || {}
     if (!producerName || !email) {
@@ -817,7 +872,7 @@ app.post('/api/metrics/producer', async (req, res) => {
 // -------- Admin users API (live data for Admin panel) --------
 // Returns a flattened list of Supabase auth users for the AdminUsers screen.
 // Shape: [{ id, email, banned, producer, createdAt, lastSignInAt }]
-app.get('/admin/users', async (req, res) => {
+app.get('/admin/users', requirePermission('users:read'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(500).json({ error: 'Supabase not configured on server' })
   }
@@ -858,10 +913,13 @@ app.get('/admin/users', async (req, res) => {
 
     const users = src.map((u) => {
       const profile = profileMap[u.id] || {}
+      const ban = getActiveBan(u)
       return {
         id: u.id,
         email: u.email,
-        banned: !!u.user_metadata?.banned,
+        banned: !!ban,
+        banReason: ban?.reason || null,
+        bannedUntil: ban?.bannedUntil || null,
         producer: !!u.user_metadata?.producer,
         createdAt: u.created_at || null,
         lastSignInAt: u.last_sign_in_at || null,
@@ -877,8 +935,9 @@ app.get('/admin/users', async (req, res) => {
   }
 })
 
-// Helper: fetch a user and merge user_metadata changes safely
-async function updateUserMetadata(userId, patch) {
+// Helper: fetch a user and merge user_metadata changes safely.
+// `attributes` are passed straight through to updateUserById (e.g. ban_duration).
+async function updateUserMetadata(userId, patch, attributes = {}) {
   const { data, error } = await supabase.auth.admin.getUserById(userId)
   if (error || !data?.user) {
     throw error || new Error('User not found')
@@ -886,31 +945,171 @@ async function updateUserMetadata(userId, patch) {
   const meta = data.user.user_metadata || {}
   const { data: updated, error: updateError } =
     await supabase.auth.admin.updateUserById(userId, {
+      ...attributes,
       user_metadata: { ...meta, ...patch },
     })
   if (updateError) throw updateError
   return updated?.user || data.user
 }
 
-// Mark a user as banned in user_metadata
-app.post('/admin/users/:id/ban', async (req, res) => {
+// Ban a user. Supabase's own ban_duration blocks password and refresh grants;
+// the user_metadata mirror lets the API reject access tokens already issued.
+// Body: { reason?, durationHours? } — omit durationHours for a permanent ban.
+app.post('/admin/users/:id/ban', requirePermission('users:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
       .json({ error: 'Supabase not configured on server' })
   }
   const { id } = req.params
+  const { reason, durationHours } = req.body || {}
+  const hours = durationHours == null ? null : Math.floor(Number(durationHours))
+  if (hours !== null && (!Number.isFinite(hours) || hours <= 0)) {
+    return res.status(400).json({ error: 'durationHours must be a positive number' })
+  }
+  if (id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot ban your own account' })
+  }
   try {
-    const user = await updateUserMetadata(id, { banned: true })
-    res.json({ ok: true, id: user.id, banned: true })
+    const now = new Date()
+    const bannedUntil = hours
+      ? new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString()
+      : null
+
+    const user = await updateUserMetadata(
+      id,
+      { banned: true, ban_reason: reason || null, banned_until: bannedUntil },
+      { ban_duration: hours ? `${hours}h` : '876000h' },
+    )
+
+    const { error: sessionsErr } = await supabase
+      .from('user_sessions')
+      .update({ revoked_at: now.toISOString() })
+      .eq('user_id', id)
+      .is('revoked_at', null)
+    if (sessionsErr) {
+      console.error('[admin/users ban] session revoke error', sessionsErr)
+    }
+
+    const { data: banRow, error: banErr } = await supabase
+      .from('user_bans')
+      .insert({
+        user_id: id,
+        reason: reason || null,
+        banned_by: req.user.id,
+        expires_at: bannedUntil,
+      })
+      .select('*')
+      .single()
+    if (banErr) {
+      console.error('[admin/users ban] record error', banErr)
+    }
+
+    res.json({
+      ok: true,
+      id: user.id,
+      banned: true,
+      reason: reason || null,
+      bannedUntil,
+      ban: banRow || null,
+    })
   } catch (err) {
     console.error('[admin/users ban] error', err)
     res.status(500).json({ error: 'Failed to ban user' })
   }
 })
 
+// Lift any active ban on a user
+app.post('/admin/users/:id/unban', requirePermission('users:manage'), async (req, res) => {
+  if (!supabaseAvailable()) {
+    return res
+      .status(500)
+      .json({ error: 'Supabase not configured on server' })
+  }
+  const { id } = req.params
+  try {
+    const user = await updateUserMetadata(
+      id,
+      { banned: false, ban_reason: null, banned_until: null },
+      { ban_duration: 'none' },
+    )
+
+    const { error: liftErr } = await supabase
+      .from('user_bans')
+      .update({ lifted_at: new Date().toISOString(), lifted_by: req.user.id })
+      .eq('user_id', id)
+      .is('lifted_at', null)
+    if (liftErr) {
+      console.error('[admin/users unban] record error', liftErr)
+    }
+
+    res.json({ ok: true, id: user.id, banned: false })
+  } catch (err) {
+    console.error('[admin/users unban] error', err)
+    res.status(500).json({ error: 'Failed to unban user' })
+  }
+})
+
+// Ban history for a user, newest first
+app.get('/admin/users/:id/bans', requirePermission('users:read'), async (req, res) => {
+  if (!supabaseAvailable()) {
+    return res
+      .status(500)
+      .json({ error: 'Supabase not configured on server' })
+  }
+  const { id } = req.params
+  try {
+    const { data, error } = await supabase
+      .from('user_bans')
+      .select('*')
+      .eq('user_id', id)
+      .order('created_at', { ascending: false })
+    if (error) {
+      console.error('[admin/users bans] list error', error)
+      return res.status(500).json({ error: 'Failed to load ban history' })
+    }
+    res.json({ bans: data || [] })
+  } catch (err) {
+    console.error('[admin/users bans] unexpected', err)
+    res.status(500).json({ error: 'Failed to load ban history' })
+  }
+})
+
+// Assign a role (stored in profiles.role) to a user
+// Body: { role: 'admin' | 'moderator' | 'support_agent' | 'producer' | 'artist' }
+app.post('/admin/users/:id/role', requirePermission('roles:manage'), async (req, res) => {
+  if (!supabaseAvailable()) {
+    return res
+      .status(500)
+      .json({ error: 'Supabase not configured on server' })
+  }
+  const { id } = req.params
+  const role = req.body?.role
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` })
+  }
+  if (id === req.user.id && role !== 'admin') {
+    return res.status(400).json({ error: 'Admins cannot remove their own admin role' })
+  }
+  try {
+    const { data, error } = await supabase
+      .from('profiles')
+      .upsert({ id, role }, { onConflict: 'id' })
+      .select('id, role')
+      .single()
+    if (error) {
+      console.error('[admin/users role] error', error)
+      return res.status(500).json({ error: 'Failed to update role' })
+    }
+    res.json({ ok: true, id: data.id, role: data.role })
+  } catch (err) {
+    console.error('[admin/users role] unexpected', err)
+    res.status(500).json({ error: 'Failed to update role' })
+  }
+})
+
 // Flag a user as a producer in user_metadata
-app.post('/admin/users/:id/producer', async (req, res) => {
+app.post('/admin/users/:id/producer', requirePermission('users:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -927,7 +1126,7 @@ app.post('/admin/users/:id/producer', async (req, res) => {
 })
 
 // Trigger a Supabase password recovery email for the user
-app.post('/admin/users/:id/reset-password', async (req, res) => {
+app.post('/admin/users/:id/reset-password', requirePermission('users:reset-password'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -941,7 +1140,7 @@ app.post('/admin/users/:id/reset-password', async (req, res) => {
       return res.status(404).json({ error: 'User not found' })
     }
     const email = data.user.email
-    const { error: linkError } = await supabase.auth.admin.generateLink({
+    const { data: linkData, error: linkError } = await supabase.auth.admin.generateLink({
       type: 'recovery',
       email,
     })
@@ -949,7 +1148,23 @@ app.post('/admin/users/:id/reset-password', async (req, res) => {
       console.error('[admin/users reset] generateLink error', linkError)
       return res.status(500).json({ error: 'Failed to trigger reset email' })
     }
-    res.json({ ok: true })
+    if (!transporter) {
+      return res.status(503).json({ error: 'Email not configured on server' })
+    }
+    const tokenHash = encodeURIComponent(linkData.properties.hashed_token)
+    const { subject, text, html } = buildPasswordResetEmail({
+      toEmail: email,
+      displayName: data.user.user_metadata?.fullName || null,
+      actionUrl: `${WEB_BASE_URL}/reset-password?token_hash=${tokenHash}&type=recovery`,
+    })
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || 'no-reply@riddimbasesound.com',
+      to: email,
+      subject,
+      text,
+      html,
+    })
+    res.json({ ok: true, sent: true })
   } catch (err) {
     console.error('[admin/users reset] unexpected error', err)
     res.status(500).json({ error: 'Failed to reset password' })
@@ -957,7 +1172,7 @@ app.post('/admin/users/:id/reset-password', async (req, res) => {
 })
 
 // -------- Admin beats moderation API (Supabase beats table) --------
-app.post('/admin/beats/:id/hide', async (req, res) => {
+app.post('/admin/beats/:id/hide', requirePermission('beats:moderate'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -982,7 +1197,7 @@ app.post('/admin/beats/:id/hide', async (req, res) => {
   }
 })
 
-app.post('/admin/beats/:id/flag', async (req, res) => {
+app.post('/admin/beats/:id/flag', requirePermission('beats:moderate'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -1007,7 +1222,7 @@ app.post('/admin/beats/:id/flag', async (req, res) => {
   }
 })
 
-app.delete('/admin/beats/:id', async (req, res) => {
+app.delete('/admin/beats/:id', requirePermission('beats:moderate'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -1015,20 +1230,147 @@ app.delete('/admin/beats/:id', async (req, res) => {
   }
   const { id } = req.params
   try {
+    const { data: beat, error: loadErr } = await supabase
+      .from('beats')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle()
+    if (loadErr) {
+      console.error('[admin/beats delete] load error', loadErr)
+      return res.status(500).json({ error: 'Failed to delete beat' })
+    }
+    if (!beat) return res.status(404).json({ error: 'Beat not found' })
+    // Collect the beat's files before the row (and its beat_assets) go away.
+    const keys = collectBeatS3Keys(beat, await listBeatAssets(id))
+
+    await supabase.from('boosted_beats').delete().eq('beat_id', id)
+    await supabase.from('collaborators').delete().eq('beat_id', id)
     const { error } = await supabase.from('beats').delete().eq('id', id)
     if (error) {
       console.error('[admin/beats delete] error', error)
       return res.status(500).json({ error: 'Failed to delete beat' })
     }
-    res.json({ ok: true })
+    const removedFiles = BUCKET ? await deleteS3Objects({ s3, bucket: BUCKET, keys }) : 0
+    res.json({ ok: true, removedFiles })
   } catch (err) {
     console.error('[admin/beats delete] unexpected', err)
     res.status(500).json({ error: 'Failed to delete beat' })
   }
 })
 
+// -------- Admin duplicate reports (audioFingerprint.js) --------
+// Query: { status?: 'open' | 'resolved' } (default open)
+app.get('/admin/duplicates', requirePermission('beats:moderate'), async (req, res) => {
+  if (!supabaseAvailable()) {
+    return res
+      .status(500)
+      .json({ error: 'Supabase not configured on server' })
+  }
+  try {
+    const status = req.query.status === 'resolved' ? 'resolved' : 'open'
+    const beatColumns = 'id, title, producer, user_id, created_at, flagged, hidden, audio_url, preview_url'
+    const { data, error } = await supabase
+      .from('duplicate_reports')
+      .select(
+        `*, beat:beats!duplicate_reports_beat_id_fkey(${beatColumns}), matched_beat:beats!duplicate_reports_matched_beat_id_fkey(${beatColumns})`,
+      )
+      .eq('status', status)
+      .order('created_at', { ascending: status === 'open' })
+      .limit(200)
+    if (error) {
+      console.error('[admin/duplicates] select error', error)
+      return res.status(500).json({ error: 'Failed to load duplicate reports' })
+    }
+    res.json({ items: data || [] })
+  } catch (err) {
+    console.error('[admin/duplicates] unexpected', err)
+    res.status(500).json({ error: 'Failed to load duplicate reports' })
+  }
+})
+
+// Body: { resolution: 'not_duplicate' | 'upload_is_copy' | 'original_is_copy', notes? }
+// not_duplicate     the flagged upload goes live (once no other report is open)
+// upload_is_copy    the upload stays hidden; the matched beat's owner owns it
+// original_is_copy  ownership dispute won by the uploader: the matched beat
+//                   is hidden and the upload goes live
+app.post('/admin/duplicates/:id/resolve', requirePermission('beats:moderate'), async (req, res) => {
+  if (!supabaseAvailable()) {
+    return res
+      .status(500)
+      .json({ error: 'Supabase not configured on server' })
+  }
+  const { resolution, notes } = req.body || {}
+  if (!DUPLICATE_RESOLUTIONS.includes(resolution)) {
+    return res.status(400).json({ error: `resolution must be one of: ${DUPLICATE_RESOLUTIONS.join(', ')}` })
+  }
+  try {
+    const { data: report, error: loadErr } = await supabase
+      .from('duplicate_reports')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle()
+    if (loadErr) {
+      console.error('[admin/duplicates resolve] load error', loadErr)
+      return res.status(500).json({ error: 'Failed to resolve report' })
+    }
+    if (!report) return res.status(404).json({ error: 'Report not found' })
+    if (report.status !== 'open') return res.status(409).json({ error: 'Report is already resolved' })
+
+    const { data: matched } = await supabase
+      .from('beats')
+      .select('id, user_id')
+      .eq('id', report.matched_beat_id)
+      .maybeSingle()
+    const rightfulOwnerId = {
+      not_duplicate: null,
+      upload_is_copy: matched?.user_id ?? null,
+      original_is_copy: report.user_id,
+    }[resolution]
+
+    // Conditional on status so two moderators can't resolve the same report.
+    const { data: resolved, error } = await supabase
+      .from('duplicate_reports')
+      .update({
+        status: 'resolved',
+        resolution,
+        rightful_owner_id: rightfulOwnerId,
+        notes: notes || null,
+        resolved_by: req.user.id,
+        resolved_at: new Date().toISOString(),
+      })
+      .eq('id', report.id)
+      .eq('status', 'open')
+      .select('*')
+      .maybeSingle()
+    if (error) {
+      console.error('[admin/duplicates resolve] error', error)
+      return res.status(500).json({ error: 'Failed to resolve report' })
+    }
+    if (!resolved) return res.status(409).json({ error: 'Report is already resolved' })
+
+    if (resolution === 'upload_is_copy') {
+      await supabase.from('beats').update({ hidden: true }).eq('id', report.beat_id)
+    } else {
+      if (resolution === 'original_is_copy') {
+        await supabase.from('beats').update({ hidden: true }).eq('id', report.matched_beat_id)
+      }
+      const { count } = await supabase
+        .from('duplicate_reports')
+        .select('id', { count: 'exact', head: true })
+        .eq('beat_id', report.beat_id)
+        .eq('status', 'open')
+      if (!count) await supabase.from('beats').update({ flagged: false }).eq('id', report.beat_id)
+    }
+
+    res.json({ ok: true, report: resolved })
+  } catch (err) {
+    console.error('[admin/duplicates resolve] unexpected', err)
+    res.status(500).json({ error: 'Failed to resolve report' })
+  }
+})
+
 // -------- Admin dashboard metrics (global counts) --------
-app.get('/admin/metrics', async (req, res) => {
+app.get('/admin/metrics', requirePermission('metrics:read'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -1200,7 +1542,7 @@ app.get('/admin/metrics', async (req, res) => {
 //   sessionsCompleted: number,
 //   avgCreditsPerSession: number
 // }
-app.get('/admin/recording-lab', async (req, res) => {
+app.get('/admin/recording-lab', requirePermission('metrics:read'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -1256,7 +1598,7 @@ app.get('/admin/recording-lab', async (req, res) => {
 
 // Per-user Recording Lab admin view: balance + recent transactions
 // GET /admin/recording-lab/user/:id -> { user, balance, transactions[] }
-app.get('/admin/recording-lab/user/:id', async (req, res) => {
+app.get('/admin/recording-lab/user/:id', requirePermission('credits:read'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -1311,7 +1653,7 @@ app.get('/admin/recording-lab/user/:id', async (req, res) => {
 // Admin-only manual credit grant
 // POST /admin/recording-lab/credits/add
 // Body: { userId, amount, reason? }
-app.post('/admin/recording-lab/credits/add', async (req, res) => {
+app.post('/admin/recording-lab/credits/add', requirePermission('credits:grant'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -1407,10 +1749,16 @@ app.get('/api/boosted', async (req, res) => {
   }
   try {
     const now = new Date().toISOString()
-    const { data, error } = await supabase
+    let query = supabase
       .from('boosted_beats')
       .select('id, beat_id, producer_id, tier, starts_at, expires_at, priority_score, created_at')
       .gt('expires_at', now)
+    // Banned producers' beats drop out of public listings while the ban lasts.
+    const bannedIds = await listBannedUserIds()
+    if (bannedIds.length) {
+      query = query.not('producer_id', 'in', `(${bannedIds.join(',')})`)
+    }
+    const { data, error } = await query
       .order('priority_score', { ascending: false })
       .order('starts_at', { ascending: false })
       .limit(200)
@@ -1427,8 +1775,8 @@ app.get('/api/boosted', async (req, res) => {
   }
 })
 
-// Admin view of active boosts (can be extended with auth later)
-app.get('/api/admin/boosts', async (req, res) => {
+// Admin view of active boosts
+app.get('/api/admin/boosts', requirePermission('boosts:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(200).json({ active: 0, items: [] })
   }
@@ -1455,15 +1803,24 @@ app.get('/api/admin/boosts', async (req, res) => {
 })
 
 // Create a new boosted beat (server-side Supabase insert)
-app.post('/boosts/create', async (req, res) => {
+app.post('/boosts/create', requireAuth, async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(500).json({ error: 'Boosts not available (Supabase missing)' })
   }
   try {
-    const { beat_id, producer_id, days, paypal_order_id } = req.body || {}
-    if (!beat_id || !producer_id || !days) {
-      return res.status(400).json({ error: 'beat_id, producer_id and days are required' })
+    const { beat_id, days, paypal_order_id } = req.body || {}
+    if (!beat_id || !days) {
+      return res.status(400).json({ error: 'beat_id and days are required' })
+    }
+    const owned = await loadOwnedBeat(beat_id, req.user.id)
+    if (!owned.beat) return res.status(owned.status).json({ error: owned.error })
+    if (owned.beat.sold_exclusive) {
+      return res.status(409).json({ error: 'Beats sold with Exclusive Rights cannot be boosted', code: 'exclusive_sold' })
     }
+    if (owned.beat.visibility !== 'public') {
+      return res.status(409).json({ error: 'Only public beats can be boosted', code: 'not_public' })
+    }
+    const producer_id = req.user.id
 
     const now = new Date()
     const expires = new Date(now.getTime() + Number(days) * 24 * 60 * 60 * 1000)
@@ -1501,9 +1858,22 @@ app.post('/boosts/create', async (req, res) => {
   }
 })
 
+// The job as seen by the client who posted it (job_requests.user_id), or
+// null when it doesn't exist or belongs to someone else.
+const loadOwnJob = async (jobId, userId) => {
+  const { data: job, error } = await supabase
+    .from('job_requests')
+    .select('id, user_id, assigned_provider_id')
+    .eq('id', jobId)
+    .maybeSingle()
+  if (error) throw error
+  return job && job.user_id === userId ? job : null
+}
+
 // Record a completed job payment (PayPal order) and optionally persist metadata.
+// Only the client who posted the job can record its payment.
 // Body: { orderId: string, amount?: number, currency?: string }
-app.post('/api/jobs/:jobId/pay', async (req, res) => {
+app.post('/api/jobs/:jobId/pay', requireAuth, async (req, res) => {
   const { jobId } = req.params || {}
   const { orderId, amount, currency } = req.body || {}
   if (!jobId || !orderId) {
@@ -1514,6 +1884,7 @@ app.post('/api/jobs/:jobId/pay', async (req, res) => {
     return res.status(200).json({ ok: true, stored: false })
   }
   try {
+    if (!(await loadOwnJob(jobId, req.user.id))) return res.status(404).json({ error: 'Job not found' })
     // Optional: store job payments in a dedicated table.
     // You can create a table:
     // create table if not exists public.job_payments (
@@ -1542,8 +1913,10 @@ app.post('/api/jobs/:jobId/pay', async (req, res) => {
 })
 
 // Credit provider earnings when escrow is released.
-// This is called after the client sets job_escrow.released=true.
-app.post('/api/jobs/:jobId/release', async (req, res) => {
+// This is called by the job's client after they set job_escrow.released=true.
+// The escrow is credited once; repeat calls answer credited: false.
+// alter table public.job_escrow add column if not exists provider_credited_at timestamptz;
+app.post('/api/jobs/:jobId/release', requireAuth, async (req, res) => {
   const { jobId } = req.params || {}
   if (!jobId) return res.status(400).json({ error: 'jobId required' })
   if (!supabaseAvailable()) {
@@ -1551,12 +1924,14 @@ app.post('/api/jobs/:jobId/release', async (req, res) => {
     return res.status(200).json({ ok: true, credited: false })
   }
   try {
-    const { data: job, error: jobErr } = await supabase
-      .from('job_requests')
-      .select('id, assigned_provider_id')
-      .eq('id', jobId)
-      .maybeSingle()
-    if (jobErr) return res.status(500).json({ error: 'Failed to load job' })
+    let job
+    try {
+      job = await loadOwnJob(jobId, req.user.id)
+    } catch (jobErr) {
+      console.error('[job-release] job lookup error', jobErr)
+      return res.status(500).json({ error: 'Failed to load job' })
+    }
+    if (!job) return res.status(404).json({ error: 'Job not found' })
     const providerId = job?.assigned_provider_id || null
     if (!providerId) {
       return res.status(200).json({ ok: true, credited: false, reason: 'No assigned provider' })
@@ -1578,6 +1953,16 @@ app.post('/api/jobs/:jobId/release', async (req, res) => {
     const net = Math.max(0, Number((gross * (1 - feeRate)).toFixed(2)))
     if (net <= 0) return res.status(200).json({ ok: true, credited: false, net })
 
+    const { data: claimed, error: claimErr } = await supabase
+      .from('job_escrow')
+      .update({ provider_credited_at: new Date().toISOString() })
+      .eq('job_id', jobId)
+      .is('provider_credited_at', null)
+      .select('job_id')
+      .maybeSingle()
+    if (claimErr) return res.status(500).json({ error: 'Failed to update escrow' })
+    if (!claimed) return res.status(200).json({ ok: true, credited: false, reason: 'Already credited' })
+
     const { data: wallet } = await supabase
       .from('user_wallet')
       .select('user_id,balance')
@@ -1596,7 +1981,7 @@ app.post('/api/jobs/:jobId/release', async (req, res) => {
 })
 
 // Pause a boost early by expiring it now
-app.post('/api/admin/boosts/:id/pause', async (req, res) => {
+app.post('/api/admin/boosts/:id/pause', requirePermission('boosts:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(503).json({ error: 'Boost service unavailable' })
   }
@@ -1622,7 +2007,7 @@ app.post('/api/admin/boosts/:id/pause', async (req, res) => {
 })
 
 // Delete a boost record
-app.delete('/api/admin/boosts/:id', async (req, res) => {
+app.delete('/api/admin/boosts/:id', requirePermission('boosts:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(503).json({ error: 'Boost service unavailable' })
   }
@@ -1645,17 +2030,26 @@ app.delete('/api/admin/boosts/:id', async (req, res) => {
 })
 
 // Activate or extend a boost after successful payment
-// Body: { beatId, producerId, tier }
-app.post('/api/boosts/activate', async (req, res) => {
+// Body: { beatId, tier }
+app.post('/api/boosts/activate', requireAuth, async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(503).json({ error: 'Boost service unavailable' })
   }
   try {
-    const { beatId, producerId, tier } = req.body || {}
+    const { beatId, tier } = req.body || {}
     const numericTier = Number(tier)
-    if (!beatId || !producerId || !numericTier || ![1, 2, 3].includes(numericTier)) {
-      return res.status(400).json({ error: 'beatId, producerId and valid tier (1-3) are required' })
+    if (!beatId || !numericTier || ![1, 2, 3].includes(numericTier)) {
+      return res.status(400).json({ error: 'beatId and valid tier (1-3) are required' })
     }
+    const owned = await loadOwnedBeat(beatId, req.user.id)
+    if (!owned.beat) return res.status(owned.status).json({ error: owned.error })
+    if (owned.beat.sold_exclusive) {
+      return res.status(409).json({ error: 'Beats sold with Exclusive Rights cannot be boosted', code: 'exclusive_sold' })
+    }
+    if (owned.beat.visibility !== 'public') {
+      return res.status(409).json({ error: 'Only public beats can be boosted', code: 'not_public' })
+    }
+    const producerId = req.user.id
 
     const boostLengthDays = {
       1: 3,
@@ -1713,14 +2107,34 @@ app.post('/api/boosts/activate', async (req, res) => {
   }
 })
 
+// Helper: load a boost and confirm the caller is the producer who bought it.
+const loadOwnedBoost = async (boostId, userId) => {
+  const { data, error } = await supabase
+    .from('boosted_beats')
+    .select('id,producer_id')
+    .eq('id', boostId)
+    .maybeSingle()
+  if (error) {
+    console.error('[boosts] ownership lookup error', error)
+    return { status: 500, error: 'Failed to load boost' }
+  }
+  if (!data) return { status: 404, error: 'Boost not found' }
+  if (data.producer_id !== userId) {
+    return { status: 403, error: 'Not allowed to manage this boost' }
+  }
+  return { boost: data }
+}
+
 // User-facing: pause a boost (expires it immediately)
-app.post('/api/boosts/:id/pause', async (req, res) => {
+app.post('/api/boosts/:id/pause', requireAuth, async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(503).json({ error: 'Boost service unavailable' })
   }
   const { id } = req.params
   if (!id) return res.status(400).json({ error: 'id is required' })
   try {
+    const owned = await loadOwnedBoost(id, req.user.id)
+    if (!owned.boost) return res.status(owned.status).json({ error: owned.error })
     const now = new Date().toISOString()
     const { data, error } = await supabase
       .from('boosted_beats')
@@ -1740,13 +2154,15 @@ app.post('/api/boosts/:id/pause', async (req, res) => {
 })
 
 // User-facing: delete a boost record
-app.delete('/api/boosts/:id', async (req, res) => {
+app.delete('/api/boosts/:id', requireAuth, async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(503).json({ error: 'Boost service unavailable' })
   }
   const { id } = req.params
   if (!id) return res.status(400).json({ error: 'id is required' })
   try {
+    const owned = await loadOwnedBoost(id, req.user.id)
+    if (!owned.boost) return res.status(owned.status).json({ error: owned.error })
     const { error } = await supabase
       .from('boosted_beats')
       .delete()
@@ -1763,15 +2179,16 @@ app.delete('/api/boosts/:id', async (req, res) => {
 })
 
 // Manually activate a subscription record after PayPal approve flow.
-// Body: { userId, planId, providerSubscriptionId, billingCycle? }
-app.post('/api/subscriptions/activate', async (req, res) => {
+// Body: { planId, providerSubscriptionId, billingCycle? }
+app.post('/api/subscriptions/activate', requireAuth, async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(503).json({ error: 'Supabase unavailable' })
   }
   try {
-    const { userId, planId, providerSubscriptionId, billingCycle } = req.body || {}
-    if (!userId || !planId || !providerSubscriptionId) {
-      return res.status(400).json({ error: 'userId, planId and providerSubscriptionId required' })
+    const { planId, providerSubscriptionId, billingCycle } = req.body || {}
+    const userId = req.user.id
+    if (!planId || !providerSubscriptionId) {
+      return res.status(400).json({ error: 'planId and providerSubscriptionId required' })
     }
     const currentPeriodEnd = computeSubscriptionPeriodEnd(planId)
     const payload = {
@@ -2013,7 +2430,7 @@ app.get('/api/site/social-links', async (req, res) => {
   }
 })
 
-app.put('/api/site/social-links', async (req, res) => {
+app.put('/api/site/social-links', requirePermission('site:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(500).json({ error: 'Supabase not configured on server' })
   }
@@ -2103,7 +2520,7 @@ app.get('/api/site/footer-links', async (req, res) => {
   }
 })
 
-app.put('/api/site/footer-links', async (req, res) => {
+app.put('/api/site/footer-links', requirePermission('site:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(500).json({ error: 'Supabase not configured on server' })
   }
@@ -2186,7 +2603,7 @@ app.get('/api/site/banners', async (req, res) => {
 
 // Create a new banner entry after the file has been uploaded to S3.
 // Body: { dataUrl, kind?, contentType? }
-app.post('/api/site/banners', async (req, res) => {
+app.post('/api/site/banners', requirePermission('site:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(500).json({ error: 'Supabase not configured on server' })
   }
@@ -2229,7 +2646,7 @@ app.post('/api/site/banners', async (req, res) => {
 })
 
 // Set one banner active and all others inactive.
-app.put('/api/site/banners/:id/active', async (req, res) => {
+app.put('/api/site/banners/:id/active', requirePermission('site:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(500).json({ error: 'Supabase not configured on server' })
   }
@@ -2285,7 +2702,7 @@ app.put('/api/site/banners/:id/active', async (req, res) => {
 })
 
 // Delete a banner
-app.delete('/api/site/banners/:id', async (req, res) => {
+app.delete('/api/site/banners/:id', requirePermission('site:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(500).json({ error: 'Supabase not configured on server' })
   }
@@ -2365,7 +2782,7 @@ app.get('/api/site/banner-content', async (req, res) => {
   }
 })
 
-app.put('/api/site/banner-content', async (req, res) => {
+app.put('/api/site/banner-content', requirePermission('site:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res.status(500).json({ error: 'Supabase not configured on server' })
   }
@@ -2422,7 +2839,8 @@ app.put('/api/site/banner-content', async (req, res) => {
 // -------- Public + admin support tickets (server-side Supabase, bypassing RLS) --------
 
 // Public endpoint to create support tickets using the service-role Supabase client.
-app.post('/support-tickets', async (req, res) => {
+// Signed-in callers have the ticket attributed to their account.
+app.post('/support-tickets', optionalAuth, async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -2436,7 +2854,6 @@ app.post('/support-tickets', async (req, res) => {
       priority,
       contactEmail,
       contactPhone,
-      userId,
       assignedTo,
     } = req.body || {}
 
@@ -2454,7 +2871,7 @@ app.post('/support-tickets', async (req, res) => {
       priority: priority || 'normal',
       contact_email: contactEmail,
       contact_phone: contactPhone || null,
-      created_by: userId || null,
+      created_by: req.user?.id || null,
       assigned_to: assignedTo || null,
       status: 'open',
     }
@@ -2483,7 +2900,7 @@ app.post('/support-tickets', async (req, res) => {
   }
 })
 
-app.get('/admin/support-tickets', async (req, res) => {
+app.get('/admin/support-tickets', requirePermission('support:read'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -2512,7 +2929,7 @@ app.get('/admin/support-tickets', async (req, res) => {
 })
 
 // Admin: list support agents
-app.get('/admin/support-agents', async (req, res) => {
+app.get('/admin/support-agents', requirePermission('support:read'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -2542,7 +2959,7 @@ app.get('/admin/support-agents', async (req, res) => {
 })
 
 // Admin: create support agent via service-role Supabase
-app.post('/admin/support-agents', async (req, res) => {
+app.post('/admin/support-agents', requirePermission('support:manage'), async (req, res) => {
   if (!supabaseAvailable()) {
     return res
       .status(500)
@@ -2611,4 +3028,8 @@ app.post('/admin/support-agents', async (req, res) => {
   }
 })
 
-app.listen(PORT, () => console.log(`[s3-server] listening on ${PORT}`))
+app.listen(PORT, () => {
+  console.log(`[s3-server] listening on ${PORT}`)
+  recoverImportJobs()
+  startReleaseScheduler()
+})
@@ -47,3 +47,18 @@ export const DEFAULT_TERMS = [
   'Reselling, leasing, or redistributing the beat as a standalone file is prohibited.',
   'All licenses require proper producer credit on releases and metadata.'
 ]
+
+// Files a buyer receives per license tier (matches the "Delivery formats"
+// line of LICENSE_TERMS above).
+export const LICENSE_DELIVERABLES = {
+  Basic: ['mp3'],
+  Premium: ['mp3', 'wav'],
+  Unlimited: ['mp3', 'wav', 'stems'],
+  Exclusive: ['mp3', 'wav', 'stems'],
+}
+
+// Sales store the tier name as entered at checkout; match it case-insensitively.
+export const normalizeLicenseTier = (value) =>
+  Object.keys(LICENSE_DELIVERABLES).find(
+    (tier) => tier.toLowerCase() === String(value || '').trim().toLowerCase(),
+  ) || null
@@ -0,0 +1,191 @@
+// Seeds the default taxonomy (taxonomy.js) and moves the free-text
+// beats.genre values onto it: "dance hall", "Dancehall" and "DANCEHALL" all
+// become the Dancehall genre term, a genre that is really a subgenre
+// ("riddim") becomes that subgenre plus its parent genre. Genres that match
+// no term are listed at the end; --create-missing adds them as new genres
+// (named after their most common spelling) before migrating. --dry-run
+// writes nothing, not even the default terms.
+// Usage: npm run migrate:genres -- [--dry-run] [--create-missing]
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { DEFAULT_TAXONOMY, buildTaxonomy, findTerm, loadTaxonomy, slugify, termKey } from './taxonomy.js'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('[migrateGenres] SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required')
+  process.exit(1)
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey, {
+  auth: { persistSession: false },
+})
+
+const BATCH_SIZE = 500
+const dryRun = process.argv.includes('--dry-run')
+const createMissing = process.argv.includes('--create-missing')
+
+// Existing terms (same kind and slug) are left as they are.
+async function seedDefaults() {
+  const seed = async (kind, rows) => {
+    if (!rows.length) return
+    const { error } = await supabase
+      .from('taxonomy_terms')
+      .upsert(rows, { onConflict: 'kind,slug', ignoreDuplicates: true })
+    if (error) throw error
+  }
+  const termRows = (kind, terms, extra = () => ({})) =>
+    terms.map((t, index) => ({
+      kind,
+      slug: slugify(t.name),
+      name: t.name,
+      aliases: t.aliases || [],
+      sort_order: index,
+      ...extra(t),
+    }))
+
+  await seed('genre', termRows('genre', DEFAULT_TAXONOMY.genre))
+  const genres = await loadTaxonomy({ fresh: true })
+  await seed(
+    'subgenre',
+    termRows('subgenre', DEFAULT_TAXONOMY.subgenre, (t) => ({
+      parent_id: findTerm(genres, 'genre', t.parent)?.id || null,
+    })),
+  )
+  await seed('mood', termRows('mood', DEFAULT_TAXONOMY.mood))
+  await seed('instrument', termRows('instrument', DEFAULT_TAXONOMY.instrument))
+}
+
+// What the taxonomy would be after seedDefaults(), without writing it: the
+// stored terms plus any missing defaults, held in memory (for --dry-run).
+async function previewSeededTaxonomy() {
+  const { terms } = await loadTaxonomy({ fresh: true })
+  const merged = [...terms]
+  const find = (kind, name) => merged.find((t) => t.kind === kind && t.slug === slugify(name))
+  for (const kind of ['genre', 'subgenre', 'mood', 'instrument']) {
+    DEFAULT_TAXONOMY[kind].forEach((t, index) => {
+      if (find(kind, t.name)) return
+      merged.push({
+        id: `default:${kind}:${slugify(t.name)}`,
+        kind,
+        slug: slugify(t.name),
+        name: t.name,
+        aliases: t.aliases || [],
+        parent_id: kind === 'subgenre' ? find('genre', t.parent)?.id || null : null,
+        sort_order: index,
+      })
+    })
+  }
+  return buildTaxonomy(merged)
+}
+
+async function forEachBeatWithGenre(fn) {
+  let lastId = null
+  for (;;) {
+    let query = supabase
+      .from('beats')
+      .select('id, genre, terms')
+      .not('genre', 'is', null)
+      .order('id', { ascending: true })
+      .limit(BATCH_SIZE)
+    if (lastId) query = query.gt('id', lastId)
+    const { data: beats, error } = await query
+    if (error) throw error
+    if (!beats?.length) return
+    for (const beat of beats) await fn(beat)
+    lastId = beats[beats.length - 1].id
+  }
+}
+
+// The terms and display genre a free-text genre maps to, or null.
+function mapGenre(taxonomy, beat) {
+  const genre = findTerm(taxonomy, 'genre', beat.genre)
+  const subgenre = genre ? null : findTerm(taxonomy, 'subgenre', beat.genre)
+  const parent = subgenre ? taxonomy.byId.get(subgenre.parent_id) : null
+  const genreTerm = genre || parent
+  if (!genreTerm && !subgenre) return null
+
+  const kept = (beat.terms || []).filter(
+    (t) => !t.startsWith('genre:') && !(subgenre && t.startsWith('subgenre:')),
+  )
+  const terms = [
+    ...(genreTerm ? [`genre:${genreTerm.slug}`] : []),
+    ...(subgenre ? [`subgenre:${subgenre.slug}`] : []),
+    ...kept,
+  ]
+  return { genre: genreTerm?.name || null, terms }
+}
+
+async function run() {
+  let taxonomy
+  if (dryRun) {
+    taxonomy = await previewSeededTaxonomy()
+  } else {
+    await seedDefaults()
+    taxonomy = await loadTaxonomy({ fresh: true })
+  }
+
+  // First pass: which spellings match nothing.
+  const unknown = new Map()
+  await forEachBeatWithGenre((beat) => {
+    if (!String(beat.genre).trim() || mapGenre(taxonomy, beat)) return
+    const key = termKey(beat.genre)
+    const entry = unknown.get(key) || { beats: 0, spellings: new Map() }
+    const spelling = String(beat.genre).trim()
+    entry.beats += 1
+    entry.spellings.set(spelling, (entry.spellings.get(spelling) || 0) + 1)
+    unknown.set(key, entry)
+  })
+
+  if (createMissing && unknown.size && !dryRun) {
+    const rows = Array.from(unknown.values()).map((entry) => {
+      const spellings = Array.from(entry.spellings.entries()).sort((a, b) => b[1] - a[1])
+      const name = spellings[0][0]
+      return { kind: 'genre', slug: slugify(name), name, aliases: spellings.slice(1).map(([s]) => s) }
+    })
+    const { error } = await supabase
+      .from('taxonomy_terms')
+      .upsert(rows, { onConflict: 'kind,slug', ignoreDuplicates: true })
+    if (error) throw error
+    console.log(`[migrateGenres] created ${rows.length} genre(s): ${rows.map((r) => r.name).join(', ')}`)
+    taxonomy = await loadTaxonomy({ fresh: true })
+    unknown.clear()
+  }
+
+  // Second pass: rewrite the beats that map onto a term.
+  let updated = 0
+  let unchanged = 0
+  await forEachBeatWithGenre(async (beat) => {
+    const mapped = mapGenre(taxonomy, beat)
+    if (!mapped) return
+    const same =
+      mapped.genre === beat.genre &&
+      mapped.terms.length === (beat.terms || []).length &&
+      mapped.terms.every((t) => beat.terms.includes(t))
+    if (same) {
+      unchanged += 1
+      return
+    }
+    if (!dryRun) {
+      const { error } = await supabase.from('beats').update(mapped).eq('id', beat.id)
+      if (error) throw error
+    }
+    updated += 1
+  })
+
+  console.log(
+    `[migrateGenres] ${dryRun ? 'would update' : 'updated'} ${updated} beat(s), ${unchanged} already normalized`,
+  )
+  for (const entry of unknown.values()) {
+    const spellings = Array.from(entry.spellings.keys()).map((s) => `"${s}"`).join(', ')
+    console.log(`[migrateGenres] no term for ${spellings} (${entry.beats} beat(s))`)
+  }
+}
+
+run().catch((err) => {
+  console.error('[migrateGenres] fatal error', err)
+  process.exit(1)
+})
@@ -1,6 +1,9 @@
 import express from 'express'
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
+import { requirePermission } from './permissions.js'
+import { requireAuth } from './authMiddleware.js'
+import { TWO_FACTOR_POLICY, requireTwoFactor } from './twoFactor.js'
 
 dotenv.config()
 
@@ -18,18 +21,66 @@ if (supabaseUrl && supabaseServiceKey) {
   console.warn('[payoutRoutes] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
 }
 
-const adminKey = process.env.ADMIN_API_KEY || null
-const assertAdmin = (req, res) => {
-  if (!adminKey) return true
-  const got = req.header('x-admin-key')
-  if (got && got === adminKey) return true
-  res.status(401).json({ error: 'Unauthorized' })
-  return false
-}
+// Payout requests need a 2FA-verified session when REQUIRE_2FA_FOR_PAYOUTS is on.
+const payoutRequestGuards = TWO_FACTOR_POLICY.payouts
+  ? [requireAuth, requireTwoFactor]
+  : [requireAuth]
+
+// Producer-facing: request a withdrawal from the wallet balance.
+// Body: { amount, method?, destination? }
+// The wallet is only debited when an admin approves the payout; pending
+// requests are subtracted from the available balance here. A user has at
+// most one pending request, so two concurrent requests can't both pass the
+// balance check; the second insert hits:
+// create unique index if not exists payouts_one_pending_per_user
+//   on public.payouts (user_id) where status = 'pending';
+router.post('/api/payouts/request', payoutRequestGuards, async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const amount = Number(Number(req.body?.amount || 0).toFixed(2))
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'amount must be greater than zero' })
+    }
+
+    const [{ data: wallet, error: walletErr }, { data: pending, error: pendingErr }] =
+      await Promise.all([
+        supabase.from('user_wallet').select('balance').eq('user_id', req.user.id).maybeSingle(),
+        supabase.from('payouts').select('amount').eq('user_id', req.user.id).eq('status', 'pending'),
+      ])
+    if (walletErr) return res.status(500).json({ error: walletErr.message })
+    if (pendingErr) return res.status(500).json({ error: pendingErr.message })
+
+    const pendingTotal = (pending || []).reduce((sum, p) => sum + Number(p.amount || 0), 0)
+    const available = Number((Number(wallet?.balance || 0) - pendingTotal).toFixed(2))
+    if (amount > available) {
+      return res.status(400).json({ error: 'Amount exceeds available balance', available })
+    }
+
+    const { data, error } = await supabase
+      .from('payouts')
+      .insert({
+        user_id: req.user.id,
+        amount,
+        method: req.body?.method || null,
+        destination: req.body?.destination || null,
+        status: 'pending',
+      })
+      .select('*')
+      .single()
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'You already have a pending payout request', code: 'payout_pending' })
+    }
+    if (error) return res.status(500).json({ error: error.message })
+
+    res.json({ ok: true, payout: data })
+  } catch (e) {
+    console.error('[payoutRoutes] request error', e)
+    res.status(500).json({ error: 'Failed to request payout' })
+  }
+})
 
-router.get('/api/admin/payouts', async (req, res) => {
+router.get('/api/admin/payouts', requirePermission('payouts:manage'), async (req, res) => {
   try {
-    if (!assertAdmin(req, res)) return
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
 
     const { data, error } = await supabase
@@ -45,9 +96,8 @@ router.get('/api/admin/payouts', async (req, res) => {
   }
 })
 
-router.post('/api/admin/payouts/:id/approve', async (req, res) => {
+router.post('/api/admin/payouts/:id/approve', requirePermission('payouts:manage'), async (req, res) => {
   try {
-    if (!assertAdmin(req, res)) return
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
     const id = req.params?.id
     if (!id) return res.status(400).json({ error: 'id required' })
@@ -68,9 +118,8 @@ router.post('/api/admin/payouts/:id/approve', async (req, res) => {
   }
 })
 
-router.post('/api/admin/payouts/:id/deny', async (req, res) => {
+router.post('/api/admin/payouts/:id/deny', requirePermission('payouts:manage'), async (req, res) => {
   try {
-    if (!assertAdmin(req, res)) return
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
     const id = req.params?.id
     if (!id) return res.status(400).json({ error: 'id required' })
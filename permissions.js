@@ -0,0 +1,106 @@
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { requireAuth } from './authMiddleware.js'
+import {
+  TWO_FACTOR_POLICY,
+  isSessionTwoFactorVerified,
+  twoFactorRequiredBody,
+} from './twoFactor.js'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[permissions] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY; admin routes will reject requests')
+}
+
+// Roles live in profiles.role. Anything unrecognised falls back to a plain
+// marketplace role so a typo in the table never grants admin access.
+export const ROLES = ['admin', 'moderator', 'support_agent', 'producer', 'artist']
+
+// Roles that can reach admin routes; covered by the REQUIRE_2FA_FOR_ADMINS policy.
+export const STAFF_ROLES = ['admin', 'moderator', 'support_agent']
+
+const ALL_PERMISSIONS = [
+  'users:read',
+  'users:manage',
+  'users:reset-password',
+  'roles:manage',
+  'beats:moderate',
+  'taxonomy:manage',
+  'metrics:read',
+  'credits:read',
+  'credits:grant',
+  'boosts:manage',
+  'site:manage',
+  'support:read',
+  'support:manage',
+  'payouts:manage',
+]
+
+export const ROLE_PERMISSIONS = {
+  admin: ALL_PERMISSIONS,
+  moderator: ['users:read', 'beats:moderate', 'taxonomy:manage', 'boosts:manage', 'metrics:read', 'support:read'],
+  support_agent: ['users:read', 'users:reset-password', 'credits:read', 'support:read'],
+  producer: [],
+  artist: [],
+}
+
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission)
+
+// Resolve a Supabase auth user's role from their profile row.
+export async function getUserRole(user) {
+  if (!user?.id) return null
+  let profileRole = null
+  if (supabase) {
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('role')
+      .eq('id', user.id)
+      .maybeSingle()
+    if (error) console.error('[permissions] profile role lookup error', error)
+    profileRole = data?.role || null
+  }
+  if (ROLES.includes(profileRole)) return profileRole
+  return user.user_metadata?.producer ? 'producer' : 'artist'
+}
+
+// Route guard: authenticates the caller, resolves their role into req.role
+// and answers 403 naming the missing permission when the role lacks it.
+// Staff sessions must also have passed 2FA when that policy is on.
+// Usage: app.get('/admin/users', requirePermission('users:read'), handler)
+export function requirePermission(permission) {
+  const checkPermission = async (req, res, next) => {
+    try {
+      const role = await getUserRole(req.user)
+      req.role = role
+      if (!hasPermission(role, permission)) {
+        return res.status(403).json({
+          error: `Forbidden: the ${role} role is missing the '${permission}' permission.`,
+          missingPermission: permission,
+          role,
+        })
+      }
+      if (
+        TWO_FACTOR_POLICY.staff &&
+        STAFF_ROLES.includes(role) &&
+        !(await isSessionTwoFactorVerified(req.sessionId))
+      ) {
+        return res.status(403).json(twoFactorRequiredBody)
+      }
+      next()
+    } catch (err) {
+      console.error('[permissions] requirePermission error', err)
+      res.status(500).json({ error: 'Internal server error.' })
+    }
+  }
+  return [requireAuth, checkPermission]
+}
@@ -0,0 +1,80 @@
+// Marketplace preview renditions. The full-quality upload stays under a
+// private prefix; what the player streams is a lower-bitrate MP3, optionally
+// cut short, with the producer's audio tag mixed in at a fixed interval.
+import { spawn } from 'child_process'
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg'
+
+export const PREVIEW_SETTINGS = {
+  bitrate: process.env.PREVIEW_BITRATE || '128k',
+  // 0 keeps the full length.
+  maxSeconds: Number(process.env.PREVIEW_MAX_SECONDS || 0),
+  tagIntervalSeconds: Number(process.env.PREVIEW_TAG_INTERVAL_SECONDS || 30),
+  tagVolume: Number(process.env.PREVIEW_TAG_VOLUME || 1),
+  // S3 key of a platform tag used for producers who haven't uploaded their own.
+  defaultTagKey: process.env.PREVIEW_DEFAULT_TAG_KEY || null,
+}
+
+const MIX_SAMPLE_RATE = 44100
+const FADE_OUT_SECONDS = 3
+
+// originals/123-my-beat.wav -> previews/123-my-beat.mp3
+export const previewKeyFor = (originalKey) =>
+  `previews/${originalKey.split('/').pop().replace(/\.[^.]+$/, '')}.mp3`
+
+const runFfmpeg = (args) =>
+  new Promise((resolve, reject) => {
+    const ffmpeg = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] })
+    let stderr = ''
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr += chunk.toString()
+    })
+    ffmpeg.on('error', reject)
+    ffmpeg.on('close', (code) =>
+      code === 0 ? resolve() : reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`)),
+    )
+  })
+
+// Renders the preview of `sourcePath` to a temp MP3 and resolves to its path;
+// the caller removes it. `tagPath` is optional (no tag, no overlay).
+export async function renderPreview({ sourcePath, tagPath, durationSeconds }) {
+  const { bitrate, maxSeconds, tagIntervalSeconds, tagVolume } = PREVIEW_SETTINGS
+  const outPath = path.join(os.tmpdir(), `riddimbase-preview-${crypto.randomUUID()}.mp3`)
+  const truncate = maxSeconds > 0 && Number(durationSeconds || Infinity) > maxSeconds
+
+  const filters = [`[0:a]aresample=${MIX_SAMPLE_RATE}[beat]`]
+  let mixed = '[beat]'
+  if (tagPath) {
+    // Pad the tag with silence to one interval, then loop it for the whole track.
+    const intervalSamples = Math.round(tagIntervalSeconds * MIX_SAMPLE_RATE)
+    filters.push(
+      `[1:a]aresample=${MIX_SAMPLE_RATE},volume=${tagVolume},apad=whole_dur=${tagIntervalSeconds},aloop=loop=-1:size=${intervalSamples}[tag]`,
+      '[beat][tag]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[mixed]',
+    )
+    mixed = '[mixed]'
+  }
+  if (truncate) {
+    filters.push(
+      `${mixed}afade=t=out:st=${Math.max(0, maxSeconds - FADE_OUT_SECONDS)}:d=${FADE_OUT_SECONDS}[out]`,
+    )
+    mixed = '[out]'
+  }
+
+  const args = ['-v', 'error', '-y', '-i', sourcePath]
+  if (tagPath) args.push('-i', tagPath)
+  args.push('-filter_complex', filters.join(';'), '-map', mixed)
+  if (truncate) args.push('-t', String(maxSeconds))
+  args.push('-ac', '2', '-codec:a', 'libmp3lame', '-b:a', bitrate, '-f', 'mp3', outPath)
+
+  try {
+    await runFfmpeg(args)
+  } catch (err) {
+    await fs.promises.unlink(outPath).catch(() => {})
+    throw err
+  }
+  return outPath
+}
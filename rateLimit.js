@@ -0,0 +1,146 @@
+// Sliding-window rate limiting and progressive login lockout.
+//
+// Both run against a small async store interface so a shared backend (e.g.
+// Redis) can replace the in-memory default when running several instances:
+//   hit(key, windowMs)      -> number of hits for key inside the window, including this one
+//   reset(key)              -> forget all hits for key
+//   get(key) / set(key, value, ttlMs) / delete(key) -> plain values with expiry
+//   entries(prefix)         -> [[key, value]] for unexpired values under prefix
+
+export function createMemoryStore({ sweepIntervalMs = 60 * 1000 } = {}) {
+  const hits = new Map()
+  const values = new Map()
+
+  const sweep = () => {
+    const now = Date.now()
+    for (const [key, entry] of hits) {
+      if (entry.expiresAt <= now) hits.delete(key)
+    }
+    for (const [key, entry] of values) {
+      if (entry.expiresAt <= now) values.delete(key)
+    }
+  }
+  const timer = setInterval(sweep, sweepIntervalMs)
+  timer.unref?.()
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now()
+      const entry = hits.get(key) || { stamps: [], expiresAt: 0 }
+      entry.stamps = entry.stamps.filter((t) => t > now - windowMs)
+      entry.stamps.push(now)
+      entry.expiresAt = now + windowMs
+      hits.set(key, entry)
+      return entry.stamps.length
+    },
+    async reset(key) {
+      hits.delete(key)
+    },
+    async get(key) {
+      const entry = values.get(key)
+      if (!entry || entry.expiresAt <= Date.now()) return null
+      return entry.value
+    },
+    async set(key, value, ttlMs) {
+      values.set(key, { value, expiresAt: Date.now() + ttlMs })
+    },
+    async delete(key) {
+      values.delete(key)
+    },
+    async entries(prefix) {
+      const now = Date.now()
+      return Array.from(values)
+        .filter(([key, entry]) => key.startsWith(prefix) && entry.expiresAt > now)
+        .map(([key, entry]) => [key, entry.value])
+    },
+  }
+}
+
+// X-Forwarded-For is client-controlled; req.ip only honours it for the proxy
+// hops configured with app.set('trust proxy') in index.js.
+export const getRequestIp = (req) => req.ip || req.socket?.remoteAddress || null
+
+// Express middleware factory. keyGenerator returns the bucket for a request
+// (or null to skip limiting); requests over `max` inside `windowMs` get 429.
+export function createRateLimiter({ store, name, windowMs, max, keyGenerator, message }) {
+  return async (req, res, next) => {
+    try {
+      const bucket = keyGenerator(req)
+      if (!bucket) return next()
+      const count = await store.hit(`rl:${name}:${bucket}`, windowMs)
+      if (count > max) {
+        res.set('Retry-After', String(Math.ceil(windowMs / 1000)))
+        return res.status(429).json({
+          error: message || 'Too many requests. Please try again later.',
+          code: 'rate_limited',
+        })
+      }
+      next()
+    } catch (err) {
+      // A broken limiter store should not take login down with it.
+      console.error('[rateLimit] limiter error', err)
+      next()
+    }
+  }
+}
+
+// Progressive lockout per account: every `threshold` failures inside
+// `failureWindowMs` locks the account for the next entry in `durationsMs`,
+// escalating with each lockout until a successful login resets it.
+export function createLoginLockout({
+  store,
+  threshold = 5,
+  failureWindowMs = 15 * 60 * 1000,
+  durationsMs = [5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000, 24 * 60 * 60 * 1000],
+  levelTtlMs = 24 * 60 * 60 * 1000,
+} = {}) {
+  const normalize = (email) => String(email || '').trim().toLowerCase()
+  const failuresKey = (email) => `lockout:failures:${normalize(email)}`
+  const levelKey = (email) => `lockout:level:${normalize(email)}`
+  const lockKey = (email) => `lockout:active:${normalize(email)}`
+
+  return {
+    // Resolves to the active lock record ({ email, lockedUntil, level, ip }) or null.
+    async getLock(email) {
+      return store.get(lockKey(email))
+    },
+
+    // Records a failed login. Resolves to the new lock record when this
+    // failure triggered a lockout, otherwise null.
+    async recordFailure(email, { ip } = {}) {
+      const failures = await store.hit(failuresKey(email), failureWindowMs)
+      if (failures < threshold) return null
+
+      const level = Number((await store.get(levelKey(email))) || 0)
+      const duration = durationsMs[Math.min(level, durationsMs.length - 1)]
+      const lock = {
+        email: normalize(email),
+        level: level + 1,
+        failures,
+        ip: ip || null,
+        lockedAt: new Date().toISOString(),
+        lockedUntil: new Date(Date.now() + duration).toISOString(),
+      }
+      await store.set(lockKey(email), lock, duration)
+      await store.set(levelKey(email), level + 1, levelTtlMs)
+      await store.reset(failuresKey(email))
+      return lock
+    },
+
+    async recordSuccess(email) {
+      await store.reset(failuresKey(email))
+      await store.delete(levelKey(email))
+    },
+
+    async unlock(email) {
+      await store.delete(lockKey(email))
+      await store.reset(failuresKey(email))
+      await store.delete(levelKey(email))
+    },
+
+    async listLocks() {
+      const rows = await store.entries('lockout:active:')
+      return rows.map(([, lock]) => lock)
+    },
+  }
+}
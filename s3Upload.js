@@ -0,0 +1,287 @@
+// Streaming uploads to S3.
+//
+// createS3StreamStorage() is a multer storage engine that pipes each incoming
+// file straight into an S3 multipart Upload, so a 200 MB WAV never sits whole
+// in Node memory (at most partSize * queueSize bytes per file are buffered).
+// Every file is checked against the size/MIME limits of its kind while it
+// streams, and bytes received/stored are recorded for the progress endpoint.
+// Fields listed in `spoolFields` are also copied to a temp file while they
+// stream, so the route can inspect the audio afterwards (file.tempPath); call
+// removeTempFiles() once done with them.
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { Transform } from 'stream'
+import multer from 'multer'
+import { Upload } from '@aws-sdk/lib-storage'
+import { DeleteObjectCommand } from '@aws-sdk/client-s3'
+
+const megabytes = (envName, fallback) => Number(process.env[envName] || fallback) * 1024 * 1024
+
+// Limits per file kind. Sizes can be overridden with UPLOAD_MAX_<KIND>_MB.
+// `prefix` is where the kind is stored. The bucket policy only grants public
+// read on previews/, covers/, takes/ (and the legacy beats/ prefix, whose originals
+// backfillOriginals.js moves to originals/); full-quality originals, stems
+// and producer tags stay private and are served via presigned URLs.
+export const UPLOAD_KINDS = {
+  mp3: {
+    maxBytes: megabytes('UPLOAD_MAX_MP3_MB', 50),
+    mimeTypes: ['audio/mpeg', 'audio/mp3'],
+    extensions: ['.mp3'],
+    prefix: 'originals',
+  },
+  wav: {
+    maxBytes: megabytes('UPLOAD_MAX_WAV_MB', 300),
+    mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+    extensions: ['.wav'],
+    prefix: 'originals',
+  },
+  stems: {
+    maxBytes: megabytes('UPLOAD_MAX_STEMS_MB', 2048),
+    mimeTypes: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    extensions: ['.zip'],
+    prefix: 'stems',
+  },
+  cover: {
+    maxBytes: megabytes('UPLOAD_MAX_COVER_MB', 10),
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    extensions: ['.jpg', '.jpeg', '.png', '.webp'],
+    prefix: 'covers',
+  },
+  tag: {
+    maxBytes: megabytes('UPLOAD_MAX_TAG_MB', 5),
+    mimeTypes: ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+    extensions: ['.mp3', '.wav'],
+    prefix: 'tags',
+  },
+  // Studio vocal takes, uploaded straight from the browser (POST /api/upload-url).
+  take: {
+    maxBytes: megabytes('UPLOAD_MAX_TAKE_MB', 50),
+    mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/webm', 'audio/ogg', 'audio/mpeg'],
+    extensions: ['.wav', '.webm', '.ogg', '.mp3'],
+    prefix: 'takes',
+  },
+  // Bulk catalog imports (catalogImport.js); removed once the job has run.
+  import: {
+    maxBytes: megabytes('UPLOAD_MAX_IMPORT_MB', 4096),
+    mimeTypes: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    extensions: ['.zip'],
+    prefix: 'imports',
+  },
+}
+
+// S3 requires parts of at least 5 MB (except the last one).
+export const S3_PART_SIZE = 8 * 1024 * 1024
+const S3_QUEUE_SIZE = 2
+
+export const uploadError = (status, code, message) => {
+  const err = new Error(message)
+  err.status = status
+  err.code = code
+  return err
+}
+
+export const safeFileName = (name) => String(name || 'file').replace(/[^a-zA-Z0-9._-]/g, '_')
+
+// Returns the first of `allowedKinds` whose extension and MIME type both
+// match the file, or null.
+export function detectUploadKind({ originalname, mimetype }, allowedKinds) {
+  const ext = path.extname(String(originalname || '')).toLowerCase()
+  const mime = String(mimetype || '').toLowerCase()
+  return (
+    allowedKinds.find((kind) => {
+      const spec = UPLOAD_KINDS[kind]
+      return spec && spec.extensions.includes(ext) && spec.mimeTypes.includes(mime)
+    }) || null
+  )
+}
+
+export const describeKinds = (kinds) =>
+  kinds
+    .map((kind) => `${kind} (${UPLOAD_KINDS[kind].extensions.join('/')}, max ${Math.round(UPLOAD_KINDS[kind].maxBytes / 1024 / 1024)} MB)`)
+    .join(', ')
+
+// Upload progress, keyed by a client-chosen X-Upload-Id header (or one we
+// generate and echo back). Entries expire an hour after their last update.
+const PROGRESS_TTL_MS = 60 * 60 * 1000
+const progress = new Map()
+
+const progressSweep = setInterval(() => {
+  const cutoff = Date.now() - PROGRESS_TTL_MS
+  for (const [id, entry] of progress) {
+    if (entry.updatedAt < cutoff) progress.delete(id)
+  }
+}, 5 * 60 * 1000)
+progressSweep.unref?.()
+
+const touch = (entry, patch = {}) => Object.assign(entry, patch, { updatedAt: Date.now() })
+
+// Middleware (after auth, before multer): starts tracking this request.
+export function trackUploadProgress(req, res, next) {
+  const requested = String(req.headers['x-upload-id'] || '').replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 64)
+  const id = requested || crypto.randomUUID()
+  const entry = touch({
+    id,
+    userId: req.user?.id || null,
+    status: 'uploading',
+    totalBytes: Number(req.headers['content-length']) || null,
+    bytesReceived: 0,
+    files: {},
+    error: null,
+  })
+  progress.set(id, entry)
+  req.uploadProgress = entry
+  res.set('X-Upload-Id', id)
+  next()
+}
+
+export function finishUploadProgress(req, { error } = {}) {
+  if (!req.uploadProgress) return
+  touch(req.uploadProgress, error ? { status: 'failed', error } : { status: 'complete' })
+}
+
+export function getUploadProgress(id, userId) {
+  const entry = progress.get(id)
+  if (!entry || entry.userId !== userId) return null
+  const { userId: _owner, updatedAt, ...rest } = entry
+  return { ...rest, updatedAt: new Date(updatedAt).toISOString() }
+}
+
+const unlinkQuietly = (filePath) =>
+  filePath ? fs.promises.unlink(filePath).catch(() => {}) : Promise.resolve()
+
+export async function removeTempFiles(files) {
+  await Promise.all((files || []).map((f) => unlinkQuietly(f?.tempPath)))
+}
+
+// Multer storage engine. `fields` maps a form field name to the kinds it
+// accepts (or is a function (req, file) -> kinds when that depends on the
+// route); `keyFor(req, file, kind)` names the object. `spoolFields` may
+// likewise be a function (req, file) -> boolean.
+// The stored file carries { key, location, size, kind, bucket, tempPath? }.
+export function createS3StreamStorage({ s3, bucket, region, fields, keyFor, spoolFields = [] }) {
+  return {
+    _handleFile(req, file, cb) {
+      const allowed = typeof fields === 'function' ? fields(req, file) : fields[file.fieldname]
+      if (!allowed) {
+        return cb(uploadError(400, 'unexpected_file', `Unexpected file field "${file.fieldname}"`))
+      }
+      const kind = detectUploadKind(file, allowed)
+      if (!kind) {
+        return cb(
+          uploadError(415, 'unsupported_file_type', `"${file.fieldname}" must be one of: ${describeKinds(allowed)}`),
+        )
+      }
+
+      const { maxBytes } = UPLOAD_KINDS[kind]
+      const key = keyFor(req, file, kind)
+      const fileProgress = { kind, bytesReceived: 0, bytesStored: 0, done: false }
+      if (req.uploadProgress) req.uploadProgress.files[file.fieldname] = fileProgress
+
+      const spoolThis =
+        typeof spoolFields === 'function' ? spoolFields(req, file) : spoolFields.includes(file.fieldname)
+      const tempPath = spoolThis
+        ? path.join(os.tmpdir(), `riddimbase-upload-${crypto.randomUUID()}${path.extname(file.originalname || '')}`)
+        : null
+      const spool = tempPath ? fs.createWriteStream(tempPath) : null
+      const spoolDone = spool
+        ? new Promise((resolve, reject) => {
+            spool.on('finish', resolve)
+            spool.on('error', reject)
+          })
+        : Promise.resolve()
+
+      let size = 0
+      let limitError = null
+      const counter = new Transform({
+        transform(chunk, _enc, done) {
+          size += chunk.length
+          if (size > maxBytes) {
+            limitError = uploadError(
+              413,
+              'file_too_large',
+              `"${file.fieldname}" exceeds the ${Math.round(maxBytes / 1024 / 1024)} MB limit for ${kind} files`,
+            )
+            return done(limitError)
+          }
+          fileProgress.bytesReceived = size
+          if (req.uploadProgress) {
+            touch(req.uploadProgress, { bytesReceived: req.uploadProgress.bytesReceived + chunk.length })
+          }
+          if (spool && !spool.write(chunk)) {
+            return spool.once('drain', () => done(null, chunk))
+          }
+          done(null, chunk)
+        },
+        flush(done) {
+          spool?.end()
+          done()
+        },
+      })
+      file.stream.on('error', (err) => counter.destroy(err))
+      file.stream.pipe(counter)
+
+      const upload = new Upload({
+        client: s3,
+        params: { Bucket: bucket, Key: key, Body: counter, ContentType: file.mimetype },
+        partSize: S3_PART_SIZE,
+        queueSize: S3_QUEUE_SIZE,
+        leavePartsOnError: false,
+      })
+      upload.on('httpUploadProgress', (p) => {
+        fileProgress.bytesStored = p.loaded || fileProgress.bytesStored
+        if (req.uploadProgress) touch(req.uploadProgress)
+      })
+
+      Promise.all([upload.done(), spoolDone])
+        .then(() => {
+          fileProgress.done = true
+          cb(null, {
+            key,
+            kind,
+            size,
+            bucket,
+            tempPath,
+            location: `https://${bucket}.s3.${region}.amazonaws.com/${key}`,
+          })
+        })
+        .catch((err) => {
+          spool?.destroy()
+          unlinkQuietly(tempPath)
+          cb(limitError || err)
+        })
+    },
+
+    _removeFile(_req, file, cb) {
+      unlinkQuietly(file.tempPath)
+      s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: file.key })).then(
+        () => cb(null),
+        (err) => cb(err),
+      )
+    },
+  }
+}
+
+// Runs a multer middleware and answers its errors as JSON instead of
+// falling through to Express' HTML error page.
+export function runUpload(middleware) {
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (!err) return next()
+      let status = err.status || 400
+      let code = err.code || 'upload_failed'
+      let message = err.message || 'Upload failed'
+      if (err instanceof multer.MulterError) {
+        status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400
+        code = err.code.toLowerCase()
+      } else if (!err.status) {
+        console.error('[s3Upload] upload error', err)
+        status = 500
+        message = 'Failed to store upload'
+      }
+      finishUploadProgress(req, { error: message })
+      res.status(status).json({ error: message, code })
+    })
+  }
+}
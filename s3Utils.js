@@ -0,0 +1,97 @@
+// Helpers shared by routes that clean up or reprocess S3 objects we created.
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { pipeline } from 'stream/promises'
+import { DeleteObjectCommand, GetObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3'
+
+// Extract the S3 object key from a public URL we generated
+export const extractS3KeyFromUrl = (url) => {
+  if (!url || typeof url !== 'string') return null
+  try {
+    const trimmed = url.trim()
+    // Expect pattern like: https://<bucket>.s3.<region>.amazonaws.com/<key>
+    const marker = '.amazonaws.com/'
+    const idx = trimmed.indexOf(marker)
+    if (idx === -1) return null
+    const key = trimmed.slice(idx + marker.length).split(/[?#]/)[0]
+    if (!key) return null
+    return decodeURIComponent(key)
+  } catch {
+    return null
+  }
+}
+
+// S3 keys of the vocal takes referenced by a studio session's saved state
+export const collectSessionTakeKeys = (state) => {
+  const urls = []
+  if (Array.isArray(state?.vocalTracks)) {
+    for (const t of state.vocalTracks) {
+      const clipUrl = t?.clip?.url
+      if (clipUrl && typeof clipUrl === 'string' && clipUrl.includes('.amazonaws.com/')) {
+        urls.push(clipUrl)
+      }
+    }
+  }
+  return Array.from(
+    new Set(
+      urls
+        .map((u) => extractS3KeyFromUrl(u))
+        .filter((k) => !!k),
+    ),
+  )
+}
+
+// GetObject answers NoSuchKey for a missing key, HeadObject a bare 404.
+export const isMissingS3Object = (err) =>
+  err?.name === 'NoSuchKey' || err?.name === 'NotFound' || err?.$metadata?.httpStatusCode === 404
+
+// Downloads an object to a temp file (keeping its extension, which ffmpeg and
+// the tag parser rely on) and resolves to the path. The caller removes it.
+export async function downloadS3ObjectToTemp({ s3, bucket, key }) {
+  const tempPath = path.join(os.tmpdir(), `riddimbase-${crypto.randomUUID()}${path.extname(key)}`)
+  try {
+    const object = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }))
+    await pipeline(object.Body, fs.createWriteStream(tempPath))
+  } catch (err) {
+    await fs.promises.unlink(tempPath).catch(() => {})
+    throw err
+  }
+  return tempPath
+}
+
+// A filename for Content-Disposition built from user-entered text (beat titles).
+export const safeDownloadName = (value) =>
+  String(value || 'download')
+    .replace(/[^\w\s().-]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100) || 'download'
+
+// Every key under `prefix` (e.g. `exports/<userId>/`), across result pages.
+export async function listS3Keys({ s3, bucket, prefix }) {
+  const keys = []
+  let ContinuationToken
+  do {
+    const page = await s3.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }))
+    for (const object of page.Contents || []) keys.push(object.Key)
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined
+  } while (ContinuationToken)
+  return keys
+}
+
+// Best-effort delete of several objects; failures are logged, not thrown.
+// Resolves to the number of objects deleted.
+export async function deleteS3Objects({ s3, bucket, keys }) {
+  let deleted = 0
+  for (const key of new Set(keys.filter(Boolean))) {
+    try {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+      deleted += 1
+    } catch (err) {
+      console.warn('[s3Utils] failed to delete S3 object', key, err?.message || err)
+    }
+  }
+  return deleted
+}
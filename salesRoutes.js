@@ -1,6 +1,11 @@
 import express from 'express'
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
+import { requireApiAccess, requireServiceKey } from './authMiddleware.js'
+import { creditWallet } from './collabInvites.js'
+import { claimExclusiveRights } from './exclusiveRights.js'
+import { normalizeLicenseTier } from './licenseTerms.js'
+import { splitVersionForSale } from './splitSheets.js'
 
 dotenv.config()
 
@@ -18,9 +23,22 @@ if (supabaseUrl && supabaseServiceKey) {
   console.warn('[salesRoutes] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
 }
 
-// Record a sale split for a beat.
+// Record a sale split for a beat. Server-to-server only (x-service-key).
 // Body: { sale_id, beat_id, amount, platform_fee_rate?, currency? }
-router.post('/sales/record-split', async (req, res) => {
+// sale_id must be an existing sale of beat_id; its license decides the tier.
+// Each sale is split once: a repeat call (e.g. a retried webhook) credits
+// nothing and returns the ledger rows already recorded.
+// alter table public.sales add column if not exists split_recorded_at timestamptz;
+// An Exclusive sale first claims the beat's Exclusive Rights; if another
+// sale already holds them nothing is credited and the call fails with 409 so
+// the payment can be refunded.
+// Collaborator shares follow the split version in effect when the sale was
+// made (splitSheets.js), and each ledger row records that version. Shares of
+// collaborators who haven't accepted their invite yet, and every
+// collaborator share while the beat's first split sheet awaits signatures,
+// are recorded as held and paid out later; declined collaborators' shares go
+// to the producer.
+router.post('/sales/record-split', requireServiceKey, async (req, res) => {
   try {
     if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
     const { sale_id, beat_id, amount, platform_fee_rate = 0.10, currency = 'USD' } = req.body || {}
@@ -39,20 +57,81 @@ router.post('/sales/record-split', async (req, res) => {
     if (beatErr) return res.status(400).json({ error: beatErr.message })
     const producerUserId = beatRow?.user_id || null
 
-    const { data: collabs, error: collabErr } = await supabase
-      .from('collaborators')
-      .select('id, user_id, split_percentage')
-      .eq('beat_id', beat_id)
-    if (collabErr) return res.status(400).json({ error: collabErr.message })
+    const { data: saleRow, error: saleErr } = await supabase
+      .from('sales')
+      .select('id,beat_id,license,created_at')
+      .eq('id', sale_id)
+      .maybeSingle()
+    if (saleErr) return res.status(400).json({ error: saleErr.message })
+    if (!saleRow) return res.status(404).json({ error: 'Sale not found' })
+    if (saleRow.beat_id !== beat_id) return res.status(409).json({ error: 'This sale is not for that beat' })
+    if (!beatRow) return res.status(404).json({ error: 'Beat not found' })
+
+    let exclusive = null
+    if (normalizeLicenseTier(saleRow.license) === 'Exclusive') {
+      exclusive = await claimExclusiveRights({ beatId: beat_id, saleId: sale_id })
+      if (exclusive.error) {
+        return res.status(exclusive.status).json({ error: exclusive.error, code: exclusive.code })
+      }
+    }
+
+    // Beats from before split sheets have no version; their rows are the split.
+    const version = await splitVersionForSale(beat_id, saleRow.created_at || new Date())
+    const versionIds = version ? version.sheet.contributors.map((c) => c.collaborator_id) : []
+    let collabs = []
+    if (!version || versionIds.length) {
+      let collabQuery = supabase.from('collaborators').select('id, user_id, split_percentage, invite_status')
+      collabQuery = version ? collabQuery.in('id', versionIds) : collabQuery.eq('beat_id', beat_id).is('removed_at', null)
+      const { data, error: collabErr } = await collabQuery
+      if (collabErr) return res.status(400).json({ error: collabErr.message })
+      collabs = data || []
+    }
+    const shareOf = (c) =>
+      version
+        ? version.sheet.contributors.find((v) => v.collaborator_id === c.id)?.split_percentage
+        : c.split_percentage
 
     const inserts = []
+    const credits = []
     let collaboratorTotal = 0
+    let heldTotal = 0
     for (const c of collabs) {
-      const payout = Number(((creatorRevenue * Number(c.split_percentage || 0)) / 100).toFixed(2))
+      if (c.invite_status === 'declined') continue
+      const payout = Number(((creatorRevenue * Number(shareOf(c) || 0)) / 100).toFixed(2))
+      const held = c.invite_status === 'pending' || !c.user_id || Boolean(version?.held)
       collaboratorTotal += payout
-      inserts.push({ sale_id, beat_id, collaborator_id: c.id, amount_earned: payout, currency })
+      if (held) heldTotal += payout
+      else credits.push({ userId: c.user_id, payout })
+      inserts.push({
+        sale_id,
+        beat_id,
+        collaborator_id: c.id,
+        amount_earned: payout,
+        currency,
+        payout_status: held ? 'held' : 'credited',
+        split_version_id: version?.sheet.id || null,
+      })
     }
 
+    // Claim the sale so concurrent or retried calls can't credit it twice.
+    const { data: claimed, error: claimErr } = await supabase
+      .from('sales')
+      .update({ split_recorded_at: new Date().toISOString() })
+      .eq('id', sale_id)
+      .is('split_recorded_at', null)
+      .select('id')
+      .maybeSingle()
+    if (claimErr) return res.status(400).json({ error: claimErr.message })
+    if (!claimed) {
+      const { data: existing, error: existingErr } = await supabase
+        .from('beat_sales_split')
+        .select('*')
+        .eq('sale_id', sale_id)
+      if (existingErr) return res.status(400).json({ error: existingErr.message })
+      return res.json({ ok: true, alreadyRecorded: true, entries: existing || [], soldExclusive: Boolean(exclusive) })
+    }
+    const releaseClaim = () => supabase.from('sales').update({ split_recorded_at: null }).eq('id', sale_id)
+
     // Insert split ledger rows (if any collaborators)
     let ledger = []
     if (inserts.length) {
@@ -60,44 +139,113 @@ router.post('/sales/record-split', async (req, res) => {
         .from('beat_sales_split')
         .insert(inserts)
         .select('*')
-      if (ledgerErr) return res.status(400).json({ error: ledgerErr.message })
+      if (ledgerErr) {
+        await releaseClaim()
+        return res.status(400).json({ error: ledgerErr.message })
+      }
       ledger = ledgerRows || []
     }
 
-    // Update wallets for collaborators with user_id
-    for (const c of collabs) {
-      if (!c.user_id) continue
-      const payout = Number(((creatorRevenue * Number(c.split_percentage || 0)) / 100).toFixed(2))
-      const { data: wallet } = await supabase
-        .from('user_wallet')
-        .select('user_id,balance')
-        .eq('user_id', c.user_id)
-        .maybeSingle()
-      const newBalance = Number((Number(wallet?.balance || 0) + payout).toFixed(2))
-      await supabase
-        .from('user_wallet')
-        .upsert({ user_id: c.user_id, balance: newBalance, updated_at: new Date().toISOString() })
+    // Update wallets for collaborators who accepted
+    for (const { userId, payout } of credits) {
+      await creditWallet(userId, payout)
     }
 
     // Credit producer with the remainder of creator revenue after collaborator splits.
     const producerNet = Math.max(0, Number((creatorRevenue - collaboratorTotal).toFixed(2)))
     if (producerUserId && producerNet > 0) {
-      const { data: wallet } = await supabase
-        .from('user_wallet')
-        .select('user_id,balance')
-        .eq('user_id', producerUserId)
-        .maybeSingle()
-      const newBalance = Number((Number(wallet?.balance || 0) + producerNet).toFixed(2))
-      await supabase
-        .from('user_wallet')
-        .upsert({ user_id: producerUserId, balance: newBalance, updated_at: new Date().toISOString() })
+      await creditWallet(producerUserId, producerNet)
     }
 
-    return res.json({ ok: true, entries: ledger || [], creatorRevenue, producerNet, collaboratorTotal })
+    return res.json({
+      ok: true,
+      entries: ledger || [],
+      creatorRevenue,
+      producerNet,
+      collaboratorTotal,
+      heldTotal: Number(heldTotal.toFixed(2)),
+      splitVersion: version?.sheet.version ?? null,
+      soldExclusive: Boolean(exclusive),
+    })
   } catch (e) {
     console.error('[salesRoutes] record-split error', e)
     return res.status(500).json({ error: 'Server error' })
   }
 })
 
+// Sales report for the caller: sales of beats they own plus split earnings
+// credited to them as a collaborator. Accepts API keys with sales:read.
+// Query: ?from=ISO date&to=ISO date (optional, filters on created_at)
+router.get('/sales/report', requireApiAccess('sales:read'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const { from, to } = req.query || {}
+
+    const { data: beats, error: beatsErr } = await supabase
+      .from('beats')
+      .select('id,title')
+      .eq('user_id', req.user.id)
+    if (beatsErr) return res.status(400).json({ error: beatsErr.message })
+    const beatIds = (beats || []).map((b) => b.id)
+
+    let sales = []
+    if (beatIds.length) {
+      let salesQuery = supabase
+        .from('sales')
+        .select('*')
+        .in('beat_id', beatIds)
+        .order('created_at', { ascending: false })
+      if (from) salesQuery = salesQuery.gte('created_at', from)
+      if (to) salesQuery = salesQuery.lte('created_at', to)
+      const { data, error } = await salesQuery
+      if (error) return res.status(400).json({ error: error.message })
+      sales = data || []
+    }
+
+    const { data: collabRows, error: collabErr } = await supabase
+      .from('collaborators')
+      .select('id')
+      .eq('user_id', req.user.id)
+    if (collabErr) return res.status(400).json({ error: collabErr.message })
+    const collaboratorIds = (collabRows || []).map((c) => c.id)
+
+    let splits = []
+    if (collaboratorIds.length) {
+      let splitsQuery = supabase
+        .from('beat_sales_split')
+        .select('*')
+        .in('collaborator_id', collaboratorIds)
+        .order('created_at', { ascending: false })
+      if (from) splitsQuery = splitsQuery.gte('created_at', from)
+      if (to) splitsQuery = splitsQuery.lte('created_at', to)
+      const { data, error } = await splitsQuery
+      if (error) return res.status(400).json({ error: error.message })
+      splits = data || []
+    }
+
+    const grossSales = Number(sales.reduce((sum, s) => sum + Number(s.amount || 0), 0).toFixed(2))
+    const sumSplits = (status) =>
+      Number(
+        splits
+          .filter((s) => (s.payout_status || 'credited') === status)
+          .reduce((sum, s) => sum + Number(s.amount_earned || 0), 0)
+          .toFixed(2),
+      )
+    const splitEarnings = sumSplits('credited')
+    // Held until the caller accepts the collaborator invite for that beat.
+    const heldEarnings = sumSplits('held')
+
+    return res.json({
+      ok: true,
+      beats: beats || [],
+      sales,
+      splits,
+      totals: { salesCount: sales.length, grossSales, splitEarnings, heldEarnings },
+    })
+  } catch (e) {
+    console.error('[salesRoutes] report error', e)
+    return res.status(500).json({ error: 'Server error' })
+  }
+})
+
 export default router
@@ -1,5 +1,6 @@
 import express from 'express'
 import { createClient } from '@supabase/supabase-js'
+import { requirePermission } from './permissions.js'
 
 const router = express.Router()
 
@@ -135,7 +136,7 @@ router.get('/api/settings', async (req, res) => {
 })
 
 // PUT /api/settings
-router.put('/api/settings', async (req, res) => {
+router.put('/api/settings', requirePermission('site:manage'), async (req, res) => {
   const body = req.body || {}
   settings = {
     ...settings,
@@ -0,0 +1,644 @@
+// Split sheets: the written record of who owns how much of a beat. Every
+// change to a beat's collaborators (/collab/set, catalog imports) issues a
+// new version listing each contributor's role and master, publishing and
+// sales percentages. Each contributor signs it in-app; the signature keeps
+// the typed name, time, IP address and user agent.
+//
+// Signed sheets are the beat's split versions. The newest one is in effect
+// from the moment its last signature lands (effective_from) until the next
+// version is signed (effective_to), and each sale is split by the version in
+// effect when it was made. A proposed change leaves the current version in
+// force until everyone has signed, so a producer can't cut a share on their
+// own: collaborators whose share drops sign off on the new sheet, ones taken
+// off the beat approve their removal, and any of them can reject the change.
+// Until a beat's first version is signed its collaborator earnings are held
+// (see collabInvites.js); that signature releases them. Signed PDFs are
+// stored in S3 under split-sheets/.
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import PDFDocument from 'pdfkit'
+import { creditWallet, releaseHeldSplits } from './collabInvites.js'
+import { buildSplitSheetAgreement } from './contracts.js'
+
+dotenv.config()
+
+const REGION = process.env.AWS_REGION
+const BUCKET = process.env.S3_BUCKET
+
+const s3 = new S3Client({
+  region: REGION,
+  credentials:
+    process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY
+      ? {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+})
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[splitSheets] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+// Master and publishing default to the sales split when not given:
+// alter table public.collaborators add column if not exists master_percentage numeric;
+// alter table public.collaborators add column if not exists publishing_percentage numeric;
+//
+// Beats without a split sheet (everything before this) stay active:
+// alter table public.beats add column if not exists splits_status text not null default 'active'; -- active | awaiting_signatures
+//
+// `contributors` is a snapshot of the collaborators when the sheet was issued:
+// [{ collaborator_id, user_id, email, role, split_percentage, master_percentage,
+//    publishing_percentage, previous, change }]
+// where `previous` holds the percentages under the version in effect (null
+// for newcomers) and `change` is added | reduced | increased | unchanged.
+// `removed_contributors` lists the same for people the change takes off.
+// create table if not exists public.split_sheets (
+//   id uuid primary key default gen_random_uuid(),
+//   beat_id uuid not null references public.beats(id) on delete cascade,
+//   version integer not null,
+//   status text not null default 'pending', -- pending | signed | superseded | rejected
+//   contributors jsonb not null,
+//   removed_contributors jsonb not null default '[]',
+//   legacy boolean not null default false,
+//   signed_pdf_key text,
+//   created_by uuid,
+//   created_at timestamptz not null default now(),
+//   completed_at timestamptz,
+//   effective_from timestamptz,
+//   effective_to timestamptz,
+//   rejected_by uuid,
+//   rejected_at timestamptz,
+//   unique (beat_id, version)
+// );
+//
+// For sheets signed before versioning (earlier signed sheets were marked
+// superseded when the next one was issued):
+// alter table public.split_sheets add column if not exists removed_contributors jsonb not null default '[]';
+// alter table public.split_sheets add column if not exists legacy boolean not null default false;
+// alter table public.split_sheets add column if not exists effective_from timestamptz;
+// alter table public.split_sheets add column if not exists effective_to timestamptz;
+// alter table public.split_sheets add column if not exists rejected_by uuid;
+// alter table public.split_sheets add column if not exists rejected_at timestamptz;
+// update public.split_sheets set status = 'signed', effective_from = completed_at where completed_at is not null;
+// update public.split_sheets s set effective_to = (
+//   select min(n.completed_at) from public.split_sheets n
+//   where n.beat_id = s.beat_id and n.version > s.version and n.completed_at is not null
+// ) where s.effective_from is not null;
+//
+// Ledger rows remember the version they were split by:
+// alter table public.beat_sales_split add column if not exists split_version_id uuid references public.split_sheets(id);
+// create table if not exists public.split_sheet_signatures (
+//   id uuid primary key default gen_random_uuid(),
+//   sheet_id uuid not null references public.split_sheets(id) on delete cascade,
+//   collaborator_id uuid not null,
+//   user_id uuid not null,
+//   signed_name text not null,
+//   ip text,
+//   user_agent text,
+//   signed_at timestamptz not null default now(),
+//   unique (sheet_id, collaborator_id)
+// );
+
+export const SIGNATURE_PUBLIC_COLUMNS = 'id, sheet_id, collaborator_id, user_id, signed_name, signed_at'
+
+const PERCENT_FIELDS = ['split_percentage', 'master_percentage', 'publishing_percentage']
+
+const contributorSnapshot = (c) => ({
+  collaborator_id: c.id,
+  user_id: c.user_id || null,
+  email: c.email || null,
+  role: c.role || null,
+  split_percentage: Number(c.split_percentage),
+  master_percentage: Number(c.master_percentage ?? c.split_percentage),
+  publishing_percentage: Number(c.publishing_percentage ?? c.split_percentage),
+})
+
+const sameContributors = (a = [], b = []) =>
+  a.length === b.length &&
+  a.every((x) => {
+    const y = b.find((c) => c.collaborator_id === x.collaborator_id)
+    return y && y.role === x.role && PERCENT_FIELDS.every((f) => y[f] === x[f])
+  })
+
+// How `next` differs from `prev` (the same person under the version in
+// effect). A cut to any of the three shares counts as a reduction.
+const describeChange = (prev, next) => {
+  if (!prev) return 'added'
+  if (PERCENT_FIELDS.some((f) => Number(next[f]) < Number(prev[f]))) return 'reduced'
+  if (PERCENT_FIELDS.some((f) => Number(next[f]) > Number(prev[f]))) return 'increased'
+  return 'unchanged'
+}
+
+const sharesOf = (c) => Object.fromEntries(PERCENT_FIELDS.map((f) => [f, c[f]]))
+
+// People taken off a beat only need to approve if they have an account to
+// do it with; email-only invitees never had a live share.
+const removalApprovers = (sheet) => (sheet.removed_contributors || []).filter((c) => c.user_id)
+
+// Everyone who has to sign `sheet` before it takes effect.
+export const requiredSignatureCount = (sheet) => sheet.contributors.length + removalApprovers(sheet).length
+
+// The newest split sheet of a beat that is signed or awaiting signatures, or
+// null. While a change is proposed this is the proposal, not the version in
+// effect.
+export async function loadCurrentSplitSheet(beatId) {
+  const { data, error } = await supabase
+    .from('split_sheets')
+    .select('*')
+    .eq('beat_id', beatId)
+    .in('status', ['pending', 'signed'])
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+// The split version in effect right now, or null.
+export async function loadActiveSplitVersion(beatId) {
+  const { data, error } = await supabase
+    .from('split_sheets')
+    .select('*')
+    .eq('beat_id', beatId)
+    .eq('status', 'signed')
+    .is('effective_to', null)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+// Every split sheet of a beat, newest first.
+export async function listSplitVersions(beatId) {
+  const { data, error } = await supabase
+    .from('split_sheets')
+    .select('*')
+    .eq('beat_id', beatId)
+    .order('version', { ascending: false })
+  if (error) throw error
+  return data || []
+}
+
+// The split a sale made at `at` falls under. Resolves to { sheet, held }:
+// the version in effect at that time; for sales made before the beat's
+// first version was signed, that first version; otherwise the sheet still
+// awaiting signatures, with `held` set. Resolves to null for beats that
+// predate split sheets (their collaborator rows are the split).
+export async function splitVersionForSale(beatId, at = new Date()) {
+  const { data, error } = await supabase
+    .from('split_sheets')
+    .select('id, version, status, contributors, effective_from, effective_to')
+    .eq('beat_id', beatId)
+    .in('status', ['pending', 'signed'])
+    .order('version', { ascending: true })
+  if (error) throw error
+  const time = new Date(at).getTime()
+  const signed = (data || []).filter((s) => s.status === 'signed' && s.effective_from)
+  const inEffect = signed.find(
+    (s) =>
+      new Date(s.effective_from).getTime() <= time && (!s.effective_to || new Date(s.effective_to).getTime() > time),
+  )
+  if (inEffect || signed.length) return { sheet: inEffect || signed[0], held: false }
+  const pending = (data || []).filter((s) => s.status === 'pending').pop()
+  return pending ? { sheet: pending, held: true } : null
+}
+
+export async function listSignatures(sheetId, columns = SIGNATURE_PUBLIC_COLUMNS) {
+  const { data, error } = await supabase
+    .from('split_sheet_signatures')
+    .select(columns)
+    .eq('sheet_id', sheetId)
+    .order('signed_at', { ascending: true })
+  if (error) throw error
+  return data || []
+}
+
+// Beats whose collaborators were set before split sheets have no version to
+// compare a change against. Records their current collaborator rows as an
+// unsigned version 1, in effect since the rows were added; call it before
+// saving new collaborators. Resolves to that version, or null.
+export async function recordLegacySplit(beat) {
+  const { count, error: countErr } = await supabase
+    .from('split_sheets')
+    .select('id', { count: 'exact', head: true })
+    .eq('beat_id', beat.id)
+  if (countErr) throw countErr
+  if (count) return null
+
+  const { data: rows, error: rowsErr } = await supabase
+    .from('collaborators')
+    .select('id, user_id, email, role, split_percentage, master_percentage, publishing_percentage, invite_status, created_at')
+    .eq('beat_id', beat.id)
+    .is('removed_at', null)
+    .neq('invite_status', 'declined')
+    .order('created_at', { ascending: true })
+  if (rowsErr) throw rowsErr
+  if (!rows?.length) return null
+
+  const { data: sheet, error } = await supabase
+    .from('split_sheets')
+    .insert({
+      beat_id: beat.id,
+      version: 1,
+      status: 'signed',
+      legacy: true,
+      contributors: rows.map((c) => ({ ...contributorSnapshot(c), previous: null, change: 'added' })),
+      effective_from: rows[0].created_at,
+    })
+    .select('*')
+    .single()
+  if (error) throw error
+  return sheet
+}
+
+// Sets the collaborator rows of a beat back to `contributors` (a version's
+// snapshot), marking everyone else removed.
+async function applyContributorTerms(beatId, contributors) {
+  for (const c of contributors) {
+    const { error } = await supabase
+      .from('collaborators')
+      .update({ role: c.role, ...sharesOf(c), removed_at: null })
+      .eq('id', c.collaborator_id)
+    if (error) throw error
+  }
+  let query = supabase
+    .from('collaborators')
+    .update({ removed_at: new Date().toISOString() })
+    .eq('beat_id', beatId)
+    .is('removed_at', null)
+  if (contributors.length) {
+    query = query.not('id', 'in', `(${contributors.map((c) => c.collaborator_id).join(',')})`)
+  }
+  const { error } = await query
+  if (error) throw error
+}
+
+// Sales made while a beat has no signed version are held under its pending
+// sheet. When that sheet is replaced or rejected before it is signed, its
+// held rows move to `replacement`: collaborators still on it keep a held
+// share rescaled to their new percentage, and every other share
+// (collaborators taken off, or all of them when the beat is left without a
+// split) goes to the owner. Each row is claimed with a conditional update so
+// it is only settled once.
+async function resettleHeldSplits(beat, superseded, replacement) {
+  let ownerDelta = 0
+  for (const old of superseded) {
+    const { data: rows, error } = await supabase
+      .from('beat_sales_split')
+      .select('id, collaborator_id, amount_earned')
+      .eq('split_version_id', old.id)
+      .eq('payout_status', 'held')
+    if (error) throw error
+    for (const row of rows || []) {
+      const before = Number(old.contributors.find((c) => c.collaborator_id === row.collaborator_id)?.split_percentage || 0)
+      const after = replacement?.contributors.find((c) => c.collaborator_id === row.collaborator_id)
+      const amount = Number(row.amount_earned || 0)
+      const patch =
+        after && before > 0
+          ? {
+              split_version_id: replacement.id,
+              amount_earned: Number(((amount * Number(after.split_percentage || 0)) / before).toFixed(2)),
+            }
+          : { payout_status: 'forfeited', released_at: new Date().toISOString() }
+      const { data: claimed, error: claimErr } = await supabase
+        .from('beat_sales_split')
+        .update(patch)
+        .eq('id', row.id)
+        .eq('split_version_id', old.id)
+        .eq('payout_status', 'held')
+        .select('id')
+        .maybeSingle()
+      if (claimErr) throw claimErr
+      if (claimed) ownerDelta += amount - (patch.amount_earned ?? 0)
+    }
+  }
+  // Negative when the new sheet gives collaborators more than the owner was
+  // short when those sales were recorded.
+  ownerDelta = Number(ownerDelta.toFixed(2))
+  if (ownerDelta !== 0 && beat.user_id) await creditWallet(beat.user_id, ownerDelta)
+}
+
+// Issues a new split sheet for `beat` from its saved collaborator rows. The
+// version in effect (if any) keeps applying until the new sheet is signed by
+// every contributor and approved by everyone it removes; without one, the
+// beat's splits are on hold until then. Re-saving the proposed split keeps
+// the pending sheet (and its signatures); re-saving the split in effect
+// withdraws the proposal.
+// Resolves to the current sheet, or null when the beat has no split.
+export async function issueSplitSheet(beat, collaborators, { createdBy = null } = {}) {
+  const active = await loadActiveSplitVersion(beat.id)
+  const previousOf = (id) => active?.contributors.find((c) => c.collaborator_id === id) || null
+  const contributors = (collaborators || []).map((row) => {
+    const c = contributorSnapshot(row)
+    const prev = previousOf(c.collaborator_id)
+    return { ...c, previous: prev && sharesOf(prev), change: describeChange(prev, c) }
+  })
+  const removed = (active?.contributors || [])
+    .filter((prev) => !contributors.some((c) => c.collaborator_id === prev.collaborator_id))
+    .map((prev) => ({ ...prev, previous: sharesOf(prev), change: 'removed' }))
+
+  const current = await loadCurrentSplitSheet(beat.id)
+  if (current?.status === 'pending' && sameContributors(current.contributors, contributors)) return current
+
+  const { data: superseded, error: supersedeErr } = await supabase
+    .from('split_sheets')
+    .update({ status: 'superseded' })
+    .eq('beat_id', beat.id)
+    .eq('status', 'pending')
+    .select('id, contributors')
+  if (supersedeErr) throw supersedeErr
+
+  if (active ? sameContributors(active.contributors, contributors) : !contributors.length) {
+    await resettleHeldSplits(beat, superseded || [], null)
+    const { error } = await supabase.from('beats').update({ splits_status: 'active' }).eq('id', beat.id)
+    if (error) throw error
+    return active
+  }
+
+  const { data: last, error: lastErr } = await supabase
+    .from('split_sheets')
+    .select('version')
+    .eq('beat_id', beat.id)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle()
+  if (lastErr) throw lastErr
+  const { data: sheet, error } = await supabase
+    .from('split_sheets')
+    .insert({
+      beat_id: beat.id,
+      version: (last?.version || 0) + 1,
+      contributors,
+      removed_contributors: removed,
+      created_by: createdBy,
+    })
+    .select('*')
+    .single()
+  if (error) throw error
+  await resettleHeldSplits(beat, superseded || [], sheet)
+
+  // Taking everyone off without anyone left to approve applies at once.
+  if (!requiredSignatureCount(sheet)) return (await completeSplitSheet(sheet)) || sheet
+
+  const { error: beatErr } = await supabase
+    .from('beats')
+    .update({ splits_status: active ? 'active' : 'awaiting_signatures' })
+    .eq('id', beat.id)
+  if (beatErr) throw beatErr
+  return sheet
+}
+
+const formatPercent = (value) => `${Number(value || 0)}%`
+
+const formatShares = (c) =>
+  `Master ${formatPercent(c.master_percentage)}, Publishing ${formatPercent(c.publishing_percentage)}, Sales ${formatPercent(c.split_percentage)}`
+
+// Renders the split sheet with whatever signatures it has so far; resolves
+// to the PDF bytes. Unsigned sheets are marked as drafts. Every collaborator
+// can download it, so signer IPs stay out (see GET /collab/beats/:beatId/split-history).
+export function renderSplitSheetPdf({ beat, sheet, signatures }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50 })
+    const chunks = []
+    doc.on('data', (c) => chunks.push(c))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    const signed = sheet.status === 'signed'
+    const signatureFor = (c) => signatures.find((s) => s.collaborator_id === c.collaborator_id)
+
+    doc.fontSize(18).text('RiddimBase Split Sheet', { align: 'center' })
+    if (sheet.legacy) {
+      doc.fontSize(11).text('Split recorded before split sheets — not signed', { align: 'center' })
+    } else if (!signed) {
+      doc.fontSize(11).text('DRAFT — not yet signed by every contributor', { align: 'center' })
+    }
+    doc.moveDown()
+    doc.fontSize(12).text(`Split Sheet ID: ${sheet.id}`)
+    doc.text(`Version: ${sheet.version}`)
+    doc.text(`Issued: ${String(sheet.created_at).slice(0, 10)}`)
+    if (signed && sheet.completed_at) doc.text(`Fully signed: ${new Date(sheet.completed_at).toISOString()}`)
+    if (sheet.effective_from) {
+      const until = sheet.effective_to ? ` until ${new Date(sheet.effective_to).toISOString()}` : ''
+      doc.text(`In effect: from ${new Date(sheet.effective_from).toISOString()}${until}`)
+    }
+    doc.moveDown(0.5)
+    doc.text(`Beat Title: ${beat.title || 'Untitled Beat'}`)
+    doc.text(`Producer: ${beat.producer || 'Producer'}`)
+    doc.text(`Beat ID: ${beat.id}`)
+    doc.moveDown()
+
+    doc.fontSize(11).text('Contributors:', { underline: true })
+    for (const c of sheet.contributors) {
+      const name = signatureFor(c)?.signed_name || c.email || 'RiddimBase member'
+      doc.fontSize(10).text(`${name}${c.email ? ` <${c.email}>` : ''} — ${c.role || 'Contributor'}`)
+      doc.text(
+        `Master: ${formatPercent(c.master_percentage)}   Publishing: ${formatPercent(c.publishing_percentage)}   Sales share: ${formatPercent(c.split_percentage)}`,
+        { indent: 15 },
+      )
+      if (c.previous && c.change !== 'unchanged') doc.text(`Previously: ${formatShares(c.previous)}`, { indent: 15 })
+    }
+    const removed = sheet.removed_contributors || []
+    if (removed.length) {
+      doc.moveDown(0.5)
+      doc.fontSize(11).text('Removed by this version:', { underline: true })
+      for (const c of removed) {
+        const name = signatureFor(c)?.signed_name || c.email || 'RiddimBase member'
+        doc.fontSize(10).text(`${name}${c.email ? ` <${c.email}>` : ''} — ${c.role || 'Contributor'}`)
+        doc.text(`Previously: ${formatShares(c.previous || c)}`, { indent: 15 })
+      }
+    }
+    doc.moveDown()
+
+    const agreement = buildSplitSheetAgreement({
+      date: String(sheet.created_at).slice(0, 10),
+      beatTitle: beat.title,
+      producerName: beat.producer,
+      version: sheet.version,
+    })
+    doc.fontSize(10).text(agreement, { align: 'left' })
+    doc.moveDown()
+
+    doc.fontSize(11).text('Signatures:', { underline: true })
+    for (const c of [...sheet.contributors, ...removalApprovers(sheet)]) {
+      const sig = signatureFor(c)
+      const label = c.change === 'removed' ? ' (approving removal)' : ''
+      doc.fontSize(10).text(sig ? `${sig.signed_name}${label}` : `${c.email || 'Contributor'}${label} — not signed`)
+      if (sig) {
+        doc.text(
+          `Signed electronically ${new Date(sig.signed_at).toISOString()} by account ${sig.user_id}`,
+          { indent: 15 },
+        )
+      }
+    }
+    doc.end()
+  })
+}
+
+// Marks a fully signed sheet as signed (once, even if the last two
+// signatures land together) and puts it in effect: the previous version
+// ends, the collaborator rows take its terms, the beat's splits are active,
+// held earnings are paid out and the signed PDF is stored. Resolves to the
+// signed sheet or null.
+async function completeSplitSheet(sheet) {
+  const now = new Date().toISOString()
+  const { data: claimed, error } = await supabase
+    .from('split_sheets')
+    .update({ status: 'signed', completed_at: now, effective_from: now })
+    .eq('id', sheet.id)
+    .eq('status', 'pending')
+    .select('*')
+    .maybeSingle()
+  if (error) throw error
+  if (!claimed) return null
+
+  const { error: endErr } = await supabase
+    .from('split_sheets')
+    .update({ effective_to: now })
+    .eq('beat_id', claimed.beat_id)
+    .eq('status', 'signed')
+    .is('effective_to', null)
+    .neq('id', claimed.id)
+  if (endErr) throw endErr
+  await applyContributorTerms(claimed.beat_id, claimed.contributors)
+
+  const { error: beatErr } = await supabase
+    .from('beats')
+    .update({ splits_status: 'active' })
+    .eq('id', claimed.beat_id)
+  if (beatErr) throw beatErr
+
+  const signatures = await listSignatures(claimed.id, '*')
+  for (const sig of signatures) await releaseHeldSplits(sig.collaborator_id, sig.user_id)
+
+  try {
+    claimed.signed_pdf_key = await storeSignedPdf(claimed, signatures)
+  } catch (err) {
+    // GET .../split-sheet/pdf stores it on the next request instead.
+    console.error('[splitSheets] signed PDF upload error', err)
+  }
+  return claimed
+}
+
+// Renders and uploads the signed PDF; resolves to its S3 key.
+export async function storeSignedPdf(sheet, signatures) {
+  const { data: beat, error } = await supabase
+    .from('beats')
+    .select('id,title,producer')
+    .eq('id', sheet.beat_id)
+    .single()
+  if (error) throw error
+  const pdf = await renderSplitSheetPdf({ beat, sheet, signatures })
+  const key = `split-sheets/${sheet.beat_id}/${sheet.id}.pdf`
+  await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key: key, Body: pdf, ContentType: 'application/pdf' }))
+  const { error: updateErr } = await supabase
+    .from('split_sheets')
+    .update({ signed_pdf_key: key })
+    .eq('id', sheet.id)
+  if (updateErr) throw updateErr
+  return key
+}
+
+const closedSheetError = (sheet) =>
+  sheet.status === 'rejected'
+    ? { status: 409, error: 'This split change was rejected' }
+    : { status: 409, error: 'This split sheet is already fully signed' }
+
+// The caller's collaborator rows among those who must sign `sheet`.
+async function loadSignerRows(sheet, userId) {
+  const ids = [...sheet.contributors, ...removalApprovers(sheet)].map((c) => c.collaborator_id)
+  const { data, error } = await supabase
+    .from('collaborators')
+    .select('id, user_id, invite_status')
+    .in('id', ids)
+    .eq('user_id', userId)
+  if (error) throw error
+  return data || []
+}
+
+// Records `userId`'s signature on `sheet`: for their contributor entry, or as
+// approval of their removal. Resolves to { signature, sheet } or { status, error }.
+export async function signSplitSheet(sheet, { userId, signedName, ip, userAgent }) {
+  if (sheet.status !== 'pending') return closedSheetError(sheet)
+  const name = String(signedName || '').trim()
+  if (!name) return { status: 400, error: 'signed_name (your full legal name) is required' }
+
+  const rows = await loadSignerRows(sheet, userId)
+  if (!rows.length) return { status: 403, error: 'You are not a contributor on this split sheet' }
+  const isContributor = (r) => sheet.contributors.some((c) => c.collaborator_id === r.id)
+  const row = rows.find((r) => !isContributor(r) || r.invite_status === 'accepted')
+  if (!row) return { status: 409, error: 'Accept your collaborator invite before signing' }
+
+  const { data: signature, error } = await supabase
+    .from('split_sheet_signatures')
+    .insert({
+      sheet_id: sheet.id,
+      collaborator_id: row.id,
+      user_id: userId,
+      signed_name: name.slice(0, 200),
+      ip: ip || null,
+      user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+    })
+    .select(SIGNATURE_PUBLIC_COLUMNS)
+    .single()
+  if (error) {
+    if (error.code === '23505') return { status: 409, error: 'You already signed this split sheet' }
+    return { status: 400, error: error.message }
+  }
+
+  const { count, error: countErr } = await supabase
+    .from('split_sheet_signatures')
+    .select('id', { count: 'exact', head: true })
+    .eq('sheet_id', sheet.id)
+  if (countErr) throw countErr
+  const completed = count >= requiredSignatureCount(sheet) ? await completeSplitSheet(sheet) : null
+  return { signature, sheet: completed || sheet }
+}
+
+// Turns down a proposed split change on behalf of one of the people who must
+// sign it. The version in effect stays, and the collaborator rows go back to
+// its terms. A rejected first sheet leaves the beat without a split: earnings
+// held for it go to the owner and the beat's splits are no longer on hold.
+// Resolves to { sheet } or { status, error }.
+export async function rejectSplitSheet(sheet, { userId }) {
+  if (sheet.status !== 'pending') return closedSheetError(sheet)
+  const rows = await loadSignerRows(sheet, userId)
+  if (!rows.length) return { status: 403, error: 'You are not a contributor on this split sheet' }
+
+  const { data: rejected, error } = await supabase
+    .from('split_sheets')
+    .update({ status: 'rejected', rejected_by: userId, rejected_at: new Date().toISOString() })
+    .eq('id', sheet.id)
+    .eq('status', 'pending')
+    .select('*')
+    .maybeSingle()
+  if (error) throw error
+  if (!rejected) return { status: 409, error: 'This split sheet was already signed or replaced' }
+
+  const active = await loadActiveSplitVersion(sheet.beat_id)
+  if (active) {
+    await applyContributorTerms(sheet.beat_id, active.contributors)
+    return { sheet: rejected }
+  }
+
+  const { data: beat, error: beatErr } = await supabase
+    .from('beats')
+    .update({ splits_status: 'active' })
+    .eq('id', sheet.beat_id)
+    .select('id, user_id')
+    .single()
+  if (beatErr) throw beatErr
+  await resettleHeldSplits(beat, [rejected], null)
+  return { sheet: rejected }
+}
@@ -0,0 +1,274 @@
+// Curated catalog taxonomy: genres, subgenres, moods and instruments that
+// admins manage, plus free tags producers type themselves. Whatever spelling
+// an upload uses ("dance hall", "DANCEHALL") is mapped onto one term, so the
+// catalog, search filters and metrics see a single Dancehall.
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[taxonomy] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+// Subgenres point at their genre. `aliases` are other spellings that map
+// onto the term; they are compared ignoring case, spaces and punctuation.
+// create table if not exists public.taxonomy_terms (
+//   id uuid primary key default gen_random_uuid(),
+//   kind text not null,     -- genre | subgenre | mood | instrument | tag
+//   slug text not null,
+//   name text not null,
+//   parent_id uuid references public.taxonomy_terms(id) on delete set null,
+//   aliases text[] not null default '{}',
+//   sort_order integer not null default 0,
+//   created_at timestamptz not null default now(),
+//   updated_at timestamptz not null default now(),
+//   unique (kind, slug)
+// );
+//
+// A beat's terms are stored as `kind:slug` strings; beats.genre keeps the
+// genre's display name. Re-run the beats_catalog view definition
+// (catalogSearch.js) afterwards so the view picks up the column:
+// alter table public.beats add column if not exists terms text[] not null default '{}';
+// create index if not exists beats_terms_idx on public.beats using gin (terms);
+
+export const TAXONOMY_KINDS = ['genre', 'subgenre', 'mood', 'instrument', 'tag']
+
+// Beat fields (upload, PATCH, import manifest) -> term kind.
+export const TAXONOMY_FIELDS = {
+  genre: 'genre',
+  subgenre: 'subgenre',
+  moods: 'mood',
+  instruments: 'instrument',
+  tags: 'tag',
+}
+const SINGLE_VALUE_FIELDS = ['genre', 'subgenre']
+const MAX_TERMS_PER_FIELD = 10
+const MAX_TAG_LENGTH = 40
+
+// Seeded by migrateGenres.js.
+export const DEFAULT_TAXONOMY = {
+  genre: [
+    { name: 'Dancehall', aliases: ['dance hall'] },
+    { name: 'Reggae' },
+    { name: 'Soca' },
+    { name: 'Afrobeats', aliases: ['afrobeat', 'afro beats', 'afro'] },
+    { name: 'Hip Hop', aliases: ['hiphop', 'hip-hop', 'rap'] },
+    { name: 'R&B', aliases: ['rnb', 'r and b'] },
+    { name: 'Trap' },
+    { name: 'Drill' },
+    { name: 'Reggaeton' },
+    { name: 'Pop' },
+  ],
+  subgenre: [
+    { name: 'Riddim', parent: 'dancehall' },
+    { name: 'Trap Dancehall', parent: 'dancehall', aliases: ['trapdancehall'] },
+    { name: 'Roots Reggae', parent: 'reggae', aliases: ['roots'] },
+    { name: 'Lovers Rock', parent: 'reggae' },
+    { name: 'Dub', parent: 'reggae' },
+    { name: 'Power Soca', parent: 'soca' },
+    { name: 'Groovy Soca', parent: 'soca' },
+    { name: 'Bouyon', parent: 'soca' },
+    { name: 'Amapiano', parent: 'afrobeats' },
+    { name: 'Afroswing', parent: 'afrobeats', aliases: ['afro swing'] },
+  ],
+  mood: [
+    { name: 'Energetic' },
+    { name: 'Chill' },
+    { name: 'Dark' },
+    { name: 'Happy' },
+    { name: 'Sad' },
+    { name: 'Romantic' },
+    { name: 'Aggressive' },
+    { name: 'Uplifting' },
+  ],
+  instrument: [
+    { name: 'Steel Pan', aliases: ['steelpan', 'steel drum'] },
+    { name: 'Piano' },
+    { name: 'Guitar' },
+    { name: 'Bass' },
+    { name: '808' },
+    { name: 'Synth' },
+    { name: 'Horns', aliases: ['brass'] },
+    { name: 'Strings' },
+    { name: 'Flute' },
+    { name: 'Percussion', aliases: ['drums'] },
+  ],
+}
+
+// Comparison key: "Dance-Hall", "dance hall" and "dancehall" are equal.
+export const termKey = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '')
+
+export const slugify = (value) =>
+  String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+
+// The terms change rarely; every server process keeps a copy for a minute.
+const CACHE_TTL_MS = 60 * 1000
+let cache = null
+
+export const buildTaxonomy = (terms) => {
+  const byId = new Map(terms.map((t) => [t.id, t]))
+  const byKey = new Map()
+  for (const term of terms) {
+    for (const spelling of [term.slug, term.name, ...(term.aliases || [])]) {
+      const key = `${term.kind}:${termKey(spelling)}`
+      if (!byKey.has(key)) byKey.set(key, term)
+    }
+  }
+  return { terms, byId, byKey }
+}
+
+// Resolves to { terms, byId, byKey }; `fresh` skips the cache.
+export async function loadTaxonomy({ fresh = false } = {}) {
+  if (!fresh && cache && cache.loadedAt > Date.now() - CACHE_TTL_MS) return cache.taxonomy
+  const { data, error } = await supabase
+    .from('taxonomy_terms')
+    .select('*')
+    .order('kind', { ascending: true })
+    .order('sort_order', { ascending: true })
+    .order('name', { ascending: true })
+  if (error) throw error
+  const taxonomy = buildTaxonomy(data || [])
+  cache = { taxonomy, loadedAt: Date.now() }
+  return taxonomy
+}
+
+export const invalidateTaxonomy = () => {
+  cache = null
+}
+
+export const findTerm = (taxonomy, kind, value) => taxonomy.byKey.get(`${kind}:${termKey(value)}`) || null
+
+const findBySlug = (taxonomy, kind, slug) =>
+  taxonomy.terms.find((t) => t.kind === kind && t.slug === slug) || null
+
+const toValues = (value) =>
+  (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((v) => String(v ?? '').trim())
+    .filter(Boolean)
+
+// Maps the taxonomy fields present in `input` onto terms. Fields that were
+// not sent keep the beat's current terms. Curated kinds only accept known
+// terms, except genre: clients have always sent free-text genres, so an
+// unknown one is kept as beats.genre (for migrateGenres.js to pick up) and
+// added as a free tag. Free tags are slugified (and mapped onto a curated tag
+// if one matches). A subgenre without a genre brings in its parent genre.
+// Resolves to { patch: { terms, genre? } }, { patch: null } when no field
+// was sent, or { error }.
+export function resolveBeatTerms(taxonomy, input = {}, currentTerms = []) {
+  const sent = Object.keys(TAXONOMY_FIELDS).filter((field) => input[field] !== undefined)
+  if (!sent.length) return { patch: null }
+
+  const slugsByKind = {}
+  for (const entry of currentTerms || []) {
+    const [kind, slug] = String(entry).split(':')
+    if (!slug) continue
+    slugsByKind[kind] = [...(slugsByKind[kind] || []), slug]
+  }
+
+  let unknownGenre = null
+  for (const field of sent) {
+    const kind = TAXONOMY_FIELDS[field]
+    const values = toValues(input[field])
+    if (SINGLE_VALUE_FIELDS.includes(field) && values.length > 1) {
+      return { error: `${field} takes a single value` }
+    }
+    if (values.length > MAX_TERMS_PER_FIELD) {
+      return { error: `${field} takes at most ${MAX_TERMS_PER_FIELD} values` }
+    }
+    const slugs = []
+    for (const value of values) {
+      const term = findTerm(taxonomy, kind, value)
+      if (term) slugs.push(term.slug)
+      else if (kind === 'tag' && value.length <= MAX_TAG_LENGTH && slugify(value)) slugs.push(slugify(value))
+      else if (kind === 'tag') return { error: `Tags must be 1-${MAX_TAG_LENGTH} letters or digits` }
+      else if (kind === 'genre') unknownGenre = value
+      else return { error: `Unknown ${kind} "${value}"` }
+    }
+    slugsByKind[kind] = Array.from(new Set(slugs))
+  }
+  if (unknownGenre && unknownGenre.length <= MAX_TAG_LENGTH && slugify(unknownGenre)) {
+    slugsByKind.tag = Array.from(new Set([...(slugsByKind.tag || []), slugify(unknownGenre)]))
+  }
+
+  const subgenre = slugsByKind.subgenre?.[0] && findBySlug(taxonomy, 'subgenre', slugsByKind.subgenre[0])
+  if (subgenre?.parent_id && !slugsByKind.genre?.length) {
+    const parent = taxonomy.byId.get(subgenre.parent_id)
+    if (parent) slugsByKind.genre = [parent.slug]
+  }
+
+  const terms = TAXONOMY_KINDS.flatMap((kind) => (slugsByKind[kind] || []).map((slug) => `${kind}:${slug}`))
+  const patch = { terms }
+  if (sent.includes('genre') || sent.includes('subgenre')) {
+    const genreSlug = slugsByKind.genre?.[0]
+    patch.genre = genreSlug ? findBySlug(taxonomy, 'genre', genreSlug)?.name || null : unknownGenre
+  }
+  return { patch }
+}
+
+// `kind:slug` values a catalog filter should match; unknown values still
+// produce a slug, which then simply matches nothing.
+export const catalogTermFilter = (taxonomy, kind, values) =>
+  values.map((value) => `${kind}:${findTerm(taxonomy, kind, value)?.slug || slugify(value)}`)
+
+// Counts terms across catalog rows ({ terms }) for search facets:
+// { genre: [{ slug, name, count }], mood: [...], ... }, most used first.
+export function countTermFacets(taxonomy, rows) {
+  const counts = new Map()
+  for (const row of rows || []) {
+    for (const entry of row.terms || []) counts.set(entry, (counts.get(entry) || 0) + 1)
+  }
+  const facets = Object.fromEntries(TAXONOMY_KINDS.map((kind) => [kind, []]))
+  for (const [entry, count] of counts) {
+    const [kind, slug] = entry.split(':')
+    if (!facets[kind]) continue
+    facets[kind].push({ slug, name: findBySlug(taxonomy, kind, slug)?.name || slug, count })
+  }
+  for (const list of Object.values(facets)) list.sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  return facets
+}
+
+// Swaps one term for another (or removes it) on every beat that has it, as
+// used when a term is merged or deleted. Resolves to the number of beats changed.
+export async function replaceBeatTerm(fromEntry, toEntry, { genreName } = {}) {
+  let changed = 0
+  for (;;) {
+    const { data: beats, error } = await supabase
+      .from('beats')
+      .select('id, terms')
+      .contains('terms', [fromEntry])
+      .limit(200)
+    if (error) throw error
+    if (!beats?.length) return changed
+    for (const beat of beats) {
+      const terms = Array.from(
+        new Set(beat.terms.map((t) => (t === fromEntry ? toEntry : t)).filter(Boolean)),
+      )
+      const patch = { terms }
+      if (fromEntry.startsWith('genre:')) patch.genre = genreName ?? null
+      const { error: updateErr } = await supabase.from('beats').update(patch).eq('id', beat.id)
+      if (updateErr) throw updateErr
+      changed += 1
+    }
+  }
+}
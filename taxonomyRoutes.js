@@ -0,0 +1,214 @@
+import express from 'express'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+import { requirePermission } from './permissions.js'
+import {
+  TAXONOMY_KINDS,
+  findTerm,
+  invalidateTaxonomy,
+  loadTaxonomy,
+  replaceBeatTerm,
+  slugify,
+  termKey,
+} from './taxonomy.js'
+
+dotenv.config()
+
+const router = express.Router()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[taxonomyRoutes] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY')
+}
+
+const cleanAliases = (aliases) =>
+  Array.from(new Set((Array.isArray(aliases) ? aliases : []).map((a) => String(a).trim()).filter(Boolean)))
+
+// Another term of the same kind that one of `spellings` already maps to.
+const conflictingTerm = (taxonomy, kind, spellings, exceptId) =>
+  spellings.map((s) => findTerm(taxonomy, kind, s)).find((t) => t && t.id !== exceptId) || null
+
+// Subgenres must hang off a genre. Resolves to an error message or null.
+const checkParent = (taxonomy, kind, parentId) => {
+  if (kind !== 'subgenre') return parentId ? 'Only subgenres have a parent' : null
+  const parent = taxonomy.byId.get(parentId)
+  return parent?.kind === 'genre' ? null : 'parent_id must be a genre'
+}
+
+// GET /api/taxonomy
+// Public list for upload forms and search filters, grouped by kind.
+// Subgenres carry their genre's slug as `parent`.
+router.get('/api/taxonomy', async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const taxonomy = await loadTaxonomy()
+    const grouped = Object.fromEntries(TAXONOMY_KINDS.map((kind) => [kind, []]))
+    for (const term of taxonomy.terms) {
+      grouped[term.kind]?.push({
+        slug: term.slug,
+        name: term.name,
+        ...(term.kind === 'subgenre' ? { parent: taxonomy.byId.get(term.parent_id)?.slug || null } : {}),
+      })
+    }
+    res.json(grouped)
+  } catch (err) {
+    console.error('[taxonomyRoutes] list error', err)
+    res.status(500).json({ error: 'Failed to load taxonomy' })
+  }
+})
+
+// GET /admin/taxonomy
+router.get('/admin/taxonomy', requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const taxonomy = await loadTaxonomy({ fresh: true })
+    res.json({ terms: taxonomy.terms })
+  } catch (err) {
+    console.error('[taxonomyRoutes] admin list error', err)
+    res.status(500).json({ error: 'Failed to load taxonomy' })
+  }
+})
+
+// POST /admin/taxonomy
+// Body: { kind, name, slug?, parent_id?, aliases?: string[], sort_order? }
+router.post('/admin/taxonomy', requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const { kind, name, parent_id = null, sort_order = 0 } = req.body || {}
+    if (!TAXONOMY_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${TAXONOMY_KINDS.join(', ')}` })
+    }
+    const trimmedName = String(name || '').trim()
+    const slug = slugify(req.body?.slug || trimmedName)
+    if (!trimmedName || !slug) return res.status(400).json({ error: 'name is required' })
+    const aliases = cleanAliases(req.body?.aliases)
+
+    const taxonomy = await loadTaxonomy({ fresh: true })
+    const parentError = checkParent(taxonomy, kind, parent_id)
+    if (parentError) return res.status(400).json({ error: parentError })
+    const conflict = conflictingTerm(taxonomy, kind, [slug, trimmedName, ...aliases])
+    if (conflict) {
+      return res.status(409).json({ error: `That ${kind} already exists as "${conflict.name}"`, term: conflict })
+    }
+
+    const { data, error } = await supabase
+      .from('taxonomy_terms')
+      .insert({ kind, slug, name: trimmedName, parent_id, aliases, sort_order: Number(sort_order) || 0 })
+      .select('*')
+      .single()
+    if (error) return res.status(400).json({ error: error.message })
+    invalidateTaxonomy()
+    res.status(201).json({ ok: true, term: data })
+  } catch (err) {
+    console.error('[taxonomyRoutes] create error', err)
+    res.status(500).json({ error: 'Failed to create term' })
+  }
+})
+
+// PATCH /admin/taxonomy/:id
+// Body: any of { name, parent_id, aliases, sort_order }. Slugs are stored on
+// beats and don't change; renaming a genre updates beats.genre too.
+router.patch('/admin/taxonomy/:id', requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const taxonomy = await loadTaxonomy({ fresh: true })
+    const term = taxonomy.byId.get(req.params.id)
+    if (!term) return res.status(404).json({ error: 'Term not found' })
+
+    const body = req.body || {}
+    const patch = {}
+    if ('name' in body) {
+      patch.name = String(body.name || '').trim()
+      if (!patch.name) return res.status(400).json({ error: 'name cannot be empty' })
+    }
+    if ('aliases' in body) patch.aliases = cleanAliases(body.aliases)
+    if ('sort_order' in body) patch.sort_order = Number(body.sort_order) || 0
+    if ('parent_id' in body) {
+      const parentError = checkParent(taxonomy, term.kind, body.parent_id)
+      if (parentError) return res.status(400).json({ error: parentError })
+      patch.parent_id = body.parent_id || null
+    }
+    if (!Object.keys(patch).length) {
+      return res.status(400).json({ error: 'Send at least one of: name, parent_id, aliases, sort_order' })
+    }
+    const conflict = conflictingTerm(
+      taxonomy,
+      term.kind,
+      [patch.name, ...(patch.aliases || [])].filter(Boolean),
+      term.id,
+    )
+    if (conflict) {
+      return res.status(409).json({ error: `That ${term.kind} already exists as "${conflict.name}"`, term: conflict })
+    }
+
+    const { data, error } = await supabase
+      .from('taxonomy_terms')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', term.id)
+      .select('*')
+      .single()
+    if (error) return res.status(400).json({ error: error.message })
+    invalidateTaxonomy()
+
+    if (term.kind === 'genre' && patch.name && patch.name !== term.name) {
+      const { error: beatsErr } = await supabase
+        .from('beats')
+        .update({ genre: patch.name })
+        .contains('terms', [`genre:${term.slug}`])
+      if (beatsErr) console.error('[taxonomyRoutes] genre rename on beats error', beatsErr)
+    }
+    res.json({ ok: true, term: data })
+  } catch (err) {
+    console.error('[taxonomyRoutes] update error', err)
+    res.status(500).json({ error: 'Failed to update term' })
+  }
+})
+
+// DELETE /admin/taxonomy/:id?merge_into=<term id>
+// Removes the term from every beat, or with merge_into moves those beats to
+// another term of the same kind and keeps the old spellings as its aliases.
+router.delete('/admin/taxonomy/:id', requirePermission('taxonomy:manage'), async (req, res) => {
+  try {
+    if (!supabase) return res.status(500).json({ error: 'Supabase not configured' })
+    const taxonomy = await loadTaxonomy({ fresh: true })
+    const term = taxonomy.byId.get(req.params.id)
+    if (!term) return res.status(404).json({ error: 'Term not found' })
+
+    let target = null
+    if (req.query.merge_into) {
+      target = taxonomy.byId.get(String(req.query.merge_into))
+      if (!target || target.kind !== term.kind || target.id === term.id) {
+        return res.status(400).json({ error: `merge_into must be another ${term.kind}` })
+      }
+      const aliases = cleanAliases([...(target.aliases || []), term.name, term.slug, ...(term.aliases || [])])
+        .filter((a) => termKey(a) !== termKey(target.name))
+      const { error: aliasErr } = await supabase
+        .from('taxonomy_terms')
+        .update({ aliases, updated_at: new Date().toISOString() })
+        .eq('id', target.id)
+      if (aliasErr) return res.status(400).json({ error: aliasErr.message })
+    }
+
+    const beatsUpdated = await replaceBeatTerm(
+      `${term.kind}:${term.slug}`,
+      target ? `${target.kind}:${target.slug}` : null,
+      { genreName: target?.name ?? null },
+    )
+    const { error } = await supabase.from('taxonomy_terms').delete().eq('id', term.id)
+    if (error) return res.status(400).json({ error: error.message })
+    invalidateTaxonomy()
+    res.json({ ok: true, beatsUpdated, mergedInto: target?.id || null })
+  } catch (err) {
+    console.error('[taxonomyRoutes] delete error', err)
+    res.status(500).json({ error: 'Failed to delete term' })
+  }
+})
+
+export default router
@@ -0,0 +1,207 @@
+import crypto from 'crypto'
+import { createClient } from '@supabase/supabase-js'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+const supabaseUrl = process.env.SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+let supabase = null
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: { persistSession: false },
+  })
+} else {
+  console.warn('[twoFactor] Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY; two-factor checks will fail closed')
+}
+
+// Policy switches. When on, staff roles must have verified a TOTP code in
+// their current session before any admin route, and payout requests need
+// the same.
+export const TWO_FACTOR_POLICY = {
+  staff: process.env.REQUIRE_2FA_FOR_ADMINS === 'true',
+  payouts: process.env.REQUIRE_2FA_FOR_PAYOUTS === 'true',
+}
+
+const TOTP_ISSUER = 'RiddimBase'
+const TOTP_DIGITS = 6
+const TOTP_PERIOD_SECONDS = 30
+const RECOVERY_CODE_COUNT = 10
+
+// One row per user:
+// create table if not exists public.user_two_factor (
+//   user_id uuid primary key,
+//   secret text not null,
+//   enabled boolean not null default false,
+//   recovery_code_hashes text[] not null default '{}',
+//   last_used_step bigint,
+//   created_at timestamptz not null default now(),
+//   confirmed_at timestamptz
+// );
+// and sessions that passed a TOTP check carry user_sessions.mfa_verified_at.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  return output
+}
+
+function base32Decode(input) {
+  const clean = String(input || '').toUpperCase().replace(/[^A-Z2-7]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char)
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+function hotp(secretBuffer, counter) {
+  const message = Buffer.alloc(8)
+  message.writeBigUInt64BE(BigInt(counter))
+  const hmac = crypto.createHmac('sha1', secretBuffer).update(message).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS
+  return String(code).padStart(TOTP_DIGITS, '0')
+}
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20))
+
+export function buildOtpauthUri({ secret, accountName }) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+// Checks a 6-digit code against the current time step and one step either
+// side for clock drift. Returns the matching step so callers can refuse to
+// accept the same code twice, or null when the code is wrong.
+export function verifyTotp(secret, code, { lastUsedStep = null } = {}) {
+  const candidate = String(code || '').replace(/\s+/g, '')
+  if (!/^\d{6}$/.test(candidate)) return null
+  const key = base32Decode(secret)
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS)
+  for (let step = currentStep - 1; step <= currentStep + 1; step += 1) {
+    if (lastUsedStep != null && step <= Number(lastUsedStep)) continue
+    const expected = Buffer.from(hotp(key, step))
+    if (crypto.timingSafeEqual(expected, Buffer.from(candidate))) return step
+  }
+  return null
+}
+
+export const hashRecoveryCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code || '').trim().toLowerCase())
+    .digest('hex')
+
+export function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex')
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+}
+
+export async function getTwoFactorRecord(userId) {
+  if (!supabase || !userId) return null
+  const { data, error } = await supabase
+    .from('user_two_factor')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+// Verifies either a TOTP code or a single-use recovery code for a user with
+// 2FA enabled, consuming the recovery code / time step on success.
+// Resolves to { ok: true, method } or { ok: false }.
+export async function verifySecondFactor(record, { code, recoveryCode }) {
+  if (!record?.enabled) return { ok: false }
+
+  if (recoveryCode) {
+    const hashes = record.recovery_code_hashes || []
+    const hash = hashRecoveryCode(recoveryCode)
+    if (!hashes.includes(hash)) return { ok: false }
+    const { error } = await supabase
+      .from('user_two_factor')
+      .update({ recovery_code_hashes: hashes.filter((h) => h !== hash) })
+      .eq('user_id', record.user_id)
+    if (error) throw error
+    return { ok: true, method: 'recovery_code', recoveryCodesRemaining: hashes.length - 1 }
+  }
+
+  const step = verifyTotp(record.secret, code, { lastUsedStep: record.last_used_step })
+  if (step == null) return { ok: false }
+  const { error } = await supabase
+    .from('user_two_factor')
+    .update({ last_used_step: step })
+    .eq('user_id', record.user_id)
+  if (error) throw error
+  return { ok: true, method: 'totp' }
+}
+
+export async function markSessionTwoFactorVerified(sessionId) {
+  if (!supabase || !sessionId) return
+  const { error } = await supabase
+    .from('user_sessions')
+    .update({ mfa_verified_at: new Date().toISOString() })
+    .eq('id', sessionId)
+  if (error) console.error('[twoFactor] mark session verified error', error)
+}
+
+export async function isSessionTwoFactorVerified(sessionId) {
+  if (!supabase || !sessionId) return false
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('mfa_verified_at')
+    .eq('id', sessionId)
+    .maybeSingle()
+  if (error) {
+    console.error('[twoFactor] session lookup error', error)
+    return false
+  }
+  return !!data?.mfa_verified_at
+}
+
+export const twoFactorRequiredBody = {
+  error: 'Two-factor authentication is required for this action.',
+  code: 'two_factor_required',
+}
+
+// Express middleware (after requireAuth): only lets the request through if
+// the caller's current session completed a TOTP check.
+export async function requireTwoFactor(req, res, next) {
+  try {
+    if (await isSessionTwoFactorVerified(req.sessionId)) return next()
+    res.status(403).json(twoFactorRequiredBody)
+  } catch (err) {
+    console.error('[twoFactor] requireTwoFactor error', err)
+    res.status(500).json({ error: 'Internal server error.' })
+  }
+}
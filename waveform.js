@@ -0,0 +1,113 @@
+// Waveform peaks for the player, so browsers don't have to decode the full
+// audio just to draw it. Audio is decoded with ffmpeg (FFMPEG_PATH, default
+// `ffmpeg` on PATH) to mono 16-bit PCM and reduced to normalized peak arrays.
+import { spawn } from 'child_process'
+import fs from 'fs'
+import { PutObjectCommand } from '@aws-sdk/client-s3'
+import { parseFile } from 'music-metadata'
+import { downloadS3ObjectToTemp } from './s3Utils.js'
+
+// alter table public.beats add column if not exists waveform_url text;
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg'
+const DECODE_SAMPLE_RATE = 8000
+
+// Peaks per resolution; each coarser array is derived from the finest one.
+export const WAVEFORM_RESOLUTIONS = [256, 1024, 4096]
+
+// Waveforms sit next to the publicly streamed audio (the preview for new
+// uploads): previews/123-my-beat.mp3 -> previews/123-my-beat.waveform.json
+export const waveformKeyFor = (audioKey) => `${audioKey.replace(/\.[^./]+$/, '')}.waveform.json`
+
+const downsample = (peaks, size) => {
+  const out = new Array(size).fill(0)
+  const ratio = peaks.length / size
+  for (let i = 0; i < peaks.length; i += 1) {
+    const slot = Math.min(size - 1, Math.floor(i / ratio))
+    if (peaks[i] > out[slot]) out[slot] = peaks[i]
+  }
+  return out
+}
+
+// Decodes `filePath` and resolves to
+// { version, duration, resolutions: { [count]: number[] } } with peaks in 0..1.
+export function computeWaveformPeaks(filePath, { durationSeconds }) {
+  const finest = Math.max(...WAVEFORM_RESOLUTIONS)
+  const expectedSamples = Math.max(finest, Math.ceil(Number(durationSeconds || 0) * DECODE_SAMPLE_RATE))
+  const samplesPerPeak = expectedSamples / finest
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(
+      FFMPEG_PATH,
+      ['-v', 'error', '-i', filePath, '-ac', '1', '-ar', String(DECODE_SAMPLE_RATE), '-f', 's16le', '-'],
+      { stdio: ['ignore', 'pipe', 'pipe'] },
+    )
+
+    const peaks = new Array(finest).fill(0)
+    let sampleIndex = 0
+    let leftover = null
+    let stderr = ''
+
+    ffmpeg.stdout.on('data', (chunk) => {
+      const buf = leftover ? Buffer.concat([leftover, chunk]) : chunk
+      const usable = buf.length - (buf.length % 2)
+      for (let offset = 0; offset < usable; offset += 2) {
+        const slot = Math.min(finest - 1, Math.floor(sampleIndex / samplesPerPeak))
+        const amplitude = Math.abs(buf.readInt16LE(offset))
+        if (amplitude > peaks[slot]) peaks[slot] = amplitude
+        sampleIndex += 1
+      }
+      leftover = usable < buf.length ? buf.subarray(usable) : null
+    })
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderr += chunk.toString()
+    })
+    ffmpeg.on('error', reject)
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) return reject(new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`))
+      if (!sampleIndex) return reject(new Error('ffmpeg produced no audio samples'))
+
+      const loudest = Math.max(...peaks) || 1
+      const normalized = peaks.map((p) => Math.round((p / loudest) * 1000) / 1000)
+      const resolutions = {}
+      for (const size of WAVEFORM_RESOLUTIONS) {
+        resolutions[size] = size === finest ? normalized : downsample(normalized, size)
+      }
+      resolve({
+        version: 1,
+        duration: Number((sampleIndex / DECODE_SAMPLE_RATE).toFixed(3)),
+        resolutions,
+      })
+    })
+  })
+}
+
+// Uploads the peaks next to `audioKey` and returns the waveform key.
+export async function storeWaveform({ s3, bucket, audioKey, waveform }) {
+  const key = waveformKeyFor(audioKey)
+  await s3.send(
+    new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: JSON.stringify(waveform),
+      ContentType: 'application/json',
+      CacheControl: 'public, max-age=31536000, immutable',
+    }),
+  )
+  return key
+}
+
+// For beats that were uploaded before waveforms existed: downloads the
+// audio to a temp file, computes its peaks and stores them next to
+// `storeNextTo` (defaults to the audio). Resolves to the waveform key.
+export async function generateWaveformFromS3({ s3, bucket, audioKey, storeNextTo, durationSeconds }) {
+  const tempPath = await downloadS3ObjectToTemp({ s3, bucket, key: audioKey })
+  try {
+    const duration =
+      durationSeconds || (await parseFile(tempPath, { duration: true })).format.duration
+    const waveform = await computeWaveformPeaks(tempPath, { durationSeconds: duration })
+    return await storeWaveform({ s3, bucket, audioKey: storeNextTo || audioKey, waveform })
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {})
+  }
+}